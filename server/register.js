@@ -0,0 +1,4 @@
+// node --import ./server/register.js ... - see resolve-extensions.js
+import { register } from 'node:module';
+
+register('./resolve-extensions.js', import.meta.url);
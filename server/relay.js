@@ -0,0 +1,182 @@
+/* --- Live Draw Relay ---
+   Passes live draw messages (see src/lib/liveDraw.js) between the host
+   screen and the players' phones. No dependencies; run it on the host
+   laptop and point the app at it:
+
+     npm run relay               # listens on ws://<this machine>:8790
+
+   Clients connect with `?room=<code>&id=<client id>`. A JSON message
+   with a `to` field goes to that client only; anything else goes to
+   every other client in the room. The relay stamps `from` on each message
+   and sends `{ type: 'left', from }` when a client disconnects. It keeps
+   nothing: rooms live only as long as someone is connected.
+
+   Only what the app sends is implemented: unfragmented text frames, ping
+   and close. Idle connections are pinged every PING_INTERVAL and dropped
+   if they don't answer, so a phone that goes to sleep frees its card.
+*/
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8790;
+const MAX_MESSAGE = 2 * 1024 * 1024; // A card may carry an uploaded image as a data URL
+const PING_INTERVAL = 20000;
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+const rooms = new Map(); // room -> Map(client id -> client)
+
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const length = payload.length;
+  const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  header[0] = 0x80 | opcode; // FIN + opcode; server frames are never masked
+  if (length < 126) {
+    header[1] = length;
+  } else if (length < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Pull whole frames off the front of `buffer`; returns the frames and what is left
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    if (length > MAX_MESSAGE) throw new Error('Message too large.');
+    const masked = (second & 0x80) !== 0;
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    if (masked) cursor += 4;
+    if (buffer.length < cursor + length) break;
+
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset = cursor + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+const send = (client, message) => {
+  if (!client.socket.destroyed) client.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+};
+
+const leave = (client) => {
+  const room = rooms.get(client.room);
+  if (!room || room.get(client.id) !== client) return;
+  room.delete(client.id);
+  if (room.size === 0) rooms.delete(client.room);
+  else room.forEach(other => send(other, { type: 'left', from: client.id }));
+};
+
+const relay = (client, text) => {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return; // Not JSON - drop it
+  }
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string') return;
+
+  const room = rooms.get(client.room);
+  const stamped = { ...message, from: client.id };
+  if (message.to) {
+    const target = room.get(message.to);
+    if (target) send(target, stamped);
+  } else {
+    room.forEach(other => { if (other !== client) send(other, stamped); });
+  }
+};
+
+const accept = (req, socket) => {
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  const room = searchParams.get('room');
+  const id = searchParams.get('id');
+  const key = req.headers['sec-websocket-key'];
+  if (!key || !/^[A-Z0-9]{4}$/.test(room || '') || !/^[a-z0-9]{1,32}$/.test(id || '')) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const acceptKey = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey}`,
+    '', '',
+  ].join('\r\n'));
+
+  const client = { id, room, socket, isAlive: true };
+  if (!rooms.has(room)) rooms.set(room, new Map());
+  rooms.get(room).get(id)?.socket.destroy(); // Same id again: a reconnect replaces the old socket
+  rooms.get(room).set(id, client);
+
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    client.isAlive = true;
+    buffer = Buffer.concat([buffer, chunk]);
+    let frames;
+    try {
+      ({ frames, rest: buffer } = decodeFrames(buffer));
+    } catch {
+      socket.destroy();
+      return;
+    }
+    for (const frame of frames) {
+      if (frame.opcode === OPCODES.text && frame.fin) relay(client, frame.payload.toString('utf8'));
+      else if (frame.opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, frame.payload));
+      else if (frame.opcode === OPCODES.pong) continue;
+      else if (frame.opcode === OPCODES.close) socket.end(encodeFrame(OPCODES.close));
+      else socket.destroy(); // Fragmented or binary: the app never sends these
+    }
+  });
+  socket.on('close', () => leave(client));
+  socket.on('error', () => socket.destroy());
+};
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify({ error: 'Connect with a WebSocket.', rooms: rooms.size }));
+});
+
+server.on('upgrade', (req, socket) => {
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  accept(req, socket);
+});
+
+setInterval(() => {
+  rooms.forEach(room => room.forEach(client => {
+    if (!client.isAlive) {
+      client.socket.destroy();
+      return;
+    }
+    client.isAlive = false;
+    client.socket.write(encodeFrame(OPCODES.ping));
+  }));
+}, PING_INTERVAL).unref();
+
+server.listen(PORT, () => {
+  console.log(`Live draw relay listening on ws://localhost:${PORT}`);
+});
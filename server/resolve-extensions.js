@@ -0,0 +1,14 @@
+/* --- Extensionless import resolver ---
+   The shared modules in src/lib import each other without file extensions,
+   the way Vite expects. Node's ESM loader needs them, so this hook retries
+   a failed relative import with `.js` appended. Loaded by register.js.
+*/
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith('.') || specifier.endsWith('.js')) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
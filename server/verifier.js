@@ -0,0 +1,186 @@
+/* --- Reference Draw Verifier ---
+   A small local HTTP server for verifiable draws (see src/lib/fairDraw.js).
+   No dependencies; run it on the venue laptop or LAN:
+
+     npm run verifier            # listens on http://localhost:8787
+
+   POST /commitments  { commitment, params }
+     Called by the app when a verifiable game starts. Records when the
+     commitment was first seen; a receipt can only verify against a
+     commitment registered before it is presented.
+   POST /results      { commitment, scratched }
+     Called by the app when the game ends. The first list of scratched
+     cards recorded for a commitment is final.
+   POST /verify       { receipt, redeemCode }
+     Re-derives the deck from the receipt, replays the game against the
+     recorded scratched cards and reports the card behind the redeem code:
+     whether it won and whether it was already redeemed.
+   POST /redeem       { receipt, redeemCode }
+     Same checks as /verify, then marks a winning code as redeemed.
+   GET  /commitments/:commitment
+     Registration record, for spot checks.
+
+   Records are kept in memory and appended to VERIFIER_LOG (default
+   server/verifier-log.jsonl) so a restart doesn't forget them.
+*/
+import { createServer } from 'node:http';
+import { appendFileSync, existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { verifyReceipt } from '../src/lib/fairDraw.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const LOG_FILE = process.env.VERIFIER_LOG || fileURLToPath(new URL('./verifier-log.jsonl', import.meta.url));
+const MAX_BODY = 5 * 1024 * 1024; // Receipts carry the prize pool, not images
+
+const commitments = new Map(); // commitment -> { registeredAt, params, scratched, finishedAt }
+const redeemed = new Map();    // `${commitment}:${code}` -> redeemedAt
+
+const apply = (entry) => {
+  if (entry.type === 'commitment' && !commitments.has(entry.commitment)) {
+    commitments.set(entry.commitment, { registeredAt: entry.at, params: entry.params });
+  } else if (entry.type === 'result' && commitments.has(entry.commitment) && !commitments.get(entry.commitment).scratched) {
+    Object.assign(commitments.get(entry.commitment), { scratched: entry.scratched, finishedAt: entry.at });
+  } else if (entry.type === 'redeem') {
+    redeemed.set(`${entry.commitment}:${entry.code}`, entry.at);
+  }
+};
+
+const record = (entry) => {
+  apply(entry);
+  appendFileSync(LOG_FILE, `${JSON.stringify(entry)}\n`);
+};
+
+if (existsSync(LOG_FILE)) {
+  readFileSync(LOG_FILE, 'utf8').split('\n').filter(Boolean).forEach(line => {
+    try {
+      apply(JSON.parse(line));
+    } catch {
+      // Skip a torn last line from a crash
+    }
+  });
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      reject(new HttpError(413, 'Request body too large.'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch {
+      reject(new HttpError(400, 'Request body is not valid JSON.'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// Receipt checks shared by /verify and /redeem
+const checkClaim = async ({ receipt, redeemCode }) => {
+  if (!redeemCode) throw new HttpError(400, '"redeemCode" is required.');
+  const registration = commitments.get(receipt?.commitment);
+  if (!registration) {
+    return { valid: false, reason: 'This draw was never registered with the verifier.' };
+  }
+
+  // Trust the scratched cards recorded at the end of the game over the receipt's copy
+  const result = await verifyReceipt(receipt, redeemCode, registration.scratched || receipt.scratched);
+  if (!result.valid) return result;
+
+  const code = result.card.redeemCode;
+  const { drawIndex, name, value, tier } = result.card;
+  return {
+    valid: true,
+    registeredAt: registration.registeredAt,
+    resultRecorded: !!registration.scratched,
+    won: result.isWinningCard,
+    card: { drawIndex, redeemCode: code, name, value, tier },
+    redeemedAt: redeemed.get(`${receipt.commitment}:${code}`) || null,
+  };
+};
+
+const routes = {
+  'POST /commitments': async (body) => {
+    if (typeof body.commitment !== 'string' || !/^[0-9a-f]{64}$/.test(body.commitment)) {
+      throw new HttpError(400, '"commitment" must be a SHA-256 hex digest.');
+    }
+    if (!commitments.has(body.commitment)) {
+      record({ type: 'commitment', commitment: body.commitment, params: body.params ?? null, at: new Date().toISOString() });
+    }
+    return { status: 201, body: { commitment: body.commitment, ...commitments.get(body.commitment) } };
+  },
+  'POST /results': async (body) => {
+    const registration = commitments.get(body.commitment);
+    if (!registration) throw new HttpError(404, 'Unknown commitment.');
+    if (!Array.isArray(body.scratched) || !body.scratched.every(Number.isInteger)) {
+      throw new HttpError(400, '"scratched" must be a list of card indexes.');
+    }
+    if (!registration.scratched) {
+      record({ type: 'result', commitment: body.commitment, scratched: body.scratched, at: new Date().toISOString() });
+    }
+    return { status: 201, body: { commitment: body.commitment, ...registration } };
+  },
+  'POST /verify': async (body) => ({ status: 200, body: await checkClaim(body) }),
+  'POST /redeem': async (body) => {
+    const result = await checkClaim(body);
+    if (!result.valid) return { status: 200, body: result };
+    if (!result.resultRecorded) return { status: 409, body: { ...result, reason: 'The end of this game was never recorded.' } };
+    if (!result.won) return { status: 409, body: { ...result, reason: 'This card did not win a prize.' } };
+    if (result.redeemedAt) return { status: 409, body: { ...result, reason: 'This prize was already redeemed.' } };
+
+    const at = new Date().toISOString();
+    record({ type: 'redeem', commitment: body.receipt.commitment, code: result.card.redeemCode, at });
+    return { status: 200, body: { ...result, redeemedAt: at } };
+  },
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The app runs on another local origin (the Vite dev server or a kiosk build)
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(JSON.stringify(body));
+};
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  try {
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+
+    if (req.method === 'GET' && pathname.startsWith('/commitments/')) {
+      const registration = commitments.get(pathname.slice('/commitments/'.length));
+      if (!registration) throw new HttpError(404, 'Unknown commitment.');
+      return send(res, 200, registration);
+    }
+
+    const route = routes[`${req.method} ${pathname}`];
+    if (!route) throw new HttpError(404, 'Not found.');
+    const { status, body } = await route(await readJson(req));
+    return send(res, status, body);
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (status === 500) console.error(error);
+    return send(res, status, { error: status === 500 ? 'Internal error.' : error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Draw verifier listening on http://localhost:${PORT} (log: ${LOG_FILE})`);
+});
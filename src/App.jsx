@@ -1,339 +1,409 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Settings, Play, Shuffle, RefreshCw, Trophy, Image as ImageIcon, Type, Sparkles, Heart } from 'lucide-react';
-
-/* --- ScratchCard Component ---
-   Handles the HTML5 Canvas scratching logic with improved smoothing.
-*/
-const ScratchCard = ({ 
-  width, 
-  height, 
-  content, 
-  type, 
-  isRevealed, 
-  onReveal, 
-  onScratchStart,
-  isLocked, 
-  isWinner,
-  color = 'gray' // Default color
-}) => {
-  const canvasRef = useRef(null);
-  const containerRef = useRef(null);
-  const lastPos = useRef(null); // Track last position for smooth lines
-  const [isScratched, setIsScratched] = useState(false);
-  const [isScratching, setIsScratching] = useState(false);
-
-  // Color Definitions
-  const colorMap = {
-    indigo: { main: '#6366f1', light: '#a5b4fc', dark: '#4338ca' },
-    purple: { main: '#a855f7', light: '#d8b4fe', dark: '#7e22ce' },
-    emerald: { main: '#10b981', light: '#6ee7b7', dark: '#047857' },
-    amber: { main: '#f59e0b', light: '#fcd34d', dark: '#b45309' },
-    rose: { main: '#f43f5e', light: '#fda4af', dark: '#be123c' },
-    gray: { main: '#9ca3af', light: '#e5e7eb', dark: '#4b5563' } 
-  };
+import React, { useState, useEffect, useEffectEvent, useRef, useSyncExternalStore } from 'react';
+import { flushSync } from 'react-dom';
+import { Settings, Play, Shuffle, RefreshCw, Trophy, Heart, Plus, ShieldCheck, FileCheck, Trash2, Package, Link, Check, Upload, Download, Lock, Volume2, VolumeX, Vibrate, VibrateOff, Languages, Smartphone, Flag } from 'lucide-react';
+import { shuffleCards, sortByPoolOrder, getPrizeOdds, getPoolSize, prizesFromCsvRows } from './lib/prizePool';
+import { loadCampaign, saveCampaign, applyInventory, getRemaining, recordWin, restock, clampInventory } from './lib/campaignStore';
+import { readSharedCard, buildShareUrl, canShareCard } from './lib/shareLink';
+import { parseCsv, toCsv } from './lib/csv';
+import { generateRedeemCodes, redeemCodeRows } from './lib/redeemCodes';
+import { downloadFile } from './lib/download';
+import { COLOR_THEMES } from './lib/colors';
+import { loadDraft, saveDraft, loadTemplates, relocalizeSettings, MAX_CARDS } from './lib/templates';
+import { LANGUAGES, createTranslator, getDirection } from './lib/i18n';
+import APP_MESSAGES from './locales/index';
+import { loadHistory, saveHistory, createSession, addSession, issuedRedeemCodes } from './lib/history';
+import { loadKiosk, saveKiosk, hashPin, startKioskSession, endKioskSession, countKioskGame, enterFullscreen, exitFullscreen } from './lib/kiosk';
+import { MOTION_PREFERENCES, loadMotionPreference, saveMotionPreference, systemPrefersReducedMotion, subscribeToSystemMotion, resolveReducedMotion } from './lib/motion';
+import { createSealedDraw, formatCommitment } from './lib/fairDraw';
+import { registerCommitment, registerResult } from './lib/verifierClient';
+import { createPrize, getPrizeTitle, hasPrizeContent, isWinningPrize, getTopTier } from './lib/prizes';
+import { loadMuted, saveMuted, loadHaptics, saveHaptics, playRevealFeedback, stopScratch } from './lib/sound';
+import { GAME_MODES, MATCH_GRID_SIZE, dealDeck, isCardLocked, isGameOver, evaluateGame, getScratchAllowance } from './lib/gameModes';
+import { CARD_SHAPES } from './lib/cardLayout';
+import { createRoomCode, createClientId, buildJoinUrl, createLiveChannel, getSeatHolder, takeSeat, assignSeats } from './lib/liveDraw';
+import { loadPlays, savePlays, recordPlay, clearPlays, getCampaignGate } from './lib/schedule';
+import { loadAnalytics, saveAnalytics, createGameId, createEvent, addEvent, forwardEvent, ANALYTICS_SAVE_DELAY } from './lib/analytics';
+import ScratchCard from './components/ScratchCard';
+import CardGrid from './components/CardGrid';
+import PrintPanel from './components/PrintPanel';
+import CoatingPanel from './components/CoatingPanel';
+import ScratchSettingsPanel from './components/ScratchSettingsPanel';
+import TemplatesPanel from './components/TemplatesPanel';
+import FairDrawPanel from './components/FairDrawPanel';
+import HistoryPanel from './components/HistoryPanel';
+import PlayerForm from './components/PlayerForm';
+import KioskPanel from './components/KioskPanel';
+import KioskUnlock from './components/KioskUnlock';
+import KioskAttract from './components/KioskAttract';
+import LiveDrawPanel from './components/LiveDrawPanel';
+import SchedulePanel from './components/SchedulePanel';
+import CampaignGate from './components/CampaignGate';
+import AnalyticsPanel from './components/AnalyticsPanel';
+import CelebrationLayer from './components/CelebrationLayer';
+import PrizeFields, { TierSelect } from './components/PrizeFields';
+
+// A shared link plays exactly one pre-assigned card
+const createSharedGame = (card) => [
+  { ...card, id: 'shared', gameId: `shared-${Date.now()}`, isRevealed: false }
+];
+
+const MATCH_GRID_COLUMNS = 3; // The match-three deck is a 3×3 grid
+
+/* --- Main App Component --- */
+export default function App() {
+  // Card decoded from a `#card=` share link, if the page was opened with one
+  const [sharedCard, setSharedCard] = useState(() => readSharedCard(window.location.hash));
+
+  // Kiosk mode, persisted so a reload can't drop a shared screen into the editor
+  const [kiosk, setKiosk] = useState(loadKiosk);
+  const isKiosk = !!kiosk.session && !sharedCard;
+  const [showAttract, setShowAttract] = useState(isKiosk); // Idle attract screen
+  const [isUnlocking, setIsUnlocking] = useState(false); // PIN prompt open
 
-  // Initialize Canvas
   useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+    saveKiosk(kiosk);
+  }, [kiosk]);
 
-    const ctx = canvas.getContext('2d');
-    
-    // Handle High DPI displays
-    const dpr = window.devicePixelRatio || 1;
-    canvas.width = width * dpr;
-    canvas.height = height * dpr;
-    
-    // Important: Scale the context so drawing operations match CSS pixels
-    ctx.scale(dpr, dpr);
-    
-    canvas.style.width = `${width}px`;
-    canvas.style.height = `${height}px`;
+  const [mode, setMode] = useState(() => sharedCard || isKiosk ? 'play' : 'editor'); // 'editor' | 'play'
 
-    // Draw the scratch coating
-    resetCanvas(ctx, width, height, color);
-  }, [width, height, color]); // Add color dependency
+  // Animation setting for this device; 'system' follows prefers-reduced-motion
+  const [motionPreference, setMotionPreference] = useState(loadMotionPreference);
+  const systemReducedMotion = useSyncExternalStore(subscribeToSystemMotion, systemPrefersReducedMotion);
+  const reducedMotion = resolveReducedMotion(motionPreference, systemReducedMotion);
 
-  // Handle forcing reveal (e.g. at end of game)
   useEffect(() => {
-    if (isRevealed && !isScratched) {
-      const canvas = canvasRef.current;
-      if (canvas) {
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        setIsScratched(true);
-      }
-    } else if (!isRevealed && !isScratched) {
-       const canvas = canvasRef.current;
-       if (canvas) {
-         const ctx = canvas.getContext('2d');
-         const dpr = window.devicePixelRatio || 1;
-         ctx.setTransform(dpr, 0, 0, dpr, 0, 0); 
-         resetCanvas(ctx, width, height, color);
-       }
-    }
-  }, [isRevealed, isScratched, width, height, color]);
+    saveMotionPreference(motionPreference);
+  }, [motionPreference]);
 
-  const resetCanvas = (ctx, w, h, colorKey) => {
-    ctx.globalCompositeOperation = 'source-over';
-    
-    const theme = colorMap[colorKey] || colorMap.gray;
+  // Sound and vibration, each on unless turned off on this device
+  const [muted, setMuted] = useState(loadMuted);
+  const [haptics, setHaptics] = useState(loadHaptics);
 
-    // Gradient based on color theme
-    const gradient = ctx.createLinearGradient(0, 0, w, h);
-    gradient.addColorStop(0, theme.light); 
-    gradient.addColorStop(0.5, theme.main); 
-    gradient.addColorStop(1, theme.light); 
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, w, h);
-
-    // Scratch Me Text - White with shadow for better visibility on colors
-    ctx.shadowColor = 'rgba(0,0,0,0.3)';
-    ctx.shadowBlur = 4;
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 20px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('SCRATCH ME', w / 2, h / 2);
-    ctx.shadowBlur = 0; // Reset shadow
-    
-    // Pattern dots
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-    for(let i=0; i<50; i++) {
-        const x = Math.random() * w;
-        const y = Math.random() * h;
-        const r = Math.random() * 3 + 1;
-        ctx.beginPath();
-        ctx.arc(x, y, r, 0, Math.PI * 2);
-        ctx.fill();
-    }
-  };
+  useEffect(() => {
+    saveMuted(muted);
+    if (muted) stopScratch();
+  }, [muted]);
 
-  const getMousePos = (e) => {
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    
-    // Handle both touch and mouse events
-    const clientX = e.touches && e.touches.length > 0 ? e.touches[0].clientX : e.clientX;
-    const clientY = e.touches && e.touches.length > 0 ? e.touches[0].clientY : e.clientY;
-    
-    return {
-      x: clientX - rect.left,
-      y: clientY - rect.top
-    };
-  };
+  useEffect(() => {
+    saveHaptics(haptics);
+  }, [haptics]);
 
-  const scratch = (x, y) => {
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.lineWidth = 40;     // Brush size
-    ctx.lineCap = 'round';  // Smooth ends
-    ctx.lineJoin = 'round'; // Smooth corners
-
-    ctx.beginPath();
-    if (lastPos.current) {
-        // Draw continuous line from last position
-        ctx.moveTo(lastPos.current.x, lastPos.current.y);
-        ctx.lineTo(x, y);
-    } else {
-        // First dot
-        ctx.moveTo(x, y);
-        ctx.lineTo(x, y);
-    }
-    ctx.stroke();
+  // Editor State - restored from the last session's draft
+  const [draft] = useState(loadDraft);
+  const [activeTemplateId, setActiveTemplateId] = useState(draft.templateId);
+  const [numCards, setNumCards] = useState(draft.settings.numCards);
+  const [shouldShuffle, setShouldShuffle] = useState(draft.settings.shouldShuffle);
+  const [gameMode, setGameMode] = useState(draft.settings.gameMode); // see lib/gameModes GAME_MODES
+  const [pickCount, setPickCount] = useState(draft.settings.pickCount); // Cards the player may scratch in 'pick' mode
+  const [cardShape, setCardShape] = useState(draft.settings.cardShape); // see lib/cardLayout CARD_SHAPES
+  const [cardConfigs, setCardConfigs] = useState(draft.settings.cardConfigs);
+  const [coating, setCoating] = useState(draft.settings.coating);
+  const [scratchSettings, setScratchSettings] = useState(draft.settings.scratchSettings);
+  const [fairDraw, setFairDraw] = useState(draft.settings.fairDraw); // Commit-reveal draws, see lib/fairDraw
+  const [language, setLanguage] = useState(draft.settings.language); // see lib/i18n LANGUAGES
+  const [liveDraw, setLiveDraw] = useState(draft.settings.liveDraw); // Players scratch on their phones, see lib/liveDraw
+  const [schedule, setSchedule] = useState(draft.settings.schedule); // Opening window and play limits, see lib/schedule
+
+  const editorSettings = { language, cardConfigs, numCards, shouldShuffle, gameMode, pickCount, cardShape, coating, scratchSettings, fairDraw, liveDraw, schedule };
+
+  useEffect(() => {
+    saveDraft(activeTemplateId, { language, cardConfigs, numCards, shouldShuffle, gameMode, pickCount, cardShape, coating, scratchSettings, fairDraw, liveDraw, schedule });
+  }, [activeTemplateId, language, cardConfigs, numCards, shouldShuffle, gameMode, pickCount, cardShape, coating, scratchSettings, fairDraw, liveDraw, schedule]);
 
-    lastPos.current = { x, y };
+  // This screen hosts a live draw; a kiosk or a shared card plays on its own
+  const isLiveHost = liveDraw.enabled && !sharedCard && !isKiosk;
+
+  const t = createTranslator(language, APP_MESSAGES);
+  const dir = getDirection(language);
+  const prizeTitle = (card) => getPrizeTitle(card, tier => t(`tiers.${tier}`));
+  const formatPrize = (card) => card.value ? t('play.prizeWithValue', { title: prizeTitle(card), value: card.value }) : prizeTitle(card);
+
+  // Native widgets, screen readers and the scrollbar side follow the page
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = dir;
+  }, [language, dir]);
+
+  // Untouched starter prizes and coating text follow the switch; the user's own text stays
+  const changeLanguage = (next) => {
+    const relocalized = relocalizeSettings({ cardConfigs, coating }, language, next);
+    setCardConfigs(relocalized.cardConfigs);
+    setCoating(relocalized.coating);
+    setLanguage(next);
   };
 
-  const checkRevealProgress = useCallback(() => {
-    if (isScratched || isLocked) return;
+  // Campaign inventory, persisted across sessions
+  const [campaign, setCampaign] = useState(() => loadCampaign(draft.settings.cardConfigs));
 
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const w = canvas.width;
-    const h = canvas.height;
-    
-    // We analyze the raw pixel data
-    const imageData = ctx.getImageData(0, 0, w, h);
-    const data = imageData.data;
-    let transparent = 0;
-    
-    // Sampling every 16th pixel (4x4 block) is fast and accurate enough
-    const totalPixels = data.length / 4;
-    const step = 16; 
+  useEffect(() => {
+    saveCampaign(campaign);
+  }, [campaign]);
 
-    for (let i = 0; i < totalPixels; i += step) {
-      if (data[i * 4 + 3] === 0) { // Alpha channel is 0
-        transparent++;
-      }
-    }
+  // Winner log of every finished game, persisted across sessions
+  const [history, setHistory] = useState(loadHistory);
+  const [historySaveFailed, setHistorySaveFailed] = useState(false);
 
-    // Threshold: if > 40% is cleared
-    const actualTotalSamples = totalPixels / step;
-    if (transparent > actualTotalSamples * 0.4) {
-      setIsScratched(true);
-      ctx.clearRect(0, 0, w, h); // Clear remaining debris
-      onReveal(content);
-    }
-  }, [isScratched, isLocked, onReveal, content]);
+  useEffect(() => {
+    setHistorySaveFailed(!saveHistory(history));
+  }, [history]);
 
-  const handleStart = (e) => {
-    if (isLocked || isScratched) return;
-    setIsScratching(true);
-    
-    // Notify parent that scratching has started
-    if (onScratchStart) {
-        onScratchStart();
-    }
+  // Event log behind the analytics dashboard, persisted across sessions
+  const [analytics, setAnalytics] = useState(loadAnalytics);
+  const [analyticsSaveFailed, setAnalyticsSaveFailed] = useState(false);
+  const [trackedGame, setTrackedGame] = useState(null); // Analytics id of the game on screen
 
-    const { x, y } = getMousePos(e);
-    lastPos.current = { x, y };
-    scratch(x, y);
-  };
+  const flushAnalytics = useEffectEvent(() => setAnalyticsSaveFailed(!saveAnalytics(analytics)));
 
-  const handleMove = (e) => {
-    if (!isScratching || isLocked || isScratched) return;
-    
-    // Prevent scrolling only when interacting with the canvas
-    if (e.cancelable) e.preventDefault(); 
-    
-    const { x, y } = getMousePos(e);
-    scratch(x, y);
-    
-    // Check progress periodically (e.g. random chance or counter) 
-    // to avoid slamming the CPU on every move event
-    if (Math.random() > 0.8) {
-        checkRevealProgress();
-    }
-  };
+  // Written once the events settle, and right away when the page is hidden or closed
+  useEffect(() => {
+    const timer = setTimeout(flushAnalytics, ANALYTICS_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [analytics]);
 
-  const handleEnd = () => {
-    if (isScratching) {
-        setIsScratching(false);
-        lastPos.current = null;
-        checkRevealProgress(); // Always check when user lifts finger/mouse
-    }
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') flushAnalytics();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, []);
+
+  // Log an event for the current game; like milestones it is also
+  // re-broadcast as a DOM event, and posted on if a forward URL is set
+  const track = (type, data) => {
+    if (sharedCard) return; // Someone else's card; their draw, not this one
+    const event = createEvent(type, { game: trackedGame, ...data });
+    setAnalytics(prev => addEvent(prev, event));
+    window.dispatchEvent(new CustomEvent('scratchcard:analytics', { detail: event }));
+    if (analytics.forwardUrl) forwardEvent(analytics.forwardUrl, event);
   };
 
-  return (
-    <div 
-      ref={containerRef}
-      className={`relative rounded-xl overflow-hidden shadow-lg border-4 transition-all duration-500 transform ${isWinner ? 'border-yellow-400 scale-105 shadow-yellow-200 ring-4 ring-yellow-200/50' : 'border-gray-200 hover:scale-[1.02]'} ${isLocked && !isRevealed ? 'opacity-80' : 'opacity-100'}`}
-      style={{ width, height }}
-    >
-      {/* Underlying Content */}
-      <div className="absolute inset-0 flex items-center justify-center bg-white p-4">
-        {type === 'image' ? (
-          <img 
-            src={content} 
-            alt="Prize" 
-            className="w-full h-full object-contain pointer-events-none select-none" 
-            onError={(e) => {
-                e.target.onerror = null;
-                e.target.src = "https://placehold.co/150x150?text=Image+Error";
-            }}
-          />
-        ) : (
-          <div className="flex flex-col items-center gap-2">
-             {isWinner && <Sparkles className="text-yellow-500 animate-spin-slow" size={24} />}
-             <p className="text-xl font-bold text-center text-gray-800 break-words pointer-events-none select-none">
-                {content}
-             </p>
-          </div>
-        )}
-      </div>
+  // Games started on this device per campaign, persisted for the play limits
+  const [plays, setPlays] = useState(loadPlays);
+  const campaignKey = activeTemplateId || 'draft';
 
-      {/* Scratch Layer */}
-      <canvas
-        ref={canvasRef}
-        className="absolute inset-0 cursor-crosshair touch-none z-10"
-        onMouseDown={handleStart}
-        onMouseMove={handleMove}
-        onMouseUp={handleEnd}
-        onMouseLeave={handleEnd}
-        onTouchStart={handleStart}
-        onTouchMove={handleMove}
-        onTouchEnd={handleEnd}
-      />
-    </div>
-  );
-};
+  useEffect(() => {
+    savePlays(plays);
+  }, [plays]);
 
-/* --- Main App Component --- */
-export default function App() {
-  const [mode, setMode] = useState('editor'); // 'editor' | 'play'
-  const [numCards, setNumCards] = useState(3);
-  const [shouldShuffle, setShouldShuffle] = useState(true);
-  
-  // Editor State
-  const [cardConfigs, setCardConfigs] = useState([
-    { id: 1, type: 'text', content: 'Better Luck Next Time!' },
-    { id: 2, type: 'text', content: 'Free Coffee ☕' },
-    { id: 3, type: 'text', content: '$10 Gift Card 🎁' },
-    { id: 4, type: 'text', content: 'High Five ✋' },
-    { id: 5, type: 'text', content: 'Mystery Prize ❓' },
-  ]);
+  // The clock the opening window and countdowns run on
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!schedule.enabled) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [schedule.enabled]);
+
+  // A kiosk or a live draw screen is shared by many players, so only the
+  // opening window applies there; a shared link carries no schedule at all
+  const limitsPlays = !sharedCard && !isKiosk && !isLiveHost;
+  const gate = sharedCard ? null : getCampaignGate(limitsPlays ? schedule : { ...schedule, maxPlays: 0 }, plays[campaignKey], now);
+
+  const applyTemplate = (template) => {
+    const { settings } = template;
+    setActiveTemplateId(template.id);
+    setCardConfigs(settings.cardConfigs);
+    setNumCards(settings.numCards);
+    setShouldShuffle(settings.shouldShuffle);
+    setGameMode(settings.gameMode);
+    setPickCount(settings.pickCount);
+    setCardShape(settings.cardShape);
+    setCoating(settings.coating);
+    setScratchSettings(settings.scratchSettings);
+    setFairDraw(settings.fairDraw);
+    setLiveDraw(settings.liveDraw);
+    setSchedule(settings.schedule);
+    setLanguage(settings.language);
+    setCampaign(restock); // Stock counts belong to the previous prize list
+  };
 
   // Game State
-  const [gameCards, setGameCards] = useState([]);
+  const [gameCards, setGameCards] = useState(() => sharedCard ? createSharedGame(sharedCard) : []);
   const [gameState, setGameState] = useState('playing'); // 'playing', 'finished'
-  const [result, setResult] = useState(null);
-  const [wonCardId, setWonCardId] = useState(null);
-  const [startedCardId, setStartedCardId] = useState(null); // Track which card user started scratching
+  const [result, setResult] = useState(null); // End-of-game summary from evaluateGame
+  const [celebration, setCelebration] = useState(null); // { tier } of the last win, drives the confetti
+  const [startedCardIds, setStartedCardIds] = useState([]); // Cards the user started scratching
+  const [scratchedIds, setScratchedIds] = useState([]); // Cards the user scratched to a reveal
+  const [cardProgress, setCardProgress] = useState({}); // gameId -> percent towards reveal
+  // Verifiable draw: the sealed session lives in a ref so its seed never enters React state
+  const sealedDraw = useRef(null);
+  const [drawCommitment, setDrawCommitment] = useState(null);
+  const [drawReceipt, setDrawReceipt] = useState(null); // Released once the game is over
+  const [drawError, setDrawError] = useState(null);
+  const [isDealing, setIsDealing] = useState(false);
+  const gameStartedAt = useRef(null);
+  const [player, setPlayer] = useState(null); // { name, email } from the player form, for the history
+  const [isAwaitingPlayer, setIsAwaitingPlayer] = useState(false);
+  const [copiedCardId, setCopiedCardId] = useState(null);
+  const [shareErrorCardId, setShareErrorCardId] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const csvInputRef = useRef(null);
+
+  // Follow share links pasted into an already open tab. A running kiosk
+  // ignores them: editing the URL must not be a way around the PIN
+  const handleHashChange = useEffectEvent(() => {
+    if (kiosk.session) return;
+    const card = readSharedCard(window.location.hash);
+    setSharedCard(card);
+    setGameCards(card ? createSharedGame(card) : []);
+    setGameState('playing');
+    setResult(null);
+    setStartedCardIds([]);
+    setScratchedIds([]);
+    setCardProgress({});
+    setMode(card ? 'play' : 'editor');
+  });
+
+  useEffect(() => {
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  // The field keeps what is typed (even empty) and only settles on a count on blur
+  const [numCardsInput, setNumCardsInput] = useState(null);
 
   const handleNumCardsChange = (e) => {
-    let val = parseInt(e.target.value);
-    if (val < 1) val = 1;
-    if (val > 5) val = 5;
-    setNumCards(val);
+    setNumCardsInput(e.target.value);
+    const val = parseInt(e.target.value);
+    if (val >= 1 && val <= MAX_CARDS) setNumCards(val);
+  };
+
+  const handleNumCardsBlur = () => {
+    const val = parseInt(numCardsInput);
+    if (!Number.isNaN(val)) setNumCards(Math.min(MAX_CARDS, Math.max(1, val)));
+    setNumCardsInput(null);
   };
 
   const updateCardConfig = (id, field, value) => {
     setCardConfigs(prev => prev.map(c => c.id === id ? { ...c, [field]: value } : c));
   };
 
-  const startGame = () => {
-    // Take the first N configs based on numCards
-    const activeConfigs = cardConfigs.slice(0, numCards);
-    
-    let initialGameCards;
-
-    if (shouldShuffle) {
-        // Shuffle logic
-        initialGameCards = [...activeConfigs]
-            .map(value => ({ value, sort: Math.random() }))
-            .sort((a, b) => a.sort - b.sort)
-            .map(({ value }, index) => ({
-                ...value,
-                gameId: `card-${index}-${Date.now()}`, // Unique ID for key
-                isRevealed: false
-            }));
+  const addCardConfig = () => {
+    setCardConfigs(prev => [
+      ...prev,
+      createPrize(Math.max(0, ...prev.map(c => c.id)) + 1)
+    ]);
+  };
+
+  const removeCardConfig = (id) => {
+    setCardConfigs(prev => prev.length > 1 ? prev.filter(c => c.id !== id) : prev);
+  };
+
+  // With the campaign on, odds and draws follow the stock that is left
+  const activePool = applyInventory(cardConfigs, campaign);
+  const prizeOdds = getPrizeOdds(activePool);
+  const poolSize = getPoolSize(activePool);
+
+  // A shared link is always a single classic card; in a live draw every player keeps their own card
+  const activeMode = sharedCard ? 'classic' : isLiveHost ? 'all' : gameMode;
+
+  // A kiosk deals every game fresh and shuffled, whatever the editor says
+  const dealShuffled = shouldShuffle || isKiosk;
+
+  // Sealed deal: prizes stay encrypted until scratched, and the commitment is
+  // registered with the verifier (if one is set) before anyone can play
+  const dealSealedDeck = async () => {
+    const draw = await createSealedDraw({ mode: activeMode, pool: activePool, count: numCards, shuffle: dealShuffled, existing: issuedRedeemCodes(history) });
+    if (fairDraw.verifierUrl) await registerCommitment(fairDraw.verifierUrl, draw);
+    sealedDraw.current = draw;
+    setDrawCommitment(draw.commitment);
+    return draw.cards;
+  };
+
+  const startGame = async () => {
+    // Over the play limit nothing new is dealt until the period rolls over
+    if (mode === 'play' && gate?.reason === 'limit') return;
+
+    let ordered;
+    sealedDraw.current = null;
+    setDrawCommitment(null);
+    setDrawReceipt(null);
+    setDrawError(null);
+
+    if (fairDraw.enabled) {
+      setIsDealing(true);
+      try {
+        ordered = await dealSealedDeck();
+      } catch (err) {
+        setDrawError(t('play.drawStartError', { error: err.message }));
+        return;
+      } finally {
+        setIsDealing(false);
+      }
     } else {
-        // Preserve order
-        initialGameCards = activeConfigs.map((config, index) => ({
-            ...config,
-            gameId: `card-${index}-${Date.now()}`, // Unique ID for key
-            isRevealed: false
-        }));
+      // Deal the deck from the weighted prize pool according to the game mode
+      const drawn = dealDeck(activeMode, activePool, numCards);
+
+      // Draw order is already random; without shuffle, lay cards out in editor order
+      ordered = dealShuffled || activeMode === 'match3' ? drawn : sortByPoolOrder(drawn, cardConfigs);
+      const codes = generateRedeemCodes(ordered.length, { existing: issuedRedeemCodes(history) });
+      ordered = ordered.map((config, index) => ({ ...config, redeemCode: codes[index] }));
     }
 
+    const initialGameCards = ordered.map((config, index) => ({
+        ...config,
+        gameId: `card-${index}-${Date.now()}`, // Unique ID for key
+        isRevealed: false
+    }));
+
+    gameStartedAt.current = new Date().toISOString();
+    const game = createGameId();
+    setTrackedGame(game);
+    track('game_start', {
+      game,
+      mode: activeMode,
+      template: activeTemplateId || null,
+      dealt: initialGameCards.filter(card => !card.sealed).map(card => card.id),
+    });
+    setPlayer(null);
+    setIsAwaitingPlayer(history.askPlayer && !isLiveHost); // Ask who is playing before showing the cards
     setGameCards(initialGameCards);
+    if (isLiveHost && !gate) dealLiveSeats(initialGameCards); // A gated draw seats the phones once it opens
     setGameState('playing'); // Jump straight to playing
     setResult(null);
-    setWonCardId(null);
-    setStartedCardId(null); // Reset scratching state
+    setStartedCardIds([]); // Reset scratching state
+    setScratchedIds([]);
+    setCardProgress({});
     setMode('play');
   };
 
-  const handleCardReveal = (cardId, content) => {
-    if (gameState === 'finished') return;
+  // Score the game, update stock and uncover the remaining cards
+  const finishGame = (cards, nextScratched) => {
+    const summary = evaluateGame(activeMode, cards, nextScratched);
+    setResult(summary);
+    track('game_end', {
+      won: summary.won,
+      prizes: summary.prizes.filter(isWinningPrize).map(card => card.id),
+      dealt: sealedDraw.current ? cards.map(card => card.id) : undefined,
+    });
+    const tier = summary.won ? getTopTier(summary.prizes) : 'none';
+    playRevealFeedback(tier, { sound: !muted, haptics });
+    if (summary.won) setCelebration({ tier });
 
-    setGameState('finished');
-    setResult(content);
-    setWonCardId(cardId);
+    // Take the won prizes out of the campaign stock and log the game
+    if (!sharedCard) {
+      setCampaign(prev => summary.prizes.reduce((next, card) => recordWin(next, cardConfigs, card.id), prev));
+      const session = createSession({
+        startedAt: gameStartedAt.current,
+        template: activeTemplateId ? loadTemplates().find(template => template.id === activeTemplateId) : null,
+        mode: activeMode,
+        player,
+        cards,
+        scratchedIds: nextScratched,
+        summary,
+        commitment: sealedDraw.current?.commitment,
+      });
+      setHistory(prev => addSession(prev, session));
+      if (isKiosk) setKiosk(prev => countKioskGame(prev, summary));
+    }
+
+    // Every phone gets its card uncovered and whether it won
+    Object.entries(seats).forEach(([playerId, gameId]) => {
+      const card = cards.find(c => c.gameId === gameId);
+      const won = nextScratched.includes(gameId) && isWinningPrize(card);
+      sendLive({ type: 'finished', to: playerId, card: { ...card, isRevealed: true }, won });
+    });
     
     // Reveal all other cards after a short delay
     setTimeout(() => {
@@ -341,17 +411,306 @@ export default function App() {
     }, 500);
   };
 
+  const handleCardReveal = (cardId) => {
+    if (gameState === 'finished' || scratchedIds.includes(cardId)) return;
+
+    const nextScratched = [...scratchedIds, cardId];
+    setScratchedIds(nextScratched);
+    if (!isGameOver(activeMode, { deckSize: gameCards.length, pickCount, scratchedIds: nextScratched })) return;
+    endGame(nextScratched);
+  };
+
+  // A card that will not decrypt leaves the game unscorable: stop it and
+  // offer a fresh deal (a kiosk deals one by itself)
+  const handleOpenError = (err) => {
+    setGameState('finished');
+    setDrawError(t('play.drawOpenError', { error: err.message }));
+  };
+
+  // Close the game on the cards scratched so far
+  const endGame = (nextScratched) => {
+    setGameState('finished');
+    const draw = sealedDraw.current;
+    if (!draw) {
+      finishGame(gameCards, nextScratched);
+      return;
+    }
+
+    // Open every card so the rules (and the final reveal) see real prizes, then release the receipt
+    Promise.all(gameCards.map(draw.open)).then(opened => {
+      setGameCards(opened);
+      finishGame(opened, nextScratched);
+      const scratched = nextScratched.map(id => opened.find(c => c.gameId === id).drawIndex);
+      setDrawReceipt(draw.receipt(scratched));
+      if (fairDraw.verifierUrl) {
+        registerResult(fairDraw.verifierUrl, draw.commitment, scratched).catch(err => setDrawError(t('play.drawRecordError', { error: err.message })));
+      }
+    }).catch(handleOpenError);
+  };
+
+  // Outside the opening window or over the play limit, the cards stay hidden
+  // until the game in hand is over; a started game is always finished
+  const isGated = !!gate && gameState === 'playing' && startedCardIds.length === 0;
+
+  const scratchAllowance = getScratchAllowance(activeMode, gameCards.length, pickCount);
+  const activeShape = sharedCard ? 'square' : cardShape;
+  const winningPrizes = result ? result.prizes.filter(isWinningPrize) : [];
+
+  const handleCardProgress = (cardId, percent) => {
+    setCardProgress(prev => ({ ...prev, [cardId]: percent }));
+  };
+
+  // Milestones are re-broadcast as DOM events so a host page embedding the
+  // app can hook sounds, haptics or analytics without touching its internals
+  const handleCardMilestone = (cardId, milestone) => {
+    window.dispatchEvent(new CustomEvent('scratchcard:milestone', { detail: { cardId, milestone } }));
+  };
+
+  // A card's own scratch events, logged by its position in the deal
+  const handleCardTrack = (cardId, { type, ...stats }) => {
+    const position = gameCards.findIndex(c => c.gameId === cardId);
+    const card = gameCards[position];
+    if (type === 'scratchstart') track('card_start', { card: position, input: stats.input });
+    else if (type === 'reveal') track('card_reveal', { card: position, prizeId: card?.id, tier: card?.tier, ...stats });
+  };
+
   const handleCardStart = (cardId) => {
-      if (!startedCardId && gameState === 'playing') {
-          setStartedCardId(cardId);
+      if (gameState === 'playing' && !startedCardIds.includes(cardId)) {
+          setStartedCardIds(prev => [...prev, cardId]);
+          // The first scratch is what counts as a play, not dealing or shuffling
+          if (limitsPlays && startedCardIds.length === 0) setPlays(prev => recordPlay(prev, campaignKey, Date.now()));
+
+          // A sealed card's prize is decrypted the moment it is scratched
+          const card = gameCards.find(c => c.gameId === cardId);
+          if (sealedDraw.current && card?.sealed) {
+            sealedDraw.current.open(card).then(opened => {
+              setGameCards(prev => prev.map(c => c.gameId === cardId && c.sealed ? { ...opened, isRevealed: c.isRevealed } : c));
+              // The phone scratching it needs the real prize too
+              const holder = getSeatHolder(seats, cardId);
+              if (holder) assignLiveCard(holder, opened);
+            }).catch(handleOpenError);
+          }
       }
   };
 
+  const downloadReceipt = () => {
+    downloadFile(`draw-receipt-${drawReceipt.commitment.slice(0, 8)}.json`, JSON.stringify(drawReceipt, null, 2), 'application/json');
+  };
+
   const handleReset = () => {
+    sendLive({ type: 'waiting' });
+    setSeats({});
+    setIsAwaitingPlayer(false);
     setMode('editor');
     setGameState('playing');
     setResult(null);
-    setStartedCardId(null);
+    setStartedCardIds([]);
+    setScratchedIds([]);
+    setCardProgress({});
+  };
+
+  /* --- Live Draw --- */
+
+  const [liveRoom] = useState(createRoomCode);
+  const [hostId] = useState(createClientId);
+  const [liveStatus, setLiveStatus] = useState('connecting');
+  const [livePlayers, setLivePlayers] = useState([]); // Client ids of the connected phones, in join order
+  const [seats, setSeats] = useState({}); // Player id -> gameId of their card, see lib/liveDraw
+  const liveChannel = useRef(null);
+
+  const sendLive = (message) => liveChannel.current?.send(message);
+
+  const assignLiveCard = (playerId, card) => {
+    sendLive({ type: 'assign', to: playerId, card, settings: { coating, scratchSettings, language, cardShape } });
+  };
+
+  // Seat the phones already in the room at a freshly dealt deck
+  const dealLiveSeats = (cards) => {
+    const nextSeats = assignSeats(cards, livePlayers);
+    setSeats(nextSeats);
+    livePlayers.forEach(playerId => {
+      const card = cards.find(c => c.gameId === nextSeats[playerId]);
+      if (card) assignLiveCard(playerId, card);
+      else sendLive({ type: 'full', to: playerId });
+    });
+  };
+
+  // A phone (re)joined: give it its card back, or a free one while the game runs
+  const seatLivePlayer = (playerId) => {
+    if (mode !== 'play' || isGated) {
+      sendLive({ type: 'waiting', to: playerId });
+      return;
+    }
+    const nextSeats = gameState === 'finished' ? seats : takeSeat(seats, gameCards, playerId);
+    const card = gameCards.find(c => c.gameId === nextSeats[playerId]);
+    if (!card) {
+      sendLive({ type: gameState === 'finished' ? 'waiting' : 'full', to: playerId });
+      return;
+    }
+    setSeats(nextSeats);
+    assignLiveCard(playerId, card);
+    if (gameState === 'finished') {
+      sendLive({ type: 'finished', to: playerId, card, won: scratchedIds.includes(card.gameId) && isWinningPrize(card) });
+    }
+  };
+
+  const handleLiveMessage = useEffectEvent((message) => {
+    const { type, from, gameId } = message;
+    if (type === 'hello') {
+      setLivePlayers(prev => prev.includes(from) ? prev : [...prev, from]);
+      seatLivePlayer(from);
+      return;
+    }
+    if (type === 'left') {
+      setLivePlayers(prev => prev.filter(id => id !== from));
+      // An untouched card goes back to the table; a started one waits for its player
+      if (seats[from] && !startedCardIds.includes(seats[from])) {
+        setSeats(prev => Object.fromEntries(Object.entries(prev).filter(([playerId]) => playerId !== from)));
+      }
+      return;
+    }
+    if (!gameId || seats[from] !== gameId) return; // Only a card's holder may play it
+    // The phone's card isn't rendered here, so the host logs its scratching on its own clock
+    const position = gameCards.findIndex(c => c.gameId === gameId);
+    if (type === 'start') {
+      if (!startedCardIds.includes(gameId)) track('card_start', { card: position, input: 'live' });
+      handleCardStart(gameId);
+    } else if (type === 'progress') handleCardProgress(gameId, Number(message.percent) || 0);
+    else if (type === 'reveal' && !scratchedIds.includes(gameId)) {
+      track('card_reveal', { card: position, prizeId: gameCards[position].id, tier: gameCards[position].tier });
+      setGameCards(prev => prev.map(c => c.gameId === gameId ? { ...c, isRevealed: true } : c));
+      handleCardReveal(gameId);
+    }
+  });
+
+  // The window opening (or closing on an untouched deck) re-seats the phones
+  const gateReason = gate?.reason ?? null;
+  const announceGate = useEffectEvent((reason) => {
+    if (mode !== 'play' || gameState !== 'playing') return;
+    if (!reason) sendLive({ type: 'host' }); // Phones answer with hello
+    else if (startedCardIds.length === 0) {
+      sendLive({ type: 'waiting' });
+      setSeats({});
+    }
+  });
+
+  useEffect(() => {
+    if (isLiveHost) announceGate(gateReason);
+  }, [isLiveHost, gateReason]);
+
+  useEffect(() => {
+    if (!isLiveHost) return;
+    liveChannel.current = createLiveChannel({
+      room: liveRoom,
+      relayUrl: liveDraw.relayUrl,
+      id: hostId,
+      // Render between messages, so two phones revealing at once both count
+      onMessage: (message) => flushSync(() => handleLiveMessage(message)),
+      onStatus: (status) => {
+        setLiveStatus(status);
+        if (status === 'open') liveChannel.current?.send({ type: 'host' }); // Phones answer with hello
+      },
+    });
+    return () => {
+      liveChannel.current.close();
+      liveChannel.current = null;
+      setLiveStatus('connecting');
+      setLivePlayers([]);
+      setSeats({});
+    };
+  }, [isLiveHost, liveRoom, hostId, liveDraw.relayUrl]);
+
+  /* --- Kiosk --- */
+
+  // `pin` is a newly typed PIN, or empty to keep the one already set
+  const startKiosk = async (pin) => {
+    enterFullscreen(); // Needs the click, so it can't wait for the hashing or the effect below
+    const pinHash = pin ? await hashPin(pin) : kiosk.pinHash;
+    setKiosk(prev => startKioskSession({ ...prev, pinHash }));
+    setShowAttract(true);
+  };
+
+  const exitKiosk = () => {
+    exitFullscreen();
+    setKiosk(endKioskSession);
+    setIsUnlocking(false);
+    setShowAttract(false);
+    handleReset();
+  };
+
+  const dealKioskGame = useEffectEvent(() => startGame());
+
+  // Deal the first game when the kiosk starts (or resumes after a reload)
+  useEffect(() => {
+    if (isKiosk) dealKioskGame();
+  }, [isKiosk]);
+
+  // Leave the result up for a while, then deal the next player a fresh game
+  useEffect(() => {
+    if (!isKiosk || gameState !== 'finished') return;
+    const timer = setTimeout(dealKioskGame, kiosk.resetSeconds * 1000);
+    return () => clearTimeout(timer);
+  }, [isKiosk, gameState, kiosk.resetSeconds]);
+
+  // Nobody touching the screen: show the attract screen, abandoning a half-played game
+  const handleKioskIdle = useEffectEvent(() => {
+    setShowAttract(true);
+    setIsUnlocking(false);
+    if (gameState === 'playing' && startedCardIds.length > 0) startGame();
+  });
+
+  useEffect(() => {
+    if (!isKiosk || showAttract) return;
+    let timer;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(handleKioskIdle, kiosk.idleSeconds * 1000);
+    };
+    const events = ['pointerdown', 'pointermove', 'keydown'];
+    restart();
+    events.forEach(type => window.addEventListener(type, restart));
+    return () => {
+      clearTimeout(timer);
+      events.forEach(type => window.removeEventListener(type, restart));
+    };
+  }, [isKiosk, showAttract, kiosk.idleSeconds]);
+
+  const handleCsvImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+
+    try {
+      const configs = prizesFromCsvRows(parseCsv(await file.text()));
+      if (configs.length === 0) throw new Error(t('editor.csvEmpty'));
+      setCardConfigs(configs);
+      setCampaign(restock); // Stock counts belong to the old prize ids
+      setImportError(null);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  const exportRedeemCodes = () => {
+    downloadFile(`redeem-codes-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(redeemCodeRows(gameCards)), 'text/csv');
+  };
+
+  const copyShareLink = async (card) => {
+    let url;
+    try {
+      url = buildShareUrl(card);
+    } catch {
+      setShareErrorCardId(card.id);
+      return;
+    }
+    setShareErrorCardId(null);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopiedCardId(card.id);
+      setTimeout(() => setCopiedCardId(id => id === card.id ? null : id), 2000);
+    } catch {
+      window.prompt(t('editor.copyLinkPrompt'), url);
+    }
   };
 
   const handleReplay = () => {
@@ -359,27 +718,24 @@ export default function App() {
   };
 
   const handlePlayerShuffle = () => {
-    // Force a shuffle of the currently active cards
-    const activeConfigs = cardConfigs.slice(0, numCards);
-    
-    const shuffledCards = [...activeConfigs]
-        .map(value => ({ value, sort: Math.random() }))
-        .sort((a, b) => a.sort - b.sort)
-        .map(({ value }, index) => ({
-            ...value,
-            gameId: `shuffled-${index}-${Date.now()}`, 
-            isRevealed: false
-        }));
+    track('shuffle', {});
+    // Force a shuffle of the cards already drawn for this session
+    const shuffledCards = shuffleCards(gameCards).map((card, index) => ({
+        ...card,
+        gameId: `shuffled-${index}-${Date.now()}`, 
+        isRevealed: false
+    }));
 
     setGameCards(shuffledCards);
     setGameState('playing');
     setResult(null);
-    setWonCardId(null);
-    setStartedCardId(null);
+    setStartedCardIds([]);
+    setScratchedIds([]);
+    setCardProgress({});
   };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500 font-sans text-gray-900 p-4 md:p-8">
+    <div lang={language} dir={dir} className={`min-h-screen bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500 font-sans text-gray-900 p-4 md:p-8 ${reducedMotion ? 'reduce-motion' : ''}`}>
       
       <div className="max-w-4xl mx-auto bg-white/95 backdrop-blur-sm rounded-3xl shadow-2xl overflow-hidden min-h-[600px] flex flex-col">
         
@@ -390,29 +746,98 @@ export default function App() {
                 <Trophy size={20} />
              </div>
              <h1 className="text-2xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-indigo-600 to-pink-600">
-                Lucky Scratch
+                {t('app.title')}
              </h1>
           </div>
-          {mode === 'play' && (
-             <button 
-                onClick={handleReset}
-                className="text-sm font-medium text-gray-500 hover:text-indigo-600 flex items-center gap-2 transition-colors"
-             >
-                <Settings size={16} />
-                Edit Cards
-             </button>
+          {isKiosk ? (
+          <div className="flex items-center gap-4">
+            <span className="text-sm text-gray-400">
+              {t('history.games', { count: kiosk.session.games })} · {t('history.winnerCount', { count: kiosk.session.wins })}
+            </span>
+            <button
+              onClick={() => setIsUnlocking(true)}
+              className="p-2 rounded-lg text-gray-300 hover:text-indigo-600 transition-colors"
+              title={t('kiosk.exitTitle')}
+              aria-label={t('kiosk.exit')}
+            >
+              <Lock size={16} />
+            </button>
+          </div>
+          ) : (
+          <div className="flex items-center gap-4">
+            <label className="flex items-center gap-1.5 text-gray-500">
+              <Languages size={16} />
+              <select
+                value={language}
+                onChange={(e) => changeLanguage(e.target.value)}
+                className="text-sm font-medium bg-transparent outline-none focus:ring-2 focus:ring-indigo-500 rounded-md"
+                aria-label={t('app.language')}
+              >
+                {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                  <option key={code} value={code} lang={code}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <select
+              value={motionPreference}
+              onChange={(e) => setMotionPreference(e.target.value)}
+              className="text-sm font-medium text-gray-500 bg-transparent outline-none focus:ring-2 focus:ring-indigo-500 rounded-md"
+              aria-label={t('app.animations')}
+            >
+              {Object.keys(MOTION_PREFERENCES).map(key => (
+                <option key={key} value={key}>{t(`motion.${key}`)}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setMuted(!muted)}
+              className="text-gray-500 hover:text-indigo-600 transition-colors"
+              aria-pressed={muted}
+              aria-label={t('app.mute')}
+              title={muted ? t('app.soundOff') : t('app.soundOn')}
+            >
+              {muted ? <VolumeX size={18} /> : <Volume2 size={18} />}
+            </button>
+            <button
+              onClick={() => setHaptics(!haptics)}
+              className="text-gray-500 hover:text-indigo-600 transition-colors"
+              aria-pressed={haptics}
+              aria-label={t('app.haptics')}
+              title={haptics ? t('app.hapticsOn') : t('app.hapticsOff')}
+            >
+              {haptics ? <Vibrate size={18} /> : <VibrateOff size={18} />}
+            </button>
+            {/* Hidden while the schedule or play limit holds, so the editor can't be used to skip it */}
+            {mode === 'play' && !sharedCard && !gate && (
+               <button 
+                  onClick={handleReset}
+                  className="text-sm font-medium text-gray-500 hover:text-indigo-600 flex items-center gap-2 transition-colors"
+               >
+                  <Settings size={16} />
+                  {t('app.editCards')}
+               </button>
+            )}
+          </div>
           )}
         </header>
 
         {/* Content Area */}
         <div className="flex-1 p-6 md:p-8 overflow-y-auto">
           
-          {mode === 'editor' ? (
+          {mode === 'editor' && !isKiosk ? (
             <div className="space-y-8 animate-in fade-in slide-in-from-bottom-4 duration-500">
+              <TemplatesPanel
+                settings={editorSettings}
+                activeTemplateId={activeTemplateId}
+                onActiveTemplateChange={setActiveTemplateId}
+                onLoad={applyTemplate}
+                onSave={(settings) => setCampaign(prev => clampInventory(prev, settings.cardConfigs))}
+                t={t}
+              />
+
               <div className="flex flex-col md:flex-row md:items-end justify-between gap-6 bg-gray-50 p-6 rounded-2xl border border-gray-100">
                  <div>
-                    <h2 className="text-xl font-semibold text-gray-800">Setup Your Scratch Cards</h2>
-                    <p className="text-gray-500 mt-1">Configure prizes and settings.</p>
+                    <h2 className="text-xl font-semibold text-gray-800">{t('editor.title')}</h2>
+                    <p className="text-gray-500 mt-1">{t('editor.intro')}</p>
                  </div>
                  
                  <div className="flex flex-wrap items-center gap-6">
@@ -422,91 +847,253 @@ export default function App() {
                             onClick={() => setShouldShuffle(!shouldShuffle)}
                             className={`w-12 h-6 rounded-full transition-colors relative ${shouldShuffle ? 'bg-indigo-600' : 'bg-gray-300'}`}
                         >
-                            <div className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${shouldShuffle ? 'left-7' : 'left-1'}`} />
+                            <div className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${shouldShuffle ? 'start-7' : 'start-1'}`} />
                         </button>
                         <span className="text-sm font-medium text-gray-700 cursor-pointer select-none" onClick={() => setShouldShuffle(!shouldShuffle)}>
-                            Shuffle Cards
+                            {t('editor.shuffle')}
+                        </span>
+                    </div>
+
+                    {/* Campaign Inventory Toggle */}
+                    <div className="flex items-center gap-3 bg-white px-4 py-2 rounded-xl border border-gray-200 shadow-sm">
+                        <button 
+                            onClick={() => setCampaign(prev => ({ ...prev, enabled: !prev.enabled }))}
+                            className={`w-12 h-6 rounded-full transition-colors relative ${campaign.enabled ? 'bg-indigo-600' : 'bg-gray-300'}`}
+                        >
+                            <div className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${campaign.enabled ? 'start-7' : 'start-1'}`} />
+                        </button>
+                        <span className="text-sm font-medium text-gray-700 cursor-pointer select-none" onClick={() => setCampaign(prev => ({ ...prev, enabled: !prev.enabled }))}>
+                            {t('editor.trackStock')}
                         </span>
+                        {campaign.enabled && (
+                            <button
+                                onClick={() => setCampaign(restock)}
+                                className="text-xs font-semibold text-indigo-600 hover:text-indigo-800 flex items-center gap-1 transition-colors"
+                                title={t('editor.restockTitle')}
+                            >
+                                <Package size={14} />
+                                {t('editor.restock')}
+                            </button>
+                        )}
                     </div>
 
                     {/* Number Selector */}
                     <div className="flex items-center gap-4 bg-white px-4 py-2 rounded-xl border border-gray-200 shadow-sm">
-                        <label className="text-sm font-medium text-gray-700">Count:</label>
-                        <div className="flex items-center gap-3">
-                           <input 
-                              type="range" 
-                              min="1" 
-                              max="5" 
-                              value={numCards}
-                              onChange={handleNumCardsChange}
-                              className="w-24 accent-indigo-600 cursor-pointer"
-                            />
-                            <span className="font-bold text-indigo-600 w-4">{numCards}</span>
-                        </div>
+                        <label className="text-sm font-medium text-gray-700">{t('editor.count')}</label>
+                        {gameMode === 'match3' ? (
+                          <span className="font-bold text-indigo-600" title={t('editor.matchGridHint')}>{MATCH_GRID_SIZE}</span>
+                        ) : (
+                          <input 
+                             type="number" 
+                             min="1" 
+                             max={MAX_CARDS} 
+                             value={numCardsInput ?? numCards}
+                             onChange={handleNumCardsChange}
+                             onBlur={handleNumCardsBlur}
+                             className="w-20 px-2 py-1 border border-gray-200 rounded-md focus:ring-2 focus:ring-indigo-500 outline-none font-bold text-indigo-600"
+                           />
+                        )}
                     </div>
+
+                    {/* Card Shape */}
+                    <label className="flex items-center gap-3 bg-white px-4 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700">
+                        {t('editor.cardShape')}
+                        <select
+                            value={cardShape}
+                            onChange={(e) => setCardShape(e.target.value)}
+                            className="bg-transparent outline-none focus:ring-2 focus:ring-indigo-500 rounded-md font-bold text-indigo-600"
+                        >
+                            {Object.keys(CARD_SHAPES).map(key => (
+                                <option key={key} value={key}>{t(`shapes.${key}`)}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    {/* CSV Import */}
+                    <button
+                        onClick={() => csvInputRef.current?.click()}
+                        className="flex items-center gap-2 bg-white px-4 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors"
+                        title={t('editor.csvColumns')}
+                    >
+                        <Upload size={16} />
+                        {t('editor.importCsv')}
+                    </button>
+                    <input ref={csvInputRef} type="file" accept=".csv,text/csv" onChange={handleCsvImport} className="hidden" />
                  </div>
               </div>
 
+              {importError && (
+                <p className="text-sm text-rose-600 bg-rose-50 border border-rose-100 rounded-xl px-4 py-3">
+                    {t('editor.csvError', { error: importError })}
+                </p>
+              )}
+
+              {/* Game Mode */}
+              <div className="flex flex-col md:flex-row md:items-center gap-4">
+                <div className="flex flex-wrap bg-gray-100 rounded-xl p-1">
+                    {Object.keys(GAME_MODES).map(key => (
+                        <button
+                            key={key}
+                            onClick={() => setGameMode(key)}
+                            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${gameMode === key ? 'bg-white shadow text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+                        >
+                            {t(`modes.${key}.label`)}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-sm text-gray-500 flex-1">{t(`modes.${gameMode}.description`)}</p>
+                {gameMode === 'pick' && (
+                    <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                        {t('editor.playerScratches')}
+                        <input
+                            type="number"
+                            min="1"
+                            max={numCards}
+                            value={pickCount}
+                            onChange={(e) => setPickCount(Math.min(numCards, Math.max(1, parseInt(e.target.value) || 1)))}
+                            className="w-16 px-2 py-1 border border-gray-200 rounded-md focus:ring-2 focus:ring-indigo-500 outline-none font-bold text-indigo-600"
+                        />
+                        {t('editor.ofCount', { count: numCards })}
+                    </label>
+                )}
+              </div>
+
               <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-                {cardConfigs.slice(0, numCards).map((card, idx) => (
+                {cardConfigs.map((card, idx) => (
                   <div key={card.id} className="bg-white border border-gray-200 rounded-xl p-4 shadow-sm hover:shadow-md transition-shadow relative">
-                    <div className="absolute -top-3 -left-3 bg-indigo-100 text-indigo-700 w-8 h-8 flex items-center justify-center rounded-full text-xs font-bold border-2 border-white shadow-sm">
+                    <div className="absolute -top-3 -start-3 bg-indigo-100 text-indigo-700 w-8 h-8 flex items-center justify-center rounded-full text-xs font-bold border-2 border-white shadow-sm">
                         {idx + 1}
                     </div>
 
-                    <div className="flex items-center justify-end mb-3 mr-6">
-                        <div className="flex bg-gray-100 rounded-lg p-1">
-                            <button 
-                                onClick={() => updateCardConfig(card.id, 'type', 'text')}
-                                className={`p-1.5 rounded-md transition-all ${card.type === 'text' ? 'bg-white shadow text-indigo-600' : 'text-gray-400 hover:text-gray-600'}`}
+                    <div className="flex items-center justify-between mb-3 ms-6">
+                        <div className="flex items-center gap-1">
+                            <button
+                                onClick={() => removeCardConfig(card.id)}
+                                disabled={cardConfigs.length <= 1}
+                                className="p-1.5 rounded-md text-gray-300 hover:text-rose-500 disabled:opacity-30 disabled:hover:text-gray-300 transition-colors"
+                                title={t('editor.removePrize')}
                             >
-                                <Type size={16} />
+                                <Trash2 size={16} />
                             </button>
-                            <button 
-                                onClick={() => updateCardConfig(card.id, 'type', 'image')}
-                                className={`p-1.5 rounded-md transition-all ${card.type === 'image' ? 'bg-white shadow text-indigo-600' : 'text-gray-400 hover:text-gray-600'}`}
+                            <button
+                                onClick={() => copyShareLink(card)}
+                                disabled={!hasPrizeContent(card) || !canShareCard(card)}
+                                className="p-1.5 rounded-md text-gray-300 hover:text-indigo-600 disabled:opacity-30 disabled:hover:text-gray-300 transition-colors"
+                                title={canShareCard(card) ? t('editor.copyLink') : t('editor.copyLinkUploaded')}
                             >
-                                <ImageIcon size={16} />
+                                {copiedCardId === card.id ? <Check size={16} className="text-emerald-500" /> : <Link size={16} />}
                             </button>
                         </div>
+                        <TierSelect value={card.tier} onChange={(tier) => updateCardConfig(card.id, 'tier', tier)} t={t} />
                     </div>
 
-                    {card.type === 'text' ? (
-                        <textarea
-                            value={card.content}
-                            onChange={(e) => updateCardConfig(card.id, 'content', e.target.value)}
-                            className="w-full px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all resize-none text-sm min-h-[80px]"
-                            placeholder="Enter prize text..."
-                        />
-                    ) : (
-                        <div className="space-y-2">
-                             <input
-                                type="text"
-                                value={card.content.startsWith('http') ? card.content : ''}
-                                onChange={(e) => updateCardConfig(card.id, 'content', e.target.value)}
-                                className="w-full px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none text-sm"
-                                placeholder="Paste Image URL..."
+                    {shareErrorCardId === card.id && (
+                        <p className="text-xs text-rose-600 mb-2" role="alert">{t('editor.copyLinkError')}</p>
+                    )}
+
+                    <PrizeFields prize={card} onChange={(field, value) => updateCardConfig(card.id, field, value)} t={t} />
+
+                    {/* Coating Colour */}
+                    <div className="flex items-center gap-2 mt-3">
+                        {Object.entries(COLOR_THEMES).map(([key, theme]) => (
+                            <button
+                                key={key}
+                                onClick={() => updateCardConfig(card.id, 'color', key)}
+                                className={`w-6 h-6 rounded-full border-2 transition-transform ${(card.color || 'indigo') === key ? 'border-gray-800 scale-110' : 'border-white shadow-sm hover:scale-110'}`}
+                                style={{ background: `linear-gradient(135deg, ${theme.light}, ${theme.main})` }}
+                                title={t(`colors.${key}`)}
+                            />
+                        ))}
+                    </div>
+
+                    {/* Pool Quantity & Odds */}
+                    <div className="flex items-center justify-between gap-3 mt-3 pt-3 border-t border-gray-100">
+                        <label className="flex items-center gap-2 text-xs font-medium text-gray-500">
+                            {t('editor.quantity')}
+                            <input
+                                type="number"
+                                min="0"
+                                value={card.quantity ?? 1}
+                                onChange={(e) => updateCardConfig(card.id, 'quantity', Math.max(0, parseInt(e.target.value) || 0))}
+                                className="w-20 px-2 py-1 border border-gray-200 rounded-md focus:ring-2 focus:ring-indigo-500 outline-none text-sm text-gray-800"
                             />
-                            <div className="h-20 w-full bg-gray-50 rounded-lg overflow-hidden border border-gray-100 flex items-center justify-center relative group">
-                                {card.content && card.content.startsWith('http') ? (
-                                    <img src={card.content} alt="Preview" className="h-full object-contain" />
-                                ) : (
-                                    <span className="text-gray-400 text-xs">No Image</span>
-                                )}
-                            </div>
+                        </label>
+                        <div className="text-end">
+                            <span className="block text-xs font-bold text-indigo-600" title={t('editor.chanceHint')}>
+                                {(prizeOdds[idx].probability * 100).toFixed(1)}%
+                            </span>
+                            {campaign.enabled && (
+                                <span className={`block text-[11px] font-medium ${getRemaining(campaign, card) === 0 ? 'text-rose-500' : 'text-gray-400'}`}>
+                                    {getRemaining(campaign, card) === 0 ? t('editor.outOfStock') : t('editor.left', { count: getRemaining(campaign, card) })}
+                                </span>
+                            )}
                         </div>
-                    )}
+                    </div>
                   </div>
                 ))}
+
+                <button
+                    onClick={addCardConfig}
+                    className="border-2 border-dashed border-gray-200 rounded-xl p-4 min-h-[120px] flex flex-col items-center justify-center gap-2 text-gray-400 hover:text-indigo-600 hover:border-indigo-200 transition-colors"
+                >
+                    <Plus size={24} />
+                    <span className="text-sm font-medium">{t('editor.addPrize')}</span>
+                </button>
               </div>
 
+              {gameMode !== 'match3' && poolSize < numCards && (
+                <p className="text-center text-sm text-amber-600">
+                    {t(campaign.enabled ? 'editor.poolShortStock' : 'editor.poolShort', { cards: t('common.cards', { count: poolSize }), count: numCards })}
+                </p>
+              )}
+
+              <CoatingPanel coating={coating} onChange={setCoating} previewColor={cardConfigs[0]?.color} t={t} />
+
+              <ScratchSettingsPanel settings={scratchSettings} onChange={setScratchSettings} t={t} />
+
+              <FairDrawPanel settings={fairDraw} onChange={setFairDraw} t={t} language={language} />
+
+              <PrintPanel pool={activePool} coating={coating} t={t} />
+
+              <HistoryPanel history={history} onChange={setHistory} saveFailed={historySaveFailed} t={t} language={language} />
+
+              <LiveDrawPanel settings={liveDraw} onChange={setLiveDraw} room={liveRoom} status={liveStatus} playerCount={livePlayers.length} t={t} />
+
+              <AnalyticsPanel
+                analytics={analytics}
+                onChange={setAnalytics}
+                saveFailed={analyticsSaveFailed}
+                pool={cardConfigs}
+                templateId={activeTemplateId || null}
+                t={t}
+                language={language}
+              />
+
+              <SchedulePanel
+                schedule={schedule}
+                onChange={setSchedule}
+                plays={plays[campaignKey]}
+                onResetPlays={() => setPlays(prev => clearPlays(prev, campaignKey))}
+                now={now}
+                t={t}
+              />
+
+              <KioskPanel kiosk={kiosk} onChange={setKiosk} onStart={startKiosk} disabled={poolSize === 0} t={t} />
+
+              {drawError && (
+                <p className="text-sm text-rose-600 bg-rose-50 border border-rose-100 rounded-xl px-4 py-3">
+                  {drawError}
+                </p>
+              )}
+
               <div className="flex justify-center pt-4">
                  <button 
                     onClick={startGame}
-                    className="group bg-indigo-600 hover:bg-indigo-700 text-white px-10 py-4 rounded-2xl font-semibold shadow-lg shadow-indigo-200 transition-all hover:scale-105 active:scale-95 flex items-center gap-3"
+                    disabled={poolSize === 0 || isDealing}
+                    className="group disabled:opacity-50 disabled:pointer-events-none bg-indigo-600 hover:bg-indigo-700 text-white px-10 py-4 rounded-2xl font-semibold shadow-lg shadow-indigo-200 transition-all hover:scale-105 active:scale-95 flex items-center gap-3"
                  >
                     <Play size={24} className="fill-current" />
-                    <span className="text-lg">Start Game</span>
+                    <span className="text-lg">{t('editor.start')}</span>
                  </button>
               </div>
             </div>
@@ -514,95 +1101,244 @@ export default function App() {
             <div className="h-full flex flex-col items-center">
                
                {/* Game Status / Result */}
-               <div className="mb-8 text-center min-h-[5rem] flex flex-col justify-center">
-                 {gameState === 'finished' ? (
+               <div className="mb-8 text-center min-h-[5rem] flex flex-col justify-center" aria-live="polite">
+                 {gameState === 'finished' && result ? (
                    <div className="animate-in zoom-in duration-300">
-                     <p className="text-sm font-bold text-gray-400 uppercase tracking-widest mb-1">Result</p>
-                     <h2 className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-pink-600 to-indigo-600">
-                        You found: {gameCards.find(c => c.gameId === wonCardId)?.type === 'image' ? 'A Prize!' : result}
-                     </h2>
+                     <p className="text-sm font-bold text-gray-400 uppercase tracking-widest mb-1">{t('play.result')}</p>
+                     {result.mode === 'classic' && (
+                       <h2 className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-pink-600 to-indigo-600">
+                          {result.won ? t('play.youFound', { prize: formatPrize(result.prizes[0]) }) : prizeTitle(result.prizes[0])}
+                       </h2>
+                     )}
+                     {result.mode === 'match3' && (
+                       <h2 className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-pink-600 to-indigo-600">
+                          {result.won ? t('play.threeOfAKind', { prize: formatPrize(result.prizes[0]) }) : t('play.noMatch')}
+                       </h2>
+                     )}
+                     {(result.mode === 'pick' || result.mode === 'all') && (
+                       <>
+                         <h2 className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-pink-600 to-indigo-600">
+                            {result.won
+                              ? t('play.foundPrizes', { count: winningPrizes.length })
+                              : t('play.noPrizes')}
+                         </h2>
+                         <ul className="mt-3 flex flex-wrap justify-center gap-2">
+                            {winningPrizes.map(card => (
+                              <li key={card.gameId} className="px-3 py-1 rounded-full bg-indigo-50 text-indigo-700 text-sm font-medium border border-indigo-100">
+                                 {formatPrize(card)}
+                              </li>
+                            ))}
+                         </ul>
+                       </>
+                     )}
+                     {/* How to claim each prize won */}
+                     {winningPrizes.some(card => card.redemption) && (
+                       <div className="mt-4 mx-auto max-w-md space-y-2 text-start">
+                         {winningPrizes.filter(card => card.redemption).map(card => (
+                           <div key={card.gameId} className="bg-amber-50 border border-amber-100 rounded-xl px-4 py-3 text-sm text-amber-800">
+                             <span className="font-semibold">{prizeTitle(card)}:</span> {card.redemption}
+                             {card.redeemCode && <span className="ms-1 font-mono text-xs">({card.redeemCode})</span>}
+                           </div>
+                         ))}
+                       </div>
+                     )}
                    </div>
-                 ) : (
+                 ) : isAwaitingPlayer || isGated ? null : (
                    <div className="animate-in fade-in slide-in-from-top-2 duration-500">
-                       <p className="text-indigo-600 font-bold text-xl">Pick a card to scratch!</p>
+                       <p className="text-indigo-600 font-bold text-xl">
+                           {isLiveHost ? t('live.prompt') : t(`play.prompt.${activeMode}`, { count: scratchAllowance })}
+                       </p>
                        <p className="text-gray-400 text-sm mt-1">
-                           Use your finger or mouse to scratch the card! {startedCardId 
-                             ? "Finish scratching this card!" 
-                             : "Find the hidden prize"}
+                           {t('play.howTo')} {activeMode === 'classic'
+                             ? (startedCardIds.length > 0 ? t('play.finishCard') : t('play.findPrize'))
+                             : t('play.scratchedCount', { count: scratchedIds.length, total: scratchAllowance })}
                        </p>
                    </div>
                  )}
                </div>
 
+               {/* Verifiable draw commitment, published before any card is scratched */}
+               {drawCommitment && (
+                 <p className="-mt-4 mb-6 text-xs text-gray-400 flex items-center gap-1.5" title={drawCommitment}>
+                   <ShieldCheck size={14} className="text-emerald-500" />
+                   {t('play.commitment')} <span className="font-mono">{formatCommitment(drawCommitment)}</span>
+                 </p>
+               )}
+               {/* Where phones join a live draw */}
+               {isLiveHost && (
+                 <p className="-mt-4 mb-6 text-sm text-gray-500 flex flex-wrap items-center justify-center gap-x-2 gap-y-1">
+                   <Smartphone size={16} className="text-indigo-600" />
+                   {t('live.joinAt')} <span className="font-mono text-gray-700 break-all">{buildJoinUrl(liveRoom, liveDraw.relayUrl)}</span>
+                   <span className="text-gray-400">· {t('live.players', { count: livePlayers.length })}</span>
+                 </p>
+               )}
+               {drawError && mode === 'play' && (
+                 <p className="mb-6 text-sm text-rose-600 bg-rose-50 border border-rose-100 rounded-xl px-4 py-3">{drawError}</p>
+               )}
+
                {/* Cards Container */}
                <div className="flex-1 w-full flex items-center justify-center">
-                   <div className="flex flex-wrap justify-center gap-6 md:gap-8">
-                       {gameCards.map((card) => {
-                           // Logic to lock cards
-                           const isFinished = gameState === 'finished';
-                           const isNotWinner = isFinished && card.gameId !== wonCardId;
-                           // If ANY card has been started, lock all others that are NOT the started one
-                           const isOtherCardStarted = !isFinished && startedCardId && startedCardId !== card.gameId;
-                           
-                           const locked = isNotWinner || isOtherCardStarted;
+                   {isGated ? (
+                     <CampaignGate gate={gate} endsAt={schedule.endsAt} now={now} language={language} t={t} />
+                   ) : isAwaitingPlayer ? (
+                     <PlayerForm
+                       onSubmit={(details) => {
+                         setPlayer(details);
+                         setIsAwaitingPlayer(false);
+                       }}
+                       t={t}
+                     />
+                   ) : gameCards.length === 0 ? (
+                     <p className="text-gray-500 font-medium">{t('play.allClaimed')}</p>
+                   ) : (
+                   <CardGrid
+                       items={gameCards}
+                       getKey={(card) => card.gameId}
+                       shape={activeShape}
+                       columns={activeMode === 'match3' ? MATCH_GRID_COLUMNS : undefined}
+                       maxWidth={activeMode === 'match3' ? 130 : undefined}
+                       gap={activeMode === 'match3' ? 16 : 24}
+                       footerHeight={isLiveHost ? 38 : 18} // Progress bar, plus the player label in a live draw
+                       isPinned={(card) => startedCardIds.includes(card.gameId) && !card.isRevealed}
+                       label={t('play.cards')}
+                       renderItem={(card) => {
+                           // Logic to lock cards - the game mode decides how many may be started
+                           const isScratchedByPlayer = scratchedIds.includes(card.gameId);
+                           const locked = !isScratchedByPlayer && isCardLocked(activeMode, card.gameId, {
+                               deckSize: gameCards.length,
+                               pickCount,
+                               startedIds: startedCardIds,
+                               finished: gameState === 'finished'
+                           });
+                           // In a live draw cards are scratched on the phones; only the free ones fade out
+                           const holder = isLiveHost ? getSeatHolder(seats, card.gameId) : null;
+                           const dimmed = isLiveHost ? !holder : locked;
 
                            return (
-                               <div key={card.gameId} className={`transition-opacity duration-500 ${locked && !card.isRevealed ? 'opacity-50 grayscale' : 'opacity-100'}`}>
+                               <div className={`transition-opacity duration-500 ${dimmed && !card.isRevealed ? 'opacity-50 grayscale' : 'opacity-100'}`}>
                                    <ScratchCard
-                                       width={200}
-                                       height={200}
-                                       content={card.content}
-                                       type={card.type}
-                                       color="indigo" // Force uniform color
+                                       aspectRatio={activeShape}
+                                       prize={card}
+                                       color={card.color || 'indigo'}
+                                       coating={sharedCard ? undefined : coating}
+                                       scratchSettings={sharedCard ? undefined : scratchSettings}
+                                       reducedMotion={reducedMotion}
+                                       sound={!muted}
+                                       haptics={haptics}
+                                       language={language}
                                        isRevealed={card.isRevealed}
-                                       isLocked={locked}
+                                       isLocked={locked || isLiveHost}
                                        onScratchStart={() => handleCardStart(card.gameId)}
-                                       isWinner={card.gameId === wonCardId}
-                                       onReveal={(content) => handleCardReveal(card.gameId, content)}
+                                       isWinner={!!result && result.highlightIds.includes(card.gameId)}
+                                       code={card.redeemCode}
+                                       onReveal={() => handleCardReveal(card.gameId)}
+                                       onProgress={(percent) => handleCardProgress(card.gameId, percent)}
+                                       onMilestone={(milestone) => handleCardMilestone(card.gameId, milestone)}
+                                       onTrack={(event) => handleCardTrack(card.gameId, event)}
                                    />
+                                   {/* Scratch Progress */}
+                                   <div className={`mt-3 h-1.5 w-full bg-gray-100 rounded-full overflow-hidden transition-opacity ${card.isRevealed || !cardProgress[card.gameId] ? 'opacity-0' : 'opacity-100'}`}>
+                                       <div
+                                           className="h-full bg-gradient-to-r from-indigo-500 to-pink-500 transition-[width] duration-150"
+                                           style={{ width: `${cardProgress[card.gameId] || 0}%` }}
+                                       />
+                                   </div>
+                                   {holder && (
+                                       <p className="mt-1 text-center text-xs font-semibold text-indigo-600">
+                                           {livePlayers.includes(holder) ? t('live.player', { number: livePlayers.indexOf(holder) + 1 }) : t('live.disconnected')}
+                                       </p>
+                                   )}
                                </div>
                            );
-                       })}
-                   </div>
+                       }}
+                   />
+                   )}
                </div>
 
-               {/* Game Controls */}
+               {/* Game Controls - a shared card is a one-off, so it gets none */}
                <div className="mt-8 flex gap-4">
-                  {gameState === 'finished' ? (
+                  {sharedCard ? null : isKiosk ? (
+                    // Players get no controls; the next game deals itself
+                    gameState === 'finished' && (
+                      <div className="w-48 text-center text-sm text-gray-400">
+                        {t('kiosk.nextGameIn', { count: kiosk.resetSeconds })}
+                        <div className="mt-2 h-1 bg-gray-100 rounded-full overflow-hidden">
+                          <div className="h-full bg-indigo-400 origin-left rtl:origin-right kiosk-countdown" style={{ animationDuration: `${kiosk.resetSeconds}s` }} />
+                        </div>
+                      </div>
+                    )
+                  ) : isGated ? null : gate?.reason === 'limit' ? (
+                      // Over the limit: no new game on this device, not even a reshuffle
+                      <p className="text-sm text-gray-400">{t('schedule.noMorePlays')}</p>
+                  ) : gameState === 'finished' ? (
                       <button 
                         onClick={handleReplay}
                         className="bg-indigo-600 text-white hover:bg-indigo-700 shadow-lg shadow-indigo-200 px-8 py-3 rounded-xl font-semibold transition-all flex items-center gap-2"
                       >
                         <RefreshCw size={20} />
-                        Play Again
+                        {t('play.playAgain')}
                       </button>
                   ) : (
                     <div className="flex gap-3">
+                        {isLiveHost ? (
+                        <button
+                            onClick={() => endGame(scratchedIds)}
+                            disabled={scratchedIds.length === 0}
+                            className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-xl font-semibold shadow-md shadow-indigo-200 transition-all flex items-center gap-2 disabled:opacity-50 disabled:pointer-events-none"
+                            title={t('live.endDrawTitle')}
+                        >
+                            <Flag size={18} />
+                            {t('live.endDraw')}
+                        </button>
+                        ) : (
                         <button 
                             onClick={handlePlayerShuffle}
-                            className={`bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-xl font-semibold shadow-md shadow-indigo-200 transition-all flex items-center gap-2 ${startedCardId ? 'opacity-50 cursor-not-allowed' : ''}`}
-                            disabled={!!startedCardId} // Disable shuffle once scratching starts
+                            className={`bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-xl font-semibold shadow-md shadow-indigo-200 transition-all flex items-center gap-2 ${startedCardIds.length > 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+                            disabled={startedCardIds.length > 0} // Disable shuffle once scratching starts
                         >
                             <Shuffle size={18} />
-                            Shuffle
+                            {t('play.shuffle')}
                         </button>
+                        )}
                         <button 
                             onClick={handleReplay}
                             className="bg-white border-2 border-gray-100 text-gray-500 hover:text-indigo-600 hover:border-indigo-100 px-4 py-2 rounded-xl font-medium transition-all flex items-center gap-2"
                         >
                             <RefreshCw size={18} />
-                            Reset
+                            {t('play.reset')}
                         </button>
                     </div>
                   )}
+                  {drawReceipt && !isKiosk && (
+                    <button
+                        onClick={downloadReceipt}
+                        className="bg-white border-2 border-gray-100 text-gray-500 hover:text-emerald-600 hover:border-emerald-100 px-4 py-2 rounded-xl font-medium transition-all flex items-center gap-2"
+                        title={t('play.receiptTitle')}
+                    >
+                        <FileCheck size={18} />
+                        {t('play.receipt')}
+                    </button>
+                  )}
+                  {/* A sealed deck's codes would give the prizes away before the game ends */}
+                  {!sharedCard && !isKiosk && gameCards.length > 0 && !(drawCommitment && gameState !== 'finished') && (
+                    <button
+                        onClick={exportRedeemCodes}
+                        className="bg-white border-2 border-gray-100 text-gray-500 hover:text-indigo-600 hover:border-indigo-100 px-4 py-2 rounded-xl font-medium transition-all flex items-center gap-2"
+                        title={t('play.exportCodesTitle')}
+                    >
+                        <Download size={18} />
+                        {t('play.exportCodes')}
+                    </button>
+                  )}
                </div>
             </div>
           )}
         </div>
         
-        {/* Footer with Donation Link */}
+        {/* Footer with Donation Link - left out of the kiosk, where a link would lead players off the draw */}
+        {!isKiosk && (
         <div className="p-4 border-t border-gray-100 bg-gray-50 flex flex-col items-center gap-2">
-            <p className="text-xs text-gray-400 font-medium">Powered by ampmie152</p>
+            <p className="text-xs text-gray-400 font-medium">{t('app.poweredBy', { name: 'ampmie152' })}</p>
             <a 
                 href="https://ampmie152.blogspot.com/p/please-support-me.html" 
                 target="_blank" 
@@ -610,10 +1346,15 @@ export default function App() {
                 className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-pink-50 text-pink-600 hover:bg-pink-100 hover:text-pink-700 transition-colors text-sm font-medium border border-pink-100"
             >
                 <Heart size={16} className="fill-current" />
-                <span>Support Me</span>
+                <span>{t('app.support')}</span>
             </a>
         </div>
+        )}
       </div>
+
+      {!reducedMotion && <CelebrationLayer celebration={celebration} />}
+      {isKiosk && showAttract && <KioskAttract session={kiosk.session} onStart={() => setShowAttract(false)} t={t} />}
+      {isKiosk && isUnlocking && <KioskUnlock pinHash={kiosk.pinHash} onUnlock={exitKiosk} onCancel={() => setIsUnlocking(false)} t={t} />}
     </div>
   );
 }
\ No newline at end of file
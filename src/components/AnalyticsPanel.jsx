@@ -0,0 +1,126 @@
+import React from 'react';
+import { BarChart3, Download, Trash2 } from 'lucide-react';
+import { eventsForTemplate, summarizeEvents, clearEvents, serializeAnalytics } from '../lib/analytics';
+import { getPrizeTitle } from '../lib/prizes';
+import { downloadFile } from '../lib/download';
+
+const DRIFT_SAMPLE = 100; // Dealt cards before a share far from the odds is flagged
+
+/* --- AnalyticsPanel Component ---
+   Dashboard over the local event log, for the template being edited:
+   games started and abandoned, time to reveal, prizes dealt and won next
+   to the odds that were set, and shuffle usage. Also sets the optional
+   endpoint every event is forwarded to. `saveFailed` flags a log that
+   could not be written to storage.
+*/
+export default function AnalyticsPanel({ analytics, onChange, saveFailed, pool, templateId, t, language }) {
+  const events = eventsForTemplate(analytics.events, templateId);
+  const summary = summarizeEvents(events, pool);
+
+  const percent = (value) => new Intl.NumberFormat(language, { style: 'percent', maximumFractionDigits: 1 }).format(value);
+  const seconds = (ms) => ms === null
+    ? '-'
+    : new Intl.NumberFormat(language, { style: 'unit', unit: 'second', unitDisplay: 'short', maximumFractionDigits: 1 }).format(ms / 1000);
+
+  const handleClear = () => {
+    if (window.confirm(t('analytics.confirmClear', { count: analytics.events.length }))) {
+      onChange(clearEvents(analytics));
+    }
+  };
+
+  const exportJson = () => {
+    downloadFile(`draw-analytics-${new Date().toISOString().slice(0, 10)}.json`, serializeAnalytics(events, summary), 'application/json');
+  };
+
+  const stats = [
+    { label: t('analytics.gamesStarted'), value: summary.gamesStarted, detail: t('analytics.finished', { count: summary.finished }) },
+    { label: t('analytics.abandoned'), value: summary.abandoned, detail: t('analytics.ofPlayed', { percent: percent(summary.abandonRate) }) },
+    { label: t('analytics.timeToReveal'), value: seconds(summary.medianReveal), detail: t('analytics.average', { time: seconds(summary.averageReveal) }) },
+    { label: t('analytics.shuffles'), value: summary.shuffles, detail: t('analytics.shuffledGames', { count: summary.shuffledGames }) },
+  ];
+
+  const buttonClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2 disabled:opacity-40 disabled:pointer-events-none';
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <BarChart3 size={18} className="text-indigo-600" />
+          {t('analytics.title')}
+        </h3>
+        <p className="text-gray-500 text-sm mt-1">{t('analytics.intro')}</p>
+      </div>
+
+      {saveFailed && (
+        <p className="text-sm text-rose-600 bg-rose-50 border border-rose-100 rounded-xl px-4 py-3" role="alert">
+          {t('analytics.saveFailed')}
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {stats.map(stat => (
+          <div key={stat.label} className="bg-white rounded-xl border border-gray-100 px-4 py-3">
+            <p className="text-xs font-medium text-gray-400 uppercase tracking-wide">{stat.label}</p>
+            <p className="text-2xl font-bold text-gray-800 tabular-nums mt-1">{stat.value}</p>
+            <p className="text-xs text-gray-400 mt-0.5">{stat.detail}</p>
+          </div>
+        ))}
+      </div>
+
+      {summary.dealtTotal > 0 && (
+        <div className="overflow-x-auto rounded-xl border border-gray-100 bg-white">
+          <table className="w-full text-sm text-start">
+            <thead className="text-xs uppercase text-gray-400 border-b border-gray-100">
+              <tr>
+                <th className="px-3 py-2 font-medium">{t('analytics.prize')}</th>
+                <th className="px-3 py-2 font-medium">{t('analytics.odds')}</th>
+                <th className="px-3 py-2 font-medium">{t('analytics.dealt')}</th>
+                <th className="px-3 py-2 font-medium">{t('analytics.won')}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-50">
+              {summary.prizes.map(prize => {
+                const config = pool.find(c => c.id === prize.id);
+                // Far from the odds only means something once plenty of cards were dealt
+                const isOffOdds = summary.dealtTotal >= DRIFT_SAMPLE && Math.abs(prize.dealtShare - prize.odds) > 0.1;
+                return (
+                  <tr key={prize.id}>
+                    <td className="px-3 py-2 font-medium text-gray-700">{getPrizeTitle(config, tier => t(`tiers.${tier}`))}</td>
+                    <td className="px-3 py-2 text-gray-500 tabular-nums">{percent(prize.odds)}</td>
+                    <td className={`px-3 py-2 tabular-nums ${isOffOdds ? 'text-amber-600' : 'text-gray-500'}`}>
+                      {percent(prize.dealtShare)} <span className="text-xs text-gray-400">({prize.dealt})</span>
+                    </td>
+                    <td className="px-3 py-2 text-gray-500 tabular-nums">{prize.won}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <label className="flex flex-col md:flex-row md:items-center gap-2 text-sm font-medium text-gray-700">
+        {t('analytics.forwardUrl')}
+        <input
+          type="url"
+          value={analytics.forwardUrl}
+          onChange={(e) => onChange({ ...analytics, forwardUrl: e.target.value.trim() })}
+          placeholder={t('analytics.forwardPlaceholder')}
+          className="flex-1 px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-normal"
+        />
+      </label>
+      <p className="text-xs text-gray-400">{t('analytics.forwardHint')}</p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-xs text-gray-400">{t('analytics.events', { count: events.length })}</span>
+        <span className="flex-1" />
+        <button onClick={exportJson} disabled={events.length === 0} className={buttonClass}>
+          <Download size={16} /> JSON
+        </button>
+        <button onClick={handleClear} disabled={analytics.events.length === 0} className={`${buttonClass} hover:text-rose-600`}>
+          <Trash2 size={16} /> {t('analytics.clear')}
+        </button>
+      </div>
+    </div>
+  );
+}
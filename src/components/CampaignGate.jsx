@@ -0,0 +1,40 @@
+import React from 'react';
+import { Hourglass, CalendarOff } from 'lucide-react';
+import { getCountdown } from '../lib/schedule';
+
+/* --- CampaignGate Component ---
+   Stands in for the cards while the draw may not be played: a countdown
+   before it opens or until this device's next play, and a closed notice
+   once the campaign is over. `gate` comes from getCampaignGate.
+*/
+export default function CampaignGate({ gate, endsAt, now, language, t }) {
+  const countdown = gate.until ? getCountdown(gate.until, now) : null;
+  const units = countdown && ['days', 'hours', 'minutes', 'seconds'].filter(unit => unit !== 'days' || countdown.days > 0);
+  const Icon = gate.reason === 'closed' ? CalendarOff : Hourglass;
+
+  return (
+    <div className="flex flex-col items-center gap-6 text-center" role="status">
+      <div className="w-16 h-16 rounded-2xl bg-indigo-50 flex items-center justify-center">
+        <Icon size={32} className="text-indigo-600" />
+      </div>
+      <div>
+        <h2 className="text-2xl font-extrabold text-gray-800">{t(`schedule.gate.${gate.reason}.title`)}</h2>
+        <p className="text-gray-500 mt-2">
+          {gate.reason === 'closed' && endsAt
+            ? t('schedule.gate.closed.endedAt', { date: new Date(endsAt).toLocaleString(language) })
+            : t(`schedule.gate.${gate.reason}.${gate.until ? 'until' : 'body'}`)}
+        </p>
+      </div>
+      {countdown && (
+        <div className="flex gap-3" dir="ltr" aria-label={new Date(gate.until).toLocaleString(language)}>
+          {units.map(unit => (
+            <div key={unit} className="w-20 bg-gray-50 border border-gray-100 rounded-2xl py-3">
+              <p className="text-3xl font-bold text-indigo-600 tabular-nums">{String(countdown[unit]).padStart(2, '0')}</p>
+              <p className="text-xs font-medium text-gray-400 uppercase tracking-widest mt-1">{t(`schedule.units.${unit}`)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
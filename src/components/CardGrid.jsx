@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
+import { VIRTUALIZE_FROM, getCardShape, getAspectRatio, getGridLayout, getVisibleRows } from '../lib/cardLayout';
+
+/* --- CardGrid Component ---
+   Lays the play cards out in as many centred columns as fit, each card as
+   wide as its column and as tall as its shape. Every item is positioned on
+   its own, so a resize that changes the column count moves cards instead
+   of remounting them.
+
+   Decks of VIRTUALIZE_FROM cards or more only mount the rows near the
+   screen. `isPinned(item)` keeps an item mounted wherever it is - a card
+   being scratched must not lose its coating by scrolling away.
+*/
+export default function CardGrid({ items, getKey, renderItem, shape, columns, maxWidth, gap = 24, footerHeight = 0, isPinned, label }) {
+  const gridRef = useRef(null);
+  const [containerWidth, setContainerWidth] = useState(0);
+  const [visibleRows, setVisibleRows] = useState(null); // { start, end } while virtualized
+
+  const { minWidth, maxWidth: shapeMaxWidth } = getCardShape(shape);
+  const layoutOptions = { minWidth, maxWidth: maxWidth ?? shapeMaxWidth, gap, columns };
+  const { columns: columnCount, cardWidth } = getGridLayout(containerWidth, layoutOptions);
+  const rowHeight = Math.round(cardWidth / getAspectRatio(shape)) + footerHeight;
+  const rowCount = Math.ceil(items.length / columnCount);
+  const isVirtual = items.length >= VIRTUALIZE_FROM;
+
+  const measure = useEffectEvent(() => {
+    const rect = gridRef.current.getBoundingClientRect();
+    const width = Math.floor(rect.width);
+    setContainerWidth(width);
+    if (!isVirtual) return;
+
+    // Work from the fresh width; state from this render may be a resize behind
+    const fresh = getGridLayout(width, layoutOptions);
+    const height = Math.round(fresh.cardWidth / getAspectRatio(shape)) + footerHeight;
+    const next = getVisibleRows({
+      rowCount: Math.ceil(items.length / fresh.columns),
+      rowHeight: height,
+      gap,
+      top: rect.top,
+      viewportHeight: window.innerHeight,
+      margin: 2 * (height + gap),
+    });
+    setVisibleRows(prev => prev && prev.start === next.start && prev.end === next.end ? prev : next);
+  });
+
+  // The grid's own size changes with the container and with the deck, so
+  // observing it covers both; scrolling only matters once virtualized
+  useEffect(() => {
+    const observer = new ResizeObserver(() => measure());
+    observer.observe(gridRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!isVirtual) return;
+    const handleScroll = () => measure();
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleScroll);
+    };
+  }, [isVirtual]);
+
+  const stride = rowHeight + gap;
+  const isRowMounted = (row) => !isVirtual || (visibleRows && row >= visibleRows.start && row < visibleRows.end);
+
+  return (
+    <div
+      ref={gridRef}
+      className="relative w-full"
+      style={{ height: rowCount > 0 ? rowCount * stride - gap : 0 }}
+      role="group"
+      aria-label={label}
+    >
+      {containerWidth > 0 && items.map((item, index) => {
+        const row = Math.floor(index / columnCount);
+        if (!isRowMounted(row) && !isPinned?.(item)) return null;
+
+        // Centre each row, the last one included
+        const inRow = Math.min(columnCount, items.length - row * columnCount);
+        const offset = (containerWidth - (inRow * cardWidth + (inRow - 1) * gap)) / 2;
+        const column = index % columnCount;
+
+        return (
+          <div
+            key={getKey(item)}
+            className="absolute"
+            style={{ top: row * stride, insetInlineStart: offset + column * (cardWidth + gap), width: cardWidth }}
+          >
+            {renderItem(item)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React, { useEffect, useRef } from 'react';
+import { createParticleLayer, celebrate } from '../lib/particles';
+
+/* --- CelebrationLayer Component ---
+   Full-window confetti canvas over the app. Every new `celebration`
+   object ({ tier }) fires that tier's bursts, see lib/particles
+   CELEBRATIONS. Leave it unmounted under reduced motion.
+*/
+export default function CelebrationLayer({ celebration }) {
+  const canvasRef = useRef(null);
+  const layer = useRef(null);
+  // Mounting again (motion switched back on) must not replay the last win
+  const initialCelebration = useRef(celebration);
+
+  useEffect(() => {
+    layer.current = createParticleLayer(canvasRef.current);
+    return () => layer.current.clear();
+  }, []);
+
+  useEffect(() => {
+    if (!celebration || celebration === initialCelebration.current) return;
+    const canvas = canvasRef.current;
+    return celebrate(layer.current, celebration.tier, canvas.clientWidth, canvas.clientHeight);
+  }, [celebration]);
+
+  return <canvas ref={canvasRef} className="fixed inset-0 w-full h-full pointer-events-none z-30" aria-hidden="true" />;
+}
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Paintbrush, Upload, X } from 'lucide-react';
+import { COATING_FONTS, getCoatingStyles, paintCoating, loadCoatingAssets } from '../lib/coatings';
+import { compressImage } from '../lib/images';
+
+const PREVIEW_WIDTH = 200;
+const PREVIEW_HEIGHT = 120;
+
+/* --- CoatingPanel Component ---
+   Editor controls for the scratch layer design, with a live preview drawn
+   by the same painter the cards use.
+*/
+export default function CoatingPanel({ coating, onChange, previewColor = 'indigo', t }) {
+  const previewRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [uploadError, setUploadError] = useState(null);
+
+  useEffect(() => {
+    const canvas = previewRef.current;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = PREVIEW_WIDTH * dpr;
+    canvas.height = PREVIEW_HEIGHT * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    let cancelled = false;
+    const { assets, ready } = loadCoatingAssets(coating);
+    paintCoating(ctx, PREVIEW_WIDTH, PREVIEW_HEIGHT, previewColor, coating, assets || {});
+    if (ready) {
+      ready.then(loaded => {
+        if (!cancelled) paintCoating(ctx, PREVIEW_WIDTH, PREVIEW_HEIGHT, previewColor, coating, loaded);
+      });
+    }
+    return () => { cancelled = true; };
+  }, [coating, previewColor]);
+
+  const update = (field, value) => onChange({ ...coating, [field]: value });
+
+  const handleImageUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !file.type.startsWith('image/')) return;
+    try {
+      onChange({ ...coating, style: 'image', image: await compressImage(file, { maxDimension: 800 }) });
+      setUploadError(null);
+    } catch (err) {
+      setUploadError(err.message);
+    }
+  };
+
+  const selectClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700 outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 flex flex-col md:flex-row gap-6">
+      <div className="flex-1 space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+            <Paintbrush size={18} className="text-indigo-600" />
+            {t('coating.title')}
+          </h3>
+          <p className="text-gray-500 text-sm mt-1">{t('coating.intro')}</p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <select value={coating.style} onChange={(e) => update('style', e.target.value)} className={selectClass}>
+            {getCoatingStyles().map(style => (
+              <option key={style.value} value={style.value}>{t(`coatingStyles.${style.value}`, { fallback: style.label })}</option>
+            ))}
+          </select>
+
+          {coating.style === 'pattern' && (
+            <select value={coating.pattern} onChange={(e) => update('pattern', e.target.value)} className={selectClass}>
+              <option value="dots">{t('coating.dots')}</option>
+              <option value="stripes">{t('coating.stripes')}</option>
+              <option value="checks">{t('coating.checks')}</option>
+            </select>
+          )}
+
+          {coating.style === 'image' && (
+            <>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="flex items-center gap-2 bg-white px-3 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors"
+              >
+                <Upload size={16} />
+                {coating.image ? t('coating.replaceImage') : t('coating.uploadImage')}
+              </button>
+              {coating.image && (
+                <button
+                  onClick={() => update('image', '')}
+                  className="p-2 rounded-xl text-gray-400 hover:text-rose-500 transition-colors"
+                  title={t('image.remove')}
+                >
+                  <X size={16} />
+                </button>
+              )}
+              <select value={coating.imageFit} onChange={(e) => update('imageFit', e.target.value)} className={selectClass}>
+                <option value="cover">{t('coating.fillCard')}</option>
+                <option value="logo">{t('coating.centredLogo')}</option>
+              </select>
+            </>
+          )}
+          <input ref={fileInputRef} type="file" accept="image/*" onChange={handleImageUpload} className="hidden" />
+        </div>
+        {coating.style === 'image' && uploadError && <p className="text-xs text-rose-600">{uploadError}</p>}
+
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={coating.text}
+            onChange={(e) => update('text', e.target.value)}
+            maxLength={24}
+            placeholder={t('coating.textPlaceholder')}
+            className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none text-sm"
+          />
+          <select value={coating.font} onChange={(e) => update('font', e.target.value)} className={selectClass}>
+            {COATING_FONTS.map(font => (
+              <option key={font.value} value={font.value}>{t(`fonts.${font.label.toLowerCase()}`)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <canvas
+        ref={previewRef}
+        className="rounded-xl shadow-md border-4 border-gray-200 self-center"
+        style={{ width: PREVIEW_WIDTH, height: PREVIEW_HEIGHT }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useRef, useState } from 'react';
+import { ShieldCheck, Upload } from 'lucide-react';
+import { verifyReceipt } from '../lib/fairDraw';
+import { verifyWithServer } from '../lib/verifierClient';
+import { getPrizeTitle } from '../lib/prizes';
+
+/* --- FairDrawPanel Component ---
+   Turns commit-reveal draws on, points the app at a draw verifier, and
+   lets staff check a player's receipt and redeem code before paying out.
+*/
+export default function FairDrawPanel({ settings, onChange, t, language }) {
+  const [receipt, setReceipt] = useState(null);
+  const [code, setCode] = useState('');
+  const [verdict, setVerdict] = useState(null); // { ok, message }
+  const [isChecking, setIsChecking] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+
+  const handleReceiptFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setReceipt(JSON.parse(await file.text()));
+      setVerdict(null);
+    } catch {
+      setReceipt(null);
+      setVerdict({ ok: false, message: t('fairDraw.notAReceipt') });
+    }
+  };
+
+  const prizeTitle = (card) => getPrizeTitle(card, tier => t(`tiers.${tier}`));
+
+  const handleVerify = async () => {
+    setIsChecking(true);
+    try {
+      if (settings.verifierUrl) {
+        const result = await verifyWithServer(settings.verifierUrl, receipt, code);
+        if (!result.valid) setVerdict({ ok: false, message: result.reason });
+        else if (!result.won) setVerdict({ ok: false, message: t('fairDraw.didNotWin', { code: result.card.redeemCode }) });
+        else {
+          setVerdict({
+            ok: !result.redeemedAt && result.resultRecorded,
+            message: [
+              t(result.card.value ? 'fairDraw.wonValue' : 'fairDraw.won', { code: result.card.redeemCode, title: prizeTitle(result.card), value: result.card.value }),
+              result.redeemedAt && t('fairDraw.alreadyRedeemed', { date: new Date(result.redeemedAt).toLocaleString(language) }),
+              !result.resultRecorded && t('fairDraw.unrecorded'),
+            ].filter(Boolean).join(' '),
+          });
+        }
+      } else {
+        const result = await verifyReceipt(receipt, code);
+        if (!result.valid) setVerdict({ ok: false, message: result.reason });
+        else if (!result.isWinningCard) setVerdict({ ok: false, message: t('fairDraw.didNotWin', { code: result.card.redeemCode }) });
+        else {
+          setVerdict({
+            ok: true,
+            message: `${t('fairDraw.won', { code: result.card.redeemCode, title: prizeTitle(result.card) })} ${t('fairDraw.localOnly')}`,
+          });
+        }
+      }
+    } catch (err) {
+      setVerdict({ ok: false, message: err.message });
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const buttonClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2 disabled:opacity-40 disabled:pointer-events-none';
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+            <ShieldCheck size={18} className="text-indigo-600" />
+            {t('fairDraw.title')}
+          </h3>
+          <p className="text-gray-500 text-sm mt-1">
+            {t('fairDraw.intro')}
+          </p>
+        </div>
+        <button
+          onClick={() => update('enabled', !settings.enabled)}
+          className={`w-12 h-6 shrink-0 rounded-full transition-colors relative ${settings.enabled ? 'bg-indigo-600' : 'bg-gray-300'}`}
+          aria-pressed={settings.enabled}
+          aria-label={t('fairDraw.title')}
+        >
+          <div className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${settings.enabled ? 'start-7' : 'start-1'}`} />
+        </button>
+      </div>
+
+      <label className="flex flex-col md:flex-row md:items-center gap-2 text-sm font-medium text-gray-700">
+        {t('fairDraw.verifierUrl')}
+        <input
+          type="url"
+          value={settings.verifierUrl}
+          onChange={(e) => update('verifierUrl', e.target.value.trim())}
+          placeholder={t('fairDraw.verifierPlaceholder')}
+          className="flex-1 px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-normal"
+        />
+      </label>
+
+      <div className="flex flex-wrap items-center gap-3 pt-4 border-t border-gray-100">
+        <button onClick={() => fileInputRef.current?.click()} className={buttonClass}>
+          <Upload size={16} /> {receipt ? t('fairDraw.receiptLoaded') : t('fairDraw.loadReceipt')}
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleReceiptFile} className="hidden" />
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={t('fairDraw.redeemCode')}
+          className="w-36 px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-mono uppercase"
+        />
+        <button onClick={handleVerify} disabled={!receipt || !code.trim() || isChecking} className={buttonClass}>
+          <ShieldCheck size={16} /> {isChecking ? t('fairDraw.checking') : t('fairDraw.verify')}
+        </button>
+      </div>
+
+      {verdict && (
+        <p className={`text-sm rounded-xl px-4 py-3 border ${verdict.ok ? 'text-emerald-700 bg-emerald-50 border-emerald-100' : 'text-rose-600 bg-rose-50 border-rose-100'}`}>
+          {verdict.message}
+        </p>
+      )}
+    </div>
+  );
+}
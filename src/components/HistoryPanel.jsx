@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { History, Download, Trash2, Search } from 'lucide-react';
+import { filterSessions, clearSessions, describeCardOrder, historyCsvRows, serializeHistory } from '../lib/history';
+import { toCsv } from '../lib/csv';
+import { downloadFile } from '../lib/download';
+
+// Enough to scan recent play; the exports always hold every match
+const VISIBLE_SESSIONS = 50;
+
+/* --- HistoryPanel Component ---
+   The winner log: every finished game on this device, with filters and
+   CSV/JSON export for audits. `saveFailed` flags a log that no longer fits
+   in storage, so the games are exported before the tab is closed.
+*/
+export default function HistoryPanel({ history, onChange, saveFailed, t, language }) {
+  const [filters, setFilters] = useState({ query: '', outcome: 'all', from: '', to: '' });
+
+  const sessions = filterSessions(history.sessions, filters);
+  const wins = sessions.filter(session => session.won).length;
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const exportName = (extension) => `draw-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  const handleClear = () => {
+    if (window.confirm(t('history.confirmClear', { count: history.sessions.length }))) {
+      onChange(clearSessions(history));
+    }
+  };
+
+  const buttonClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2 disabled:opacity-40 disabled:pointer-events-none';
+  const fieldClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm text-gray-700 outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+            <History size={18} className="text-indigo-600" />
+            {t('history.title')}
+          </h3>
+          <p className="text-gray-500 text-sm mt-1">{t('history.intro')}</p>
+        </div>
+        <label className="flex items-center gap-3 text-sm font-medium text-gray-700 shrink-0 cursor-pointer select-none">
+          <button
+            onClick={() => onChange({ ...history, askPlayer: !history.askPlayer })}
+            className={`w-12 h-6 rounded-full transition-colors relative ${history.askPlayer ? 'bg-indigo-600' : 'bg-gray-300'}`}
+            aria-pressed={history.askPlayer}
+          >
+            <div className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${history.askPlayer ? 'start-7' : 'start-1'}`} />
+          </button>
+          {t('history.askPlayer')}
+        </label>
+      </div>
+
+      {saveFailed && (
+        <p className="text-sm text-rose-600 bg-rose-50 border border-rose-100 rounded-xl px-4 py-3" role="alert">
+          {t('history.saveFailed')}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="relative flex-1 min-w-[12rem]">
+          <Search size={16} className="absolute start-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            value={filters.query}
+            onChange={(e) => updateFilter('query', e.target.value)}
+            placeholder={t('history.searchPlaceholder')}
+            className={`${fieldClass} w-full ps-9`}
+            aria-label={t('history.search')}
+          />
+        </div>
+        <select value={filters.outcome} onChange={(e) => updateFilter('outcome', e.target.value)} className={fieldClass} aria-label={t('history.outcome')}>
+          <option value="all">{t('history.allGames')}</option>
+          <option value="won">{t('history.winners')}</option>
+          <option value="lost">{t('history.noWin')}</option>
+        </select>
+        <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={fieldClass} aria-label={t('history.fromDate')} />
+        <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={fieldClass} aria-label={t('history.toDate')} />
+      </div>
+
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-400 py-4 text-center">
+          {history.sessions.length === 0 ? t('history.empty') : t('history.noMatches')}
+        </p>
+      ) : (
+        <div className="overflow-x-auto rounded-xl border border-gray-100 bg-white">
+          <table className="w-full text-sm text-start">
+            <thead className="text-xs uppercase text-gray-400 border-b border-gray-100">
+              <tr>
+                <th className="px-3 py-2 font-medium">{t('history.when')}</th>
+                <th className="px-3 py-2 font-medium">{t('history.player')}</th>
+                <th className="px-3 py-2 font-medium">{t('history.template')}</th>
+                <th className="px-3 py-2 font-medium">{t('history.cards')}</th>
+                <th className="px-3 py-2 font-medium">{t('history.won')}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-50">
+              {sessions.slice(0, VISIBLE_SESSIONS).map(session => (
+                <tr key={session.id} className="align-top">
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-500">{new Date(session.finishedAt).toLocaleString(language)}</td>
+                  <td className="px-3 py-2">
+                    {session.player.name || <span className="text-gray-300">-</span>}
+                    {session.player.email && <span className="block text-xs text-gray-400">{session.player.email}</span>}
+                  </td>
+                  <td className="px-3 py-2 text-gray-500">{session.template?.name || t('templates.unsavedDraft')}</td>
+                  <td className="px-3 py-2 text-xs text-gray-500" title={t('history.cardOrderHint')}>{describeCardOrder(session)}</td>
+                  <td className="px-3 py-2">
+                    {session.won
+                      ? session.prizes.map(prize => (
+                          <span key={prize.redeemCode || prize.name} className="block font-medium text-emerald-700">
+                            {prize.name}{prize.value ? ` (${prize.value})` : ''}
+                            {prize.redeemCode && <span className="ms-1 font-mono text-xs text-gray-400">{prize.redeemCode}</span>}
+                          </span>
+                        ))
+                      : <span className="text-gray-400">{t('history.noWin')}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-xs text-gray-400">
+          {t('history.summary', { games: t('history.games', { count: sessions.length }), winners: t('history.winnerCount', { count: wins }) })}
+          {sessions.length > VISIBLE_SESSIONS ? ` - ${t('history.showingLatest', { count: VISIBLE_SESSIONS })}` : ''}
+        </span>
+        <span className="flex-1" />
+        <button
+          onClick={() => downloadFile(exportName('csv'), toCsv(historyCsvRows(sessions)), 'text/csv')}
+          disabled={sessions.length === 0}
+          className={buttonClass}
+        >
+          <Download size={16} /> CSV
+        </button>
+        <button
+          onClick={() => downloadFile(exportName('json'), serializeHistory(sessions), 'application/json')}
+          disabled={sessions.length === 0}
+          className={buttonClass}
+        >
+          <Download size={16} /> JSON
+        </button>
+        <button onClick={handleClear} disabled={history.sessions.length === 0} className={`${buttonClass} hover:text-rose-600`}>
+          <Trash2 size={16} /> {t('history.clear')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useRef, useState } from 'react';
+import { Upload, X } from 'lucide-react';
+import { compressImage, isDataUrl, isImageSource, FALLBACK_IMAGE } from '../lib/images';
+
+const urlText = (value) => isDataUrl(value) ? '' : value || '';
+const isImageUrl = (text) => isImageSource(text) && !isDataUrl(text);
+
+/* --- ImagePrizeInput Component ---
+   Image prize field: paste a URL, pick a file or drop one on the preview.
+   Files are stored as compressed data URLs so the card works offline.
+   The URL field keeps whatever is typed; only a complete http(s) URL (or
+   an emptied field) reaches the prize.
+*/
+export default function ImagePrizeInput({ value, onChange, t }) {
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const [text, setText] = useState(() => urlText(value));
+
+  // An upload, a removal or another template replaces what was typed
+  const [prevValue, setPrevValue] = useState(value);
+  if (value !== prevValue) {
+    setPrevValue(value);
+    if (value !== text.trim()) setText(urlText(value));
+  }
+
+  const trimmed = text.trim();
+  const isIncomplete = trimmed !== '' && !isImageUrl(trimmed);
+
+  const handleTextChange = (next) => {
+    setText(next);
+    const url = next.trim();
+    if (url === '' || isImageUrl(url)) onChange(url);
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      onChange(await compressImage(file));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => handleTextChange(e.target.value)}
+          aria-invalid={isIncomplete}
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none text-sm"
+          placeholder={isDataUrl(value) ? t('image.uploaded') : t('image.urlPlaceholder')}
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="px-2.5 rounded-lg border border-gray-200 text-gray-500 hover:text-indigo-600 transition-colors"
+          title={t('image.upload')}
+        >
+          <Upload size={16} />
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ''; }}
+          className="hidden"
+        />
+      </div>
+      <div
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`h-20 w-full rounded-lg overflow-hidden border flex items-center justify-center relative group transition-colors ${isDragging ? 'border-indigo-400 bg-indigo-50' : 'border-gray-100 bg-gray-50'}`}
+      >
+        {isImageSource(value) ? (
+          <>
+            <img
+              src={value}
+              alt={t('image.preview')}
+              className="h-full object-contain"
+              onError={(e) => {
+                e.target.onerror = null;
+                e.target.src = FALLBACK_IMAGE;
+              }}
+            />
+            <button
+              onClick={() => onChange('')}
+              className="absolute top-1 end-1 p-1 rounded-md bg-white/80 text-gray-400 hover:text-rose-500 opacity-0 group-hover:opacity-100 transition-opacity"
+              title={t('image.remove')}
+            >
+              <X size={14} />
+            </button>
+          </>
+        ) : (
+          <span className="text-gray-400 text-xs">{isDragging ? t('image.dropToUpload') : t('image.dropHere')}</span>
+        )}
+      </div>
+      {isIncomplete && <p className="text-xs text-amber-600">{t('image.invalidUrl')}</p>}
+      {error && <p className="text-xs text-rose-600">{error}</p>}
+    </div>
+  );
+}
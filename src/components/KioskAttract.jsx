@@ -0,0 +1,23 @@
+import React from 'react';
+import { Sparkles } from 'lucide-react';
+
+/* --- KioskAttract Component ---
+   Idle screen for kiosk mode: draws the eye from across the room and
+   gets out of the way on the first tap or key press.
+*/
+export default function KioskAttract({ session, onStart, t }) {
+  return (
+    <button
+      onClick={onStart}
+      className="fixed inset-0 z-40 w-full bg-gradient-to-br from-indigo-600 via-purple-600 to-pink-600 text-white flex flex-col items-center justify-center gap-6 p-8 focus:outline-none"
+      autoFocus
+    >
+      <Sparkles size={72} className="animate-pulse motion-reduce:animate-none" />
+      <span className="text-5xl md:text-7xl font-extrabold tracking-tight">{t('app.title')}</span>
+      <span className="text-2xl md:text-3xl font-semibold animate-bounce motion-reduce:animate-none">{t('kiosk.tapToPlay')}</span>
+      {session?.wins > 0 && (
+        <span className="text-lg text-white/80">{t('kiosk.winnersSoFar', { count: session.wins })}</span>
+      )}
+    </button>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Tablet, Lock } from 'lucide-react';
+import { RESET_DELAYS, IDLE_DELAYS, isValidPin } from '../lib/kiosk';
+
+/* --- KioskPanel Component ---
+   Sets up kiosk mode: the PIN that unlocks the editor again, how long a
+   result stays up and when the attract screen takes over. A typed PIN
+   stays in this panel until the kiosk starts; only its digest is stored.
+*/
+export default function KioskPanel({ kiosk, onChange, onStart, disabled, t }) {
+  const [pin, setPin] = useState('');
+  const update = (field, value) => onChange({ ...kiosk, [field]: value });
+  // Empty keeps the PIN already set
+  const pinIsValid = pin ? isValidPin(pin) : !!kiosk.pinHash;
+
+  const selectClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700 outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <Tablet size={18} className="text-indigo-600" />
+          {t('kiosk.title')}
+        </h3>
+        <p className="text-gray-500 text-sm mt-1">
+          {t('kiosk.intro')}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+          {t('kiosk.pin')}
+          <input
+            type="password"
+            inputMode="numeric"
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, 8))}
+            placeholder={kiosk.pinHash ? t('kiosk.pinSet') : t('kiosk.pinPlaceholder')}
+            autoComplete="off"
+            className="w-28 px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-mono"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+          {t('kiosk.nextGameAfter')}
+          <select value={kiosk.resetSeconds} onChange={(e) => update('resetSeconds', Number(e.target.value))} className={selectClass}>
+            {RESET_DELAYS.map(seconds => <option key={seconds} value={seconds}>{t('kiosk.seconds', { count: seconds })}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+          {t('kiosk.attractAfter')}
+          <select value={kiosk.idleSeconds} onChange={(e) => update('idleSeconds', Number(e.target.value))} className={selectClass}>
+            {IDLE_DELAYS.map(seconds => (
+              <option key={seconds} value={seconds}>{t('kiosk.idle', { time: seconds < 60 ? t('kiosk.seconds', { count: seconds }) : t('kiosk.minutes', { count: seconds / 60 }) })}</option>
+            ))}
+          </select>
+        </label>
+        <span className="flex-1" />
+        <button
+          onClick={() => onStart(pin)}
+          disabled={!pinIsValid || disabled}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-xl text-sm font-semibold shadow-md transition-all flex items-center gap-2 disabled:opacity-40 disabled:pointer-events-none"
+        >
+          <Lock size={16} /> {t('kiosk.start')}
+        </button>
+      </div>
+      {!pinIsValid && <p className="text-xs text-gray-400">{t('kiosk.pinHint')}</p>}
+    </div>
+  );
+}
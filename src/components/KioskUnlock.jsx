@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+import { checkPin } from '../lib/kiosk';
+
+/* --- KioskUnlock Component ---
+   PIN prompt that stands between kiosk players and the editor. `pinHash`
+   is the stored digest, see lib/kiosk.
+*/
+export default function KioskUnlock({ pinHash, onUnlock, onCancel, t }) {
+  const [entry, setEntry] = useState('');
+  const [isWrong, setIsWrong] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await checkPin(entry, pinHash)) {
+      onUnlock();
+    } else {
+      setIsWrong(true);
+      setEntry('');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-900/60 flex items-center justify-center p-4" role="dialog" aria-modal="true" aria-labelledby="kiosk-unlock-title">
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-2xl p-6 w-full max-w-xs space-y-4">
+        <h3 id="kiosk-unlock-title" className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <Lock size={18} className="text-indigo-600" />
+          {t('kiosk.staffPin')}
+        </h3>
+        <input
+          type="password"
+          inputMode="numeric"
+          value={entry}
+          onChange={(e) => {
+            setEntry(e.target.value.replace(/\D/g, ''));
+            setIsWrong(false);
+          }}
+          autoComplete="off"
+          autoFocus
+          className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none text-center text-2xl font-mono tracking-[0.5em] ${isWrong ? 'border-rose-300' : 'border-gray-200'}`}
+          aria-invalid={isWrong}
+          aria-label={t('kiosk.pin')}
+        />
+        {isWrong && <p className="text-sm text-rose-600" role="alert">{t('kiosk.wrongPin')}</p>}
+        <div className="flex items-center justify-between gap-3">
+          <button type="button" onClick={onCancel} className="text-sm font-medium text-gray-500 hover:text-indigo-600 transition-colors">
+            {t('common.cancel')}
+          </button>
+          <button type="submit" disabled={!entry} className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2.5 rounded-xl font-semibold shadow-md transition-all disabled:opacity-40">
+            {t('kiosk.unlock')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
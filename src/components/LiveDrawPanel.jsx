@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { Smartphone, Link, Check } from 'lucide-react';
+import { buildJoinUrl } from '../lib/liveDraw';
+
+/* --- LiveDrawPanel Component ---
+   Turns live draws on: players join from their phones with the room's
+   link and each scratches one card while this screen shows them all.
+*/
+export default function LiveDrawPanel({ settings, onChange, room, status, playerCount, t }) {
+  const [copied, setCopied] = useState(false);
+
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+  const joinUrl = buildJoinUrl(room, settings.relayUrl);
+
+  const copyJoinLink = async () => {
+    try {
+      await navigator.clipboard.writeText(joinUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt(t('editor.copyLinkPrompt'), joinUrl);
+    }
+  };
+
+  const buttonClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2 disabled:opacity-40 disabled:pointer-events-none';
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+            <Smartphone size={18} className="text-indigo-600" />
+            {t('live.title')}
+          </h3>
+          <p className="text-gray-500 text-sm mt-1">
+            {t('live.intro')}
+          </p>
+        </div>
+        <button
+          onClick={() => update('enabled', !settings.enabled)}
+          className={`w-12 h-6 shrink-0 rounded-full transition-colors relative ${settings.enabled ? 'bg-indigo-600' : 'bg-gray-300'}`}
+          aria-pressed={settings.enabled}
+          aria-label={t('live.title')}
+        >
+          <div className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${settings.enabled ? 'start-7' : 'start-1'}`} />
+        </button>
+      </div>
+
+      <label className="flex flex-col md:flex-row md:items-center gap-2 text-sm font-medium text-gray-700">
+        {t('live.relayUrl')}
+        <input
+          type="url"
+          value={settings.relayUrl}
+          onChange={(e) => update('relayUrl', e.target.value.trim())}
+          placeholder={t('live.relayPlaceholder')}
+          className="flex-1 px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-normal"
+        />
+      </label>
+      {!settings.relayUrl && <p className="text-xs text-gray-400">{t('live.localHint')}</p>}
+
+      {settings.enabled && (
+        <div className="flex flex-wrap items-center gap-3 pt-4 border-t border-gray-100">
+          <span className="text-sm font-medium text-gray-700">
+            {t('live.room')} <span className="font-mono font-bold text-indigo-600 tracking-widest">{room}</span>
+          </span>
+          <button onClick={copyJoinLink} className={buttonClass} title={joinUrl}>
+            {copied ? <Check size={16} className="text-emerald-500" /> : <Link size={16} />}
+            {t('live.copyJoinLink')}
+          </button>
+          <span className="flex-1" />
+          <span className={`text-sm ${status === 'open' ? 'text-emerald-600' : 'text-amber-600'}`}>
+            {t(`live.status.${status}`)} · {t('live.players', { count: playerCount })}
+          </span>
+        </div>
+      )}
+      {settings.enabled && <p className="text-xs text-gray-400">{t('live.modeHint')}</p>}
+    </div>
+  );
+}
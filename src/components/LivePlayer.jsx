@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
+import { Trophy, Smartphone } from 'lucide-react';
+import { createLiveChannel, loadPlayerId } from '../lib/liveDraw';
+import { createTranslator, getDirection, detectLanguage } from '../lib/i18n';
+import APP_MESSAGES from '../locales/index';
+import { getPrizeTitle } from '../lib/prizes';
+import { loadMuted, loadHaptics, playRevealFeedback } from '../lib/sound';
+import { loadMotionPreference, systemPrefersReducedMotion, resolveReducedMotion } from '../lib/motion';
+import ScratchCard from './ScratchCard';
+import CelebrationLayer from './CelebrationLayer';
+
+/* --- LivePlayer Component ---
+   A phone in a live draw, opened from the host's join link. Waits for the
+   host to hand it a card, reports scratching back to the big screen and
+   shows the result once the host closes the game.
+*/
+export default function LivePlayer({ join }) {
+  const [playerId] = useState(loadPlayerId);
+  const [status, setStatus] = useState('connecting');
+  const [notice, setNotice] = useState('waiting'); // 'waiting' | 'full', shown while there is no card
+  const [card, setCard] = useState(null);
+  const [settings, setSettings] = useState(null); // { coating, scratchSettings, language, cardShape } from the host
+  const [result, setResult] = useState(null); // { won } once the game is over
+  const [celebration, setCelebration] = useState(null);
+  const [muted] = useState(loadMuted);
+  const [haptics] = useState(loadHaptics);
+  const [reducedMotion] = useState(() => resolveReducedMotion(loadMotionPreference(), systemPrefersReducedMotion()));
+  const channel = useRef(null);
+  const hostId = useRef(null); // Learnt from the host's first message; until then messages go to the room
+
+  const language = settings?.language || detectLanguage();
+  const t = createTranslator(language, APP_MESSAGES);
+  const dir = getDirection(language);
+  const prizeTitle = (prize) => getPrizeTitle(prize, tier => t(`tiers.${tier}`));
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = dir;
+  }, [language, dir]);
+
+  const sendToHost = (message) => channel.current?.send({ ...message, to: hostId.current || undefined });
+
+  const handleMessage = useEffectEvent((message) => {
+    if (message.type === 'host') {
+      hostId.current = message.from;
+      sendToHost({ type: 'hello' }); // The host restarted; ask for our card again
+    } else if (message.type === 'assign') {
+      hostId.current = message.from;
+      // The same card again (reconnect, sealed prize opened) keeps what this phone already uncovered
+      setCard(prev => prev?.gameId === message.card.gameId ? { ...message.card, isRevealed: prev.isRevealed || message.card.isRevealed } : message.card);
+      if (card?.gameId !== message.card.gameId) setResult(null);
+      setSettings(message.settings);
+    } else if (message.type === 'full' || message.type === 'waiting') {
+      setCard(null);
+      setResult(null);
+      setNotice(message.type);
+    } else if (message.type === 'finished') {
+      if (result) return;
+      setCard(message.card);
+      setResult({ won: message.won });
+      const tier = message.won ? message.card.tier : 'none';
+      playRevealFeedback(tier, { sound: !muted, haptics });
+      if (message.won) setCelebration({ tier });
+    }
+  });
+
+  useEffect(() => {
+    channel.current = createLiveChannel({
+      room: join.room,
+      relayUrl: join.relayUrl,
+      id: playerId,
+      onMessage: handleMessage,
+      onStatus: (next) => {
+        setStatus(next);
+        if (next === 'open') channel.current?.send({ type: 'hello' });
+      },
+    });
+    return () => {
+      channel.current.close();
+      channel.current = null;
+    };
+  }, [join.room, join.relayUrl, playerId]);
+
+  const handleReveal = () => {
+    setCard(prev => ({ ...prev, isRevealed: true }));
+    sendToHost({ type: 'reveal', gameId: card.gameId });
+  };
+
+  return (
+    <div lang={language} dir={dir} className={`min-h-screen bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500 font-sans text-gray-900 p-4 flex items-center justify-center ${reducedMotion ? 'reduce-motion' : ''}`}>
+      <div className="w-full max-w-md bg-white/95 backdrop-blur-sm rounded-3xl shadow-2xl p-6 flex flex-col items-center gap-6 text-center">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-indigo-600 rounded-lg flex items-center justify-center text-white shadow-md">
+            <Trophy size={20} />
+          </div>
+          <h1 className="text-2xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-indigo-600 to-pink-600">
+            {t('app.title')}
+          </h1>
+        </div>
+
+        <div className="min-h-[4rem] flex flex-col justify-center" aria-live="polite">
+          {result ? (
+            <h2 className="text-2xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-pink-600 to-indigo-600">
+              {result.won
+                ? t('play.youFound', { prize: card.value ? t('play.prizeWithValue', { title: prizeTitle(card), value: card.value }) : prizeTitle(card) })
+                : t('live.noLuck')}
+            </h2>
+          ) : card ? (
+            <p className="text-indigo-600 font-bold text-xl">{t('live.yourCard')}</p>
+          ) : (
+            <p className="text-gray-500 font-medium flex items-center gap-2">
+              <Smartphone size={18} className="text-indigo-600" />
+              {status === 'open' ? t(`live.${notice}`) : t(`live.status.${status}`)}
+            </p>
+          )}
+        </div>
+
+        {card && (
+          <div className="w-full max-w-xs">
+            <ScratchCard
+              key={card.gameId}
+              aspectRatio={settings?.cardShape}
+              prize={card}
+              color={card.color || 'indigo'}
+              coating={settings?.coating}
+              scratchSettings={settings?.scratchSettings}
+              reducedMotion={reducedMotion}
+              sound={!muted}
+              haptics={haptics}
+              language={language}
+              isRevealed={card.isRevealed}
+              isLocked={!!result}
+              isWinner={!!result?.won}
+              code={card.redeemCode}
+              onScratchStart={() => sendToHost({ type: 'start', gameId: card.gameId })}
+              onProgress={(percent) => sendToHost({ type: 'progress', gameId: card.gameId, percent })}
+              onReveal={handleReveal}
+            />
+          </div>
+        )}
+
+        {result?.won && card.redemption && (
+          <div className="w-full bg-amber-50 border border-amber-100 rounded-xl px-4 py-3 text-sm text-amber-800 text-start">
+            <span className="font-semibold">{prizeTitle(card)}:</span> {card.redemption}
+            {card.redeemCode && <span className="ms-1 font-mono text-xs">({card.redeemCode})</span>}
+          </div>
+        )}
+
+        {card && status !== 'open' && <p className="text-xs text-amber-600">{t(`live.status.${status}`)}</p>}
+        <p className="text-xs text-gray-400">{t('live.room')} <span className="font-mono font-semibold tracking-widest">{join.room}</span></p>
+      </div>
+
+      {!reducedMotion && <CelebrationLayer celebration={celebration} />}
+    </div>
+  );
+}
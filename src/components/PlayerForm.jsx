@@ -0,0 +1,37 @@
+import React, { useState } from 'react';
+import { User } from 'lucide-react';
+
+/* --- PlayerForm Component ---
+   Optional name and email asked before the cards are shown, so the draw
+   history can say who won. Players may skip it.
+*/
+export default function PlayerForm({ onSubmit, t }) {
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ name, email });
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none';
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm mx-auto bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+        <User size={18} className="text-indigo-600" />
+        {t('player.title')}
+      </h3>
+      <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder={t('player.name')} autoComplete="name" className={inputClass} autoFocus />
+      <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('player.email')} autoComplete="email" className={inputClass} />
+      <div className="flex items-center justify-between gap-3 pt-2">
+        <button type="button" onClick={() => onSubmit(null)} className="text-sm font-medium text-gray-500 hover:text-indigo-600 transition-colors">
+          {t('player.skip')}
+        </button>
+        <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2.5 rounded-xl font-semibold shadow-md transition-all">
+          {t('player.play')}
+        </button>
+      </div>
+    </form>
+  );
+}
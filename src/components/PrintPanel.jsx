@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Printer, Download, RefreshCw } from 'lucide-react';
+import { drawCards, getPoolSize, getQuantity } from '../lib/prizePool';
+import { generateRedeemCodes, redeemCodeRows } from '../lib/redeemCodes';
+import { PAPER_SIZES, PAGE_LAYOUTS, buildSheetSvgs, buildPrintDocument, printHtml, formatSerial } from '../lib/printSheet';
+import { downloadFile } from '../lib/download';
+import { toCsv } from '../lib/csv';
+
+/* --- PrintPanel Component ---
+   Turns the editor's prize pool into a physical print run: one card per
+   unit of stock, shuffled, each with a serial number and redeem code.
+   The card sheet and the coating sheet come from the same deck so they
+   line up on the page.
+
+   Only the shuffle and the codes of a run are kept; the cards are built
+   from `pool` on every render, so an edited prize prints as it is now.
+*/
+
+// A run stops matching once a prize is added, removed or restocked
+const runMatchesPool = (run, pool) => pool.every(config =>
+  run.prizeIds.filter(id => id === config.id).length === getQuantity(config)
+) && run.prizeIds.every(id => pool.some(config => config.id === id));
+
+export default function PrintPanel({ pool, coating, t }) {
+  const [paper, setPaper] = useState('a4');
+  const [perPage, setPerPage] = useState(8);
+  const [run, setRun] = useState(null); // { prizeIds, codes } in deck order
+
+  const poolSize = getPoolSize(pool);
+  const isStale = !!run && !runMatchesPool(run, pool);
+  const deck = run && !isStale
+    ? run.prizeIds.map((id, index) => ({ ...pool.find(config => config.id === id), redeemCode: run.codes[index] }))
+    : null;
+
+  const generateDeck = () => {
+    const drawn = drawCards(pool, poolSize);
+    setRun({ prizeIds: drawn.map(card => card.id), codes: generateRedeemCodes(drawn.length) });
+  };
+
+  const printLayer = (layer) => {
+    const svgs = buildSheetSvgs(deck, { paper, perPage, layer, coatingText: coating?.text });
+    printHtml(buildPrintDocument(svgs, paper, layer === 'coating' ? t('print.coatingDocument') : t('print.cardsDocument')));
+  };
+
+  const downloadLayer = (layer) => {
+    buildSheetSvgs(deck, { paper, perPage, layer, coatingText: coating?.text }).forEach((svg, i) => {
+      downloadFile(`scratch-${layer}-page-${i + 1}.svg`, svg, 'image/svg+xml');
+    });
+  };
+
+  const exportCodes = () => {
+    const rows = redeemCodeRows(deck).map((row, i) => [i === 0 ? 'serial' : formatSerial(i - 1), ...row]);
+    downloadFile('print-run-codes.csv', toCsv(rows), 'text/csv');
+  };
+
+  const pageCount = deck ? Math.ceil(deck.length / perPage) : 0;
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+            <Printer size={18} className="text-indigo-600" />
+            {t('print.title')}
+          </h3>
+          <p className="text-gray-500 text-sm mt-1">
+            {t('print.intro')}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={paper}
+            onChange={(e) => setPaper(e.target.value)}
+            className="bg-white px-3 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700 outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {Object.entries(PAPER_SIZES).map(([key, size]) => (
+              <option key={key} value={key}>{size.label}</option>
+            ))}
+          </select>
+          <select
+            value={perPage}
+            onChange={(e) => setPerPage(Number(e.target.value))}
+            className="bg-white px-3 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700 outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {Object.keys(PAGE_LAYOUTS).map(count => (
+              <option key={count} value={count}>{t('print.perPage', { count })}</option>
+            ))}
+          </select>
+          <button
+            onClick={generateDeck}
+            disabled={poolSize === 0}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-xl text-sm font-semibold shadow-sm transition-colors flex items-center gap-2 disabled:opacity-50 disabled:pointer-events-none"
+          >
+            <RefreshCw size={16} />
+            {run ? t('print.regenerate') : t('print.generate')}
+          </button>
+        </div>
+      </div>
+
+      {isStale && <p className="text-sm text-amber-600">{t('print.stale')}</p>}
+
+      {deck && (
+        <div className="flex flex-wrap items-center gap-3 pt-4 border-t border-gray-200">
+          <span className="text-sm text-gray-500 me-auto">
+            {t('print.summary', { cards: t('common.cards', { count: deck.length }), pages: t('print.pages', { count: pageCount }) })}
+          </span>
+          <button onClick={() => printLayer('cards')} className="bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2">
+            <Printer size={16} /> {t('print.printCards')}
+          </button>
+          <button onClick={() => printLayer('coating')} className="bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2">
+            <Printer size={16} /> {t('print.printCoating')}
+          </button>
+          <button onClick={() => downloadLayer('cards')} className="bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2">
+            <Download size={16} /> {t('print.cardsSvg')}
+          </button>
+          <button onClick={() => downloadLayer('coating')} className="bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2">
+            <Download size={16} /> {t('print.coatingSvg')}
+          </button>
+          <button onClick={exportCodes} className="bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2">
+            <Download size={16} /> {t('print.codesCsv')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { ChevronDown } from 'lucide-react';
+import { PRIZE_TIERS } from '../lib/prizes';
+import ImagePrizeInput from './ImagePrizeInput';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all text-sm';
+
+/* --- PrizeFields Component ---
+   Editor form for one prize: name and optional image up front, the rest
+   (description, value, redemption instructions) tucked into a disclosure.
+*/
+export default function PrizeFields({ prize, onChange, t }) {
+  const [showDetails, setShowDetails] = useState(() => !!(prize.description || prize.value || prize.redemption));
+
+  return (
+    <div className="space-y-2">
+      <input
+        type="text"
+        value={prize.name}
+        onChange={(e) => onChange('name', e.target.value)}
+        className={`${inputClass} font-medium`}
+        placeholder={t('prize.namePlaceholder')}
+      />
+      <ImagePrizeInput value={prize.image} onChange={(value) => onChange('image', value)} t={t} />
+
+      <button
+        onClick={() => setShowDetails(open => !open)}
+        className="flex items-center gap-1 text-xs font-medium text-gray-500 hover:text-indigo-600 transition-colors"
+      >
+        <ChevronDown size={14} className={`transition-transform ${showDetails ? 'rotate-180' : ''}`} />
+        {t('prize.details')}
+      </button>
+      {showDetails && (
+        <div className="space-y-2">
+          <textarea
+            value={prize.description}
+            onChange={(e) => onChange('description', e.target.value)}
+            className={`${inputClass} resize-none min-h-[56px]`}
+            placeholder={t('prize.descriptionPlaceholder')}
+          />
+          <input
+            type="text"
+            value={prize.value}
+            onChange={(e) => onChange('value', e.target.value)}
+            className={inputClass}
+            placeholder={t('prize.valuePlaceholder')}
+          />
+          <textarea
+            value={prize.redemption}
+            onChange={(e) => onChange('redemption', e.target.value)}
+            className={`${inputClass} resize-none min-h-[56px]`}
+            placeholder={t('prize.redemptionPlaceholder')}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export const TierSelect = ({ value, onChange, t }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className="bg-gray-100 rounded-lg px-2 py-1.5 text-xs font-semibold text-gray-600 outline-none focus:ring-2 focus:ring-indigo-500"
+    title={t('prize.tier')}
+  >
+    {Object.keys(PRIZE_TIERS).map(key => (
+      <option key={key} value={key}>{t(`tiers.${key}`)}</option>
+    ))}
+  </select>
+);
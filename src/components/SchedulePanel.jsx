@@ -0,0 +1,86 @@
+import React from 'react';
+import { CalendarClock, RotateCcw } from 'lucide-react';
+import { LIMIT_PERIODS, PLAY_LIMITS, isValidWindow, getScheduleStatus } from '../lib/schedule';
+
+/* --- SchedulePanel Component ---
+   Opens the draw only between two dates and caps how often one device may
+   play. The plays counted here are this device's, so the operator can
+   clear them after trying the game out.
+*/
+export default function SchedulePanel({ schedule, onChange, plays, onResetPlays, now, t }) {
+  const update = (field, value) => onChange({ ...schedule, [field]: value });
+  const windowIsValid = isValidWindow(schedule);
+  const status = getScheduleStatus(schedule, now);
+
+  const inputClass = 'px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-normal bg-white';
+  const selectClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700 outline-none focus:ring-2 focus:ring-indigo-500';
+  const buttonClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2 disabled:opacity-40 disabled:pointer-events-none';
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+            <CalendarClock size={18} className="text-indigo-600" />
+            {t('schedule.title')}
+          </h3>
+          <p className="text-gray-500 text-sm mt-1">
+            {t('schedule.intro')}
+          </p>
+        </div>
+        <button
+          onClick={() => update('enabled', !schedule.enabled)}
+          className={`w-12 h-6 shrink-0 rounded-full transition-colors relative ${schedule.enabled ? 'bg-indigo-600' : 'bg-gray-300'}`}
+          aria-pressed={schedule.enabled}
+          aria-label={t('schedule.title')}
+        >
+          <div className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${schedule.enabled ? 'start-7' : 'start-1'}`} />
+        </button>
+      </div>
+
+      {schedule.enabled && (
+        <>
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              {t('schedule.opens')}
+              <input type="datetime-local" value={schedule.startsAt} onChange={(e) => update('startsAt', e.target.value)} className={inputClass} />
+            </label>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              {t('schedule.closes')}
+              <input type="datetime-local" value={schedule.endsAt} onChange={(e) => update('endsAt', e.target.value)} className={inputClass} />
+            </label>
+          </div>
+          {windowIsValid
+            ? <p className="text-xs text-gray-400">{t('schedule.timeZoneHint', { zone: Intl.DateTimeFormat().resolvedOptions().timeZone })}</p>
+            : <p className="text-xs text-rose-600">{t('schedule.invalidWindow')}</p>}
+
+          <div className="flex flex-wrap items-center gap-3 pt-4 border-t border-gray-100">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              {t('schedule.limit')}
+              <select value={schedule.maxPlays} onChange={(e) => update('maxPlays', Number(e.target.value))} className={selectClass}>
+                {PLAY_LIMITS.map(limit => (
+                  <option key={limit} value={limit}>{limit === 0 ? t('schedule.unlimited') : t('schedule.plays', { count: limit })}</option>
+                ))}
+              </select>
+            </label>
+            {schedule.maxPlays > 0 && (
+              <select value={schedule.limitPeriod} onChange={(e) => update('limitPeriod', e.target.value)} className={selectClass} aria-label={t('schedule.period')}>
+                {Object.keys(LIMIT_PERIODS).map(period => <option key={period} value={period}>{t(`schedule.periods.${period}`)}</option>)}
+              </select>
+            )}
+            <span className="flex-1" />
+            <span className="text-sm text-gray-500">{t('schedule.playedHere', { count: plays?.length || 0 })}</span>
+            <button onClick={onResetPlays} disabled={!plays?.length} className={buttonClass}>
+              <RotateCcw size={16} /> {t('schedule.resetPlays')}
+            </button>
+          </div>
+          {schedule.maxPlays > 0 && <p className="text-xs text-gray-400">{t('schedule.limitHint')}</p>}
+
+          <p className={`text-sm font-medium ${status === 'open' ? 'text-emerald-600' : 'text-amber-600'}`}>
+            {t(`schedule.status.${status}`)}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,452 @@
+import { useState, useEffect, useRef } from 'react';
+import { Sparkles } from 'lucide-react';
+import { paintCoating, loadCoatingAssets } from '../lib/coatings';
+import { FALLBACK_IMAGE } from '../lib/images';
+import { normalizePrize, upgradeLegacyPrize, getPrizeTitle } from '../lib/prizes';
+import { getStrokeSpeed, playScratch, tickScratch, stopScratch } from '../lib/sound';
+import { systemPrefersReducedMotion } from '../lib/motion';
+import { createParticleLayer, createFlakes, DEBRIS_MARGIN, DEBRIS_FALL, MAX_FLAKES } from '../lib/particles';
+import { createTranslator, getDirection } from '../lib/i18n';
+import { getAspectRatio } from '../lib/cardLayout';
+import {
+  DEFAULT_SCRATCH_SETTINGS, resolveBrush, createCoverageGrid, resizeCoverageGrid, markStroke, getRevealProgress, getCrossedMilestones, drawRegionHint,
+  KEYBOARD_SCRATCH_KEYS, createSweepPath, moveKeyboardBrush, getPressureBrush, notifyReveal
+} from '../lib/scratchEngine';
+
+const CARD_BORDER = 4; // border-4, between the card's edge and the coating
+
+// Paint the coating; if it needs an image that is still loading, paint the
+// fallback now and repaint once it arrives - unless scratching has begun.
+const resetCanvas = (canvas, w, h, colorKey, coating, region, isUntouched) => {
+  const paint = (assets) => {
+    const ctx = canvas.getContext('2d');
+    paintCoating(ctx, w, h, colorKey, coating, assets);
+    drawRegionHint(ctx, w, h, region);
+  };
+
+  const { assets, ready } = loadCoatingAssets(coating || {});
+  paint(assets || {});
+  if (ready) {
+    ready.then(loaded => {
+      if (isUntouched()) paint(loaded);
+    });
+  }
+};
+
+const copyCanvas = (canvas) => {
+  const copy = document.createElement('canvas');
+  copy.width = canvas.width;
+  copy.height = canvas.height;
+  copy.getContext('2d').drawImage(canvas, 0, 0);
+  return copy;
+};
+
+/* --- ScratchCard Component ---
+   Handles the HTML5 Canvas scratching logic with improved smoothing.
+
+   Reveal state works like an input's value/defaultValue:
+     - uncontrolled: leave `isRevealed` undefined; `defaultRevealed` sets the
+       starting state and the card tracks its own reveal from then on.
+     - controlled: pass `isRevealed`. `true` clears the coating, and going
+       back to `false` re-coats the card. A player scratching past the
+       threshold still clears it and calls `onReveal`.
+   The face renders a `prize` object (see lib/prizes). The older
+   `content` + `type` pair still works for plain text or image cards.
+
+   Size: fixed `width` and `height`, or leave `width` out and the card
+   fills its container, follows it through resizes (ResizeObserver) and
+   takes its height from `aspectRatio`. Resizing or moving to a screen
+   with another pixel density keeps whatever has been scratched.
+
+   Keyboard: the coating is a focusable button. Holding Space/Enter sweeps
+   the brush across the card; arrow keys scratch in that direction. Progress
+   milestones and the reveal are announced through a polite live region,
+   and the prize stays hidden from screen readers until it is uncovered.
+   See README "ScratchCard component" for the full props table.
+*/
+const ScratchCard = ({ 
+  width, // Leave undefined to fill the container's width
+  height, // Leave undefined to follow `aspectRatio`
+  aspectRatio = 'square', // A lib/cardLayout CARD_SHAPES name, or width / height as a number
+  prize: prizeProp, // { name, image, description, value, tier }
+  content, // Legacy: prize text, or the image URL when type="image"
+  type = 'text', // Legacy: 'text' | 'image'
+  isRevealed, // Controlled reveal state, leave undefined for uncontrolled
+  defaultRevealed = false, // Initial reveal state when uncontrolled
+  onReveal, // (prize or content) => void, once the reveal threshold is met
+  onScratchStart,
+  onProgress, // (percent) => void, 0-100 towards the reveal threshold
+  onMilestone, // (milestone) => void, fired once each at 25/50/75%
+  onTrack, // (event) => void, { type: 'scratchstart' | 'reveal', ... } for analytics
+  isLocked, 
+  isWinner,
+  code, // Optional redeem code printed under the coating
+  color = 'gray', // Default color
+  coating, // Coating design, see lib/coatings DEFAULT_COATING
+  scratchSettings = DEFAULT_SCRATCH_SETTINGS, // Brush, threshold and reveal region
+  reducedMotion, // true/false overrides prefers-reduced-motion, undefined follows it
+  sound = false, // Scratching noise, see lib/sound
+  haptics = false, // Vibration ticks under the finger on phones
+  language = 'en' // Labels, announcements and the default coating text, see lib/i18n
+}) => {
+  const canvasRef = useRef(null);
+  const outerRef = useRef(null);
+  const containerRef = useRef(null);
+  const layout = useRef(null); // { width, height, dpr } the canvas is sized for
+  const debrisRef = useRef(null);
+  const debris = useRef(null); // Particle layer for coating flakes
+  const strokes = useRef(new Map()); // Last point of each active pointer, by pointerId
+  const hasStrokes = useRef(false); // Any scratching since the coating was painted
+  const scratchStats = useRef(null); // { startedAt, strokes, input } since the coating was painted, for onTrack
+  const coverage = useRef(null); // Coarse grid of cleared cells, decides the reveal
+  const lastProgress = useRef(0); // Last percent reported through onProgress
+  const sweep = useRef({ path: null, index: 0 }); // Keyboard sweep position
+  const [isScratched, setIsScratched] = useState(defaultRevealed);
+  const [keyboardBrush, setKeyboardBrush] = useState(null); // Last keyboard brush position, for the focus marker
+  const [announcement, setAnnouncement] = useState('');
+  const prize = normalizePrize(prizeProp || upgradeLegacyPrize({ type, content }));
+  const t = createTranslator(language);
+  const coatingText = t('card.coatingText'); // Used when no `coating` is given
+
+  // Controlled mode: the parent flipping `isRevealed` back to false re-coats the card
+  const isControlled = isRevealed !== undefined;
+  const [prevRevealed, setPrevRevealed] = useState(isRevealed);
+  if (isControlled && isRevealed !== prevRevealed) {
+    setPrevRevealed(isRevealed);
+    if (!isRevealed) setIsScratched(false);
+  }
+
+  // Without a `width` the card is as wide as its container
+  const [measuredWidth, setMeasuredWidth] = useState(null);
+  const isFluid = width === undefined;
+  const cardWidth = width ?? measuredWidth;
+  const cardHeight = cardWidth ? height ?? Math.round(cardWidth / getAspectRatio(aspectRatio)) : null;
+  const hasLayout = !!(cardWidth && cardHeight);
+
+  useEffect(() => {
+    if (!isFluid) return;
+    const observer = new ResizeObserver(([entry]) => setMeasuredWidth(Math.floor(entry.contentRect.width)));
+    observer.observe(outerRef.current);
+    return () => observer.disconnect();
+  }, [isFluid]);
+
+  // Browser zoom or a move to another monitor changes the pixel density
+  const [dpr, setDpr] = useState(() => window.devicePixelRatio || 1);
+
+  useEffect(() => {
+    const query = window.matchMedia(`(resolution: ${dpr}dppx)`);
+    const update = () => setDpr(window.devicePixelRatio || 1);
+    query.addEventListener('change', update);
+    return () => query.removeEventListener('change', update);
+  }, [dpr]);
+
+  // Size the canvas to the card at full device resolution. On a resize the
+  // coating scratched so far is scaled onto the new canvas and the coverage
+  // grid resampled, so the player keeps their progress.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !cardWidth || !cardHeight) return;
+    const previous = layout.current;
+    if (previous && previous.width === cardWidth && previous.height === cardHeight && previous.dpr === dpr) return;
+
+    const scratched = previous && hasStrokes.current ? copyCanvas(canvas) : null;
+    canvas.width = Math.round(cardWidth * dpr);
+    canvas.height = Math.round(cardHeight * dpr);
+    canvas.style.width = `${cardWidth}px`;
+    canvas.style.height = `${cardHeight}px`;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0); // Draw in CSS pixels
+    layout.current = { width: cardWidth, height: cardHeight, dpr };
+    if (!previous) return; // The first coat is painted below
+
+    sweep.current = { path: null, index: 0 };
+    if (scratched) {
+      ctx.drawImage(scratched, 0, 0, cardWidth, cardHeight);
+      coverage.current = resizeCoverageGrid(coverage.current, cardWidth, cardHeight);
+      const scaleX = cardWidth / previous.width;
+      const scaleY = cardHeight / previous.height;
+      strokes.current.forEach((point, id) => strokes.current.set(id, { ...point, x: point.x * scaleX, y: point.y * scaleY }));
+    } else {
+      // Nothing scratched yet: a fresh coat is sharper than a scaled one
+      coverage.current = createCoverageGrid(cardWidth, cardHeight);
+      resetCanvas(canvas, cardWidth, cardHeight, color, coating || { text: coatingText }, scratchSettings.region, () => !hasStrokes.current);
+    }
+  }, [cardWidth, cardHeight, dpr, color, coating, coatingText, scratchSettings.region]);
+
+  useEffect(() => {
+    debris.current = createParticleLayer(debrisRef.current);
+    return () => debris.current.clear();
+  }, []);
+
+  // A forced reveal (e.g. at end of game) counts as fully scratched
+  const isCleared = isScratched || (isControlled && isRevealed);
+
+  // Clear the coating once revealed; otherwise (re)paint a fresh one. Resizes
+  // are handled above, so only a new look or a re-coat starts over.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !layout.current) return;
+    const ctx = canvas.getContext('2d');
+    if (isCleared) {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      hasStrokes.current = true; // Stop a late coating image from repainting
+      return;
+    }
+
+    const { width: w, height: h, dpr: ratio } = layout.current;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    hasStrokes.current = false;
+    scratchStats.current = null;
+    coverage.current = createCoverageGrid(w, h);
+    lastProgress.current = 0;
+    sweep.current = { path: null, index: 0 };
+    strokes.current.clear();
+    resetCanvas(canvas, w, h, color, coating || { text: coatingText }, scratchSettings.region, () => !hasStrokes.current);
+  }, [hasLayout, isCleared, color, coating, coatingText, scratchSettings.region]);
+
+  // Canvas-relative position; may lie outside the card while a captured stroke is off the edge.
+  // `time` lets the scratch sound follow the stroke speed.
+  const getPointerPos = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top, time: e.timeStamp };
+  };
+
+  // Draw one segment; `from` null draws a single dab
+  const scratch = (from, to, brush) => {
+    const ctx = canvasRef.current.getContext('2d');
+    hasStrokes.current = true;
+    
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.lineWidth = brush.size;
+    ctx.lineCap = brush.shape === 'square' ? 'square' : 'round';  // Smooth ends
+    ctx.lineJoin = brush.shape === 'square' ? 'miter' : 'round';  // Smooth corners
+
+    ctx.beginPath();
+    ctx.moveTo((from || to).x, (from || to).y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+
+    // Freshly cleared coating flakes off the card
+    const cleared = markStroke(coverage.current, from, to, brush);
+    if (cleared > 0 && !(reducedMotion ?? systemPrefersReducedMotion())) {
+      debris.current.add(createFlakes(to.x + CARD_BORDER + DEBRIS_MARGIN, to.y + CARD_BORDER, Math.min(MAX_FLAKES, cleared), color));
+    }
+  };
+
+  // Count a stroke for onTrack; the first one on a fresh coat starts the clock
+  // `time` is the event's timeStamp, on the same clock as performance.now()
+  const countStroke = (input, time) => {
+    if (!scratchStats.current) {
+      scratchStats.current = { startedAt: time, strokes: 0, input };
+      if (onTrack) onTrack({ type: 'scratchstart', input });
+    }
+    scratchStats.current.strokes += 1;
+  };
+
+  const checkRevealProgress = (time) => {
+    if (isCleared || isLocked) return;
+
+    // The coverage grid is updated per stroke, so this is a cheap lookup
+    const progress = getRevealProgress(coverage.current, scratchSettings);
+    const previous = lastProgress.current;
+    if (progress !== previous) {
+      lastProgress.current = progress;
+      if (onProgress) onProgress(progress);
+      const crossed = getCrossedMilestones(previous, progress);
+      if (onMilestone) crossed.forEach(onMilestone);
+      if (crossed.length > 0) setAnnouncement(t('card.scratchedPercent', { percent: crossed[crossed.length - 1] }));
+    }
+
+    if (progress >= 100) {
+      const canvas = canvasRef.current;
+      setIsScratched(true);
+      canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height); // Clear remaining debris
+      if (sound) stopScratch();
+      notifyReveal({ onReveal, onTrack }, prizeProp || content, scratchStats.current, time);
+    }
+  };
+
+  // Scratching noise and vibration ticks for a stroke at `speed`, see lib/sound
+  const strokeFeedback = (speed) => {
+    if (sound) playScratch(speed);
+    if (haptics) tickScratch(speed);
+  };
+
+  // Pointer Events cover mouse, touch and pen. Each pointer is captured and
+  // keeps its own stroke, so several fingers can scratch at once and a stroke
+  // dragged off the edge carries on when it comes back.
+  const handlePointerDown = (e) => {
+    if (isLocked || isCleared || !coverage.current || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    // Notify parent that scratching has started
+    if (strokes.current.size === 0 && onScratchStart) {
+        onScratchStart();
+    }
+    countStroke(e.pointerType, e.timeStamp);
+
+    const point = getPointerPos(e);
+    scratch(null, point, getPressureBrush(resolveBrush(scratchSettings), e));
+    strokes.current.set(e.pointerId, point);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!strokes.current.has(e.pointerId) || isLocked || isCleared) return;
+
+    // Coalesced events keep fast strokes smooth between animation frames
+    const events = e.nativeEvent.getCoalescedEvents?.() || [];
+    const base = resolveBrush(scratchSettings);
+    const start = strokes.current.get(e.pointerId);
+    for (const event of events.length > 0 ? events : [e.nativeEvent]) {
+      const point = getPointerPos(event);
+      scratch(strokes.current.get(e.pointerId), point, getPressureBrush(base, event));
+      strokes.current.set(e.pointerId, point);
+    }
+    strokeFeedback(getStrokeSpeed(start, strokes.current.get(e.pointerId)));
+    checkRevealProgress(e.timeStamp);
+  };
+
+  const handlePointerEnd = (e) => {
+    if (strokes.current.delete(e.pointerId)) {
+        if (sound && strokes.current.size === 0) stopScratch();
+        checkRevealProgress(e.timeStamp); // Always check when a finger/pen/mouse lifts
+    }
+  };
+
+  // Space/Enter advance the sweep; arrows scratch one step in their direction
+  const handleKeyDown = (e) => {
+    if (isLocked || isCleared || !coverage.current) return;
+
+    if (KEYBOARD_SCRATCH_KEYS.includes(e.key)) {
+      e.preventDefault();
+      if (!e.repeat && onScratchStart) onScratchStart();
+      if (!e.repeat || !scratchStats.current) countStroke('keyboard', e.timeStamp);
+      if (!sweep.current.path) sweep.current = { path: createSweepPath(cardWidth, cardHeight, scratchSettings), index: 0 };
+      const { path } = sweep.current;
+      const brush = resolveBrush(scratchSettings);
+      let last = sweep.current.index > 0 ? path[sweep.current.index - 1] : null;
+      for (let n = 0; n < 2 && sweep.current.index < path.length; n++) {
+        const point = path[sweep.current.index++];
+        scratch(last, point, brush);
+        last = point;
+      }
+      setKeyboardBrush(last);
+      strokeFeedback(1);
+      checkRevealProgress(e.timeStamp);
+      return;
+    }
+
+    const from = keyboardBrush || { x: cardWidth / 2, y: cardHeight / 2 };
+    const next = moveKeyboardBrush(from, e.key, cardWidth, cardHeight, scratchSettings);
+    if (!next) return;
+    e.preventDefault();
+    if (!e.repeat && onScratchStart) onScratchStart();
+    if (!e.repeat || !scratchStats.current) countStroke('keyboard', e.timeStamp);
+    scratch(from, next, resolveBrush(scratchSettings));
+    setKeyboardBrush(next);
+    strokeFeedback(0.5);
+    checkRevealProgress(e.timeStamp);
+  };
+
+  // Scale/transition classes; `motion-reduce:` lets CSS follow the OS setting when no override is given
+  const motionClass = reducedMotion
+    ? ''
+    : `transition-all duration-500 transform ${reducedMotion === undefined ? 'motion-reduce:transition-none motion-reduce:transform-none' : ''}`;
+  const title = getPrizeTitle(prize, tier => t(`tiers.${tier}`));
+  const brush = resolveBrush(scratchSettings);
+  const label = isLocked ? t('card.lockedLabel') : t('card.label');
+
+  return (
+    <div
+      ref={outerRef}
+      className="relative"
+      // Until a fluid card is measured, CSS reserves its shape
+      style={{ width: width ?? '100%', height: cardHeight ?? undefined, aspectRatio: cardHeight ? undefined : getAspectRatio(aspectRatio) }}
+      dir={getDirection(language)}
+    >
+      <div 
+        ref={containerRef}
+        className={`relative rounded-xl overflow-hidden shadow-lg border-4 has-[:focus-visible]:ring-4 has-[:focus-visible]:ring-indigo-400 ${motionClass} ${isWinner ? `border-yellow-400 shadow-yellow-200 ring-4 ring-yellow-200/50 ${reducedMotion ? '' : 'scale-105'}` : `border-gray-200 ${reducedMotion ? '' : 'hover:scale-[1.02]'}`} ${isLocked && !isCleared ? 'opacity-80' : 'opacity-100'}`}
+        style={{ width: cardWidth ?? undefined, height: cardHeight ?? undefined }}
+      >
+        {/* Underlying Content - hidden from assistive tech until uncovered */}
+        <div className="absolute inset-0 flex items-center justify-center bg-white p-4" aria-hidden={!isCleared}>
+          <div className={`flex flex-col items-center justify-center gap-1 w-full h-full min-h-0 text-center pointer-events-none select-none ${code ? 'pb-4' : ''}`}>
+            {prize.image ? (
+              <img 
+                src={prize.image} 
+                alt={prize.name || t('card.imageAlt')} 
+                className="min-h-0 flex-1 w-full object-contain" 
+                onError={(e) => {
+                    e.target.onerror = null;
+                    e.target.src = FALLBACK_IMAGE;
+                }}
+              />
+            ) : (
+              isWinner && <Sparkles className={`text-yellow-500 ${reducedMotion ? '' : 'animate-spin-slow motion-reduce:animate-none'}`} size={24} />
+            )}
+            {(prize.name || !prize.image) && (
+              <p className={`font-bold text-gray-800 break-words ${prize.image ? 'text-sm' : 'text-xl'}`}>
+                {title}
+              </p>
+            )}
+            {prize.description && !prize.image && (
+              <p className="text-xs text-gray-500 break-words line-clamp-2">{prize.description}</p>
+            )}
+            {prize.value && (
+              <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${prize.tier === 'grand' ? 'bg-yellow-100 text-yellow-700' : 'bg-gray-100 text-gray-600'}`}>
+                {prize.value}
+              </span>
+            )}
+          </div>
+          {code && (
+            <span className="absolute bottom-2 left-0 right-0 text-center font-mono text-xs tracking-widest text-gray-500 select-all">
+              {code}
+            </span>
+          )}
+        </div>
+
+        {/* Scratch Layer */}
+        <canvas
+          ref={canvasRef}
+          className="absolute inset-0 cursor-crosshair touch-none z-10 outline-none"
+          role="button"
+          tabIndex={isLocked || isCleared ? -1 : 0}
+          aria-label={label}
+          aria-disabled={isLocked || undefined}
+          aria-hidden={isCleared || undefined}
+          onKeyDown={handleKeyDown}
+          onKeyUp={(e) => checkRevealProgress(e.timeStamp)}
+          onBlur={() => setKeyboardBrush(null)}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerEnd}
+          onPointerCancel={handlePointerEnd}
+          onLostPointerCapture={handlePointerEnd}
+        />
+
+        {/* Keyboard brush marker */}
+        {keyboardBrush && !isCleared && (
+          <div
+            className="absolute z-20 rounded-full border-2 border-white shadow pointer-events-none"
+            style={{ width: brush.size, height: brush.size, left: keyboardBrush.x - brush.size / 2, top: keyboardBrush.y - brush.size / 2 }}
+          />
+        )}
+
+        <span className="sr-only" aria-live="polite">
+          {isScratched ? t(prize.value ? 'card.revealedValue' : 'card.revealed', { title, value: prize.value }) : announcement}
+        </span>
+      </div>
+
+      {/* Coating flakes fall past the card's edges, so they get a canvas outside its clipping */}
+      <canvas
+        ref={debrisRef}
+        className="absolute top-0 pointer-events-none z-10"
+        style={{ left: -DEBRIS_MARGIN, width: (cardWidth || 0) + DEBRIS_MARGIN * 2, height: (cardHeight || 0) + DEBRIS_FALL }}
+        aria-hidden="true"
+      />
+    </div>
+  );
+};
+
+export default ScratchCard;
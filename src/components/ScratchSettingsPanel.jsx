@@ -0,0 +1,77 @@
+import React from 'react';
+import { Eraser } from 'lucide-react';
+import { BRUSHES, REVEAL_REGIONS, resolveBrush } from '../lib/scratchEngine';
+
+/* --- ScratchSettingsPanel Component ---
+   Campaign-wide brush and reveal rules for every card in the game.
+*/
+export default function ScratchSettingsPanel({ settings, onChange, t }) {
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+  const brushSize = resolveBrush(settings).size;
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <Eraser size={18} className="text-indigo-600" />
+          {t('scratch.title')}
+        </h3>
+        <p className="text-gray-500 text-sm mt-1">{t('scratch.intro')}</p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-6">
+        <div className="flex bg-white rounded-xl border border-gray-200 shadow-sm p-1">
+          {Object.keys(BRUSHES).map(key => (
+            <button
+              key={key}
+              onClick={() => onChange({ ...settings, brush: key, brushSize: null })}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${settings.brush === key ? 'bg-indigo-600 text-white shadow' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              {t(`brushes.${key}`)}
+            </button>
+          ))}
+        </div>
+
+        <label className="flex items-center gap-3 text-sm font-medium text-gray-700">
+          {t('scratch.size')}
+          <input
+            type="range"
+            min="10"
+            max="80"
+            value={brushSize}
+            onChange={(e) => update('brushSize', Number(e.target.value))}
+            className="w-24 accent-indigo-600 cursor-pointer"
+          />
+          <span className="font-bold text-indigo-600 w-10">{brushSize}px</span>
+        </label>
+
+        <label className="flex items-center gap-3 text-sm font-medium text-gray-700">
+          {t('scratch.revealAt')}
+          <input
+            type="range"
+            min="10"
+            max="90"
+            step="5"
+            value={Math.round(settings.threshold * 100)}
+            onChange={(e) => update('threshold', Number(e.target.value) / 100)}
+            className="w-24 accent-indigo-600 cursor-pointer"
+          />
+          <span className="font-bold text-indigo-600 w-10">{Math.round(settings.threshold * 100)}%</span>
+        </label>
+
+        <label className="flex items-center gap-3 text-sm font-medium text-gray-700">
+          {t('scratch.mustClear')}
+          <select
+            value={settings.region}
+            onChange={(e) => update('region', e.target.value)}
+            className="bg-white px-3 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700 outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {Object.keys(REVEAL_REGIONS).map(key => (
+              <option key={key} value={key}>{t(`regions.${key}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
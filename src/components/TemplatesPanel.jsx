@@ -0,0 +1,156 @@
+import React, { useEffect, useEffectEvent, useRef, useState } from 'react';
+import { FolderOpen, Save, FilePlus, Copy, Trash2, Upload, Download } from 'lucide-react';
+import { loadTemplates, saveTemplates, createTemplate, parseTemplateFile, serializeTemplate } from '../lib/templates';
+import { downloadFile } from '../lib/download';
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+
+/* --- TemplatesPanel Component ---
+   Save, load, duplicate, rename and delete named editor setups, and move
+   them between machines as versioned JSON files. `onSave` hears the
+   settings whenever the current setup is saved. A warning shows when the
+   templates no longer fit in storage.
+*/
+export default function TemplatesPanel({ settings, activeTemplateId, onActiveTemplateChange, onLoad, onSave, t }) {
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [error, setError] = useState(null);
+  const [saveFailed, setSaveFailed] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const persistTemplates = useEffectEvent(() => setSaveFailed(!saveTemplates(templates)));
+
+  useEffect(() => {
+    persistTemplates();
+  }, [templates]);
+
+  const active = templates.find(template => template.id === activeTemplateId) || null;
+  const isDirty = active && JSON.stringify(active.settings) !== JSON.stringify(settings);
+
+  const addTemplate = (template) => {
+    setTemplates(prev => [...prev, template]);
+    onActiveTemplateChange(template.id);
+  };
+
+  const handleSave = () => {
+    updateActive({ settings });
+    onSave(settings);
+  };
+
+  const updateActive = (changes) => {
+    setTemplates(prev => prev.map(template => template.id === activeTemplateId ? { ...template, ...changes, updatedAt: new Date().toISOString() } : template));
+  };
+
+  const handleSelect = (e) => {
+    const template = templates.find(template => template.id === e.target.value);
+    setError(null);
+    if (template) onLoad(template);
+    else onActiveTemplateChange(null);
+  };
+
+  const handleSaveAs = () => {
+    const name = window.prompt(t('templates.namePrompt'), active ? t('templates.newName', { name: active.name }) : t('templates.defaultName'));
+    if (!name || !name.trim()) return;
+    addTemplate(createTemplate(name.trim(), settings));
+    onSave(settings);
+  };
+
+  const handleDuplicate = () => {
+    addTemplate(createTemplate(t('templates.copyName', { name: active.name }), active.settings));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(t('templates.confirmDelete', { name: active.name }))) return;
+    setTemplates(prev => prev.filter(template => template.id !== activeTemplateId));
+    onActiveTemplateChange(null);
+  };
+
+  const handleExport = () => {
+    const template = active ? { ...active, settings } : { name: t('templates.untitled'), settings };
+    downloadFile(`${slugify(template.name)}.scratch.json`, serializeTemplate(template), 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { name, settings: imported } = parseTemplateFile(await file.text());
+      const template = createTemplate(name, imported);
+      setTemplates(prev => [...prev, template]);
+      onLoad(template);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const buttonClass = 'bg-white px-3 py-2 rounded-xl border border-gray-200 text-sm font-medium text-gray-700 hover:text-indigo-600 transition-colors flex items-center gap-2 disabled:opacity-40 disabled:pointer-events-none';
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-2xl border border-gray-100 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center gap-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <FolderOpen size={18} className="text-indigo-600" />
+          {t('templates.title')}
+        </h3>
+
+        <select
+          value={activeTemplateId || ''}
+          onChange={handleSelect}
+          className="flex-1 bg-white px-3 py-2 rounded-xl border border-gray-200 shadow-sm text-sm font-medium text-gray-700 outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value="">{t('templates.unsavedDraft')}</option>
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+
+        {active && (
+          <input
+            type="text"
+            value={active.name}
+            onChange={(e) => updateActive({ name: e.target.value })}
+            className="md:w-48 px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 outline-none text-sm"
+            title={t('templates.rename')}
+          />
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button onClick={handleSave} disabled={!isDirty} className={buttonClass}>
+          <Save size={16} /> {t('templates.save')}
+        </button>
+        <button onClick={handleSaveAs} className={buttonClass}>
+          <FilePlus size={16} /> {t('templates.saveAsNew')}
+        </button>
+        <button onClick={handleDuplicate} disabled={!active} className={buttonClass}>
+          <Copy size={16} /> {t('templates.duplicate')}
+        </button>
+        <button onClick={handleDelete} disabled={!active} className={`${buttonClass} hover:text-rose-600`}>
+          <Trash2 size={16} /> {t('templates.delete')}
+        </button>
+        <span className="flex-1" />
+        <button onClick={() => fileInputRef.current?.click()} className={buttonClass}>
+          <Upload size={16} /> {t('templates.import')}
+        </button>
+        <button onClick={handleExport} className={buttonClass}>
+          <Download size={16} /> {t('templates.export')}
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+      </div>
+
+      {isDirty && <p className="text-xs text-amber-600">{t('templates.unsavedChanges', { name: active.name })}</p>}
+      {saveFailed && (
+        <p className="text-sm text-rose-600 bg-rose-50 border border-rose-100 rounded-xl px-4 py-3" role="alert">
+          {t('templates.saveFailed')}
+        </p>
+      )}
+      {error && (
+        <p className="text-sm text-rose-600 bg-rose-50 border border-rose-100 rounded-xl px-4 py-3">
+          {t('templates.importError', { error })}
+        </p>
+      )}
+    </div>
+  );
+}
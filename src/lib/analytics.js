@@ -0,0 +1,168 @@
+/* --- Analytics ---
+   A local event log for judging how a draw performs: how many games were
+   started and abandoned, how long cards take to reveal, which prizes come
+   out against the odds that were set, and how often players reshuffle.
+
+   Events are plain objects with a `type`, an ISO `at` time and the `game`
+   they belong to; cards are identified by their position in the deal:
+
+     game_start   { mode, template, dealt: [prizeId] }   template: id or null
+     card_start   { card, input }   input: mouse, touch, pen, keyboard or live
+     card_reveal  { card, prizeId, tier, duration?, strokes?, input? }
+     game_end     { won, prizes: [prizeId], dealt? }   dealt: for sealed decks
+     shuffle      {}
+
+   A sealed deck (lib/fairDraw) hides its prizes until the game is over,
+   so its deal is logged with game_end instead of game_start.
+
+   `duration` comes from the card itself (first stroke to reveal); cards
+   scratched on a live draw phone fall back to the host's own clock. The
+   log is capped at MAX_EVENTS, oldest first out, so it leaves room in
+   storage for the campaign stock and the draw history. Cards log in
+   bursts, so the app writes it ANALYTICS_SAVE_DELAY after the last event
+   rather than on every one. With a `forwardUrl` set, each event is also
+   POSTed there as JSON.
+*/
+import { getPrizeOdds } from './prizePool';
+
+const STORAGE_KEY = 'scratch-card:analytics';
+const MAX_EVENTS = 2000; // Roughly four hundred games
+export const ANALYTICS_SAVE_DELAY = 2000; // ms after the last event
+
+const emptyAnalytics = () => ({ forwardUrl: '', events: [] });
+
+export const loadAnalytics = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return emptyAnalytics();
+    const parsed = JSON.parse(raw);
+    return {
+      forwardUrl: typeof parsed.forwardUrl === 'string' ? parsed.forwardUrl : '',
+      events: Array.isArray(parsed.events) ? parsed.events : [],
+    };
+  } catch {
+    return emptyAnalytics();
+  }
+};
+
+// False when the log could not be written, so the dashboard can warn
+export const saveAnalytics = (analytics) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(analytics));
+    return true;
+  } catch {
+    // Storage full or disabled (private mode) - the log just won't persist
+    return false;
+  }
+};
+
+export const createGameId = () => `game-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createEvent = (type, data) => ({ type, at: new Date().toISOString(), ...data });
+
+export const addEvent = (analytics, event) => ({ ...analytics, events: [...analytics.events, event].slice(-MAX_EVENTS) });
+
+export const clearEvents = (analytics) => ({ ...analytics, events: [] });
+
+// Fire and forget: an endpoint that is down must never hold up a game
+export const forwardEvent = (url, event) => {
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(event),
+    keepalive: true, // Still delivered if the page is closing
+  }).catch(() => {});
+};
+
+// The events of the games dealt from one template (null: the unsaved draft)
+export const eventsForTemplate = (events, templateId) => {
+  const games = new Set(events.filter(event => event.type === 'game_start' && (event.template ?? null) === templateId).map(event => event.game));
+  return events.filter(event => games.has(event.game));
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/* Roll the log up for the dashboard. `pool` is the prize list whose odds
+   the deals are compared with.
+
+   A game is abandoned when a card was started but never revealed and the
+   game never finished - a new deal, a reset or a closed tab. The editor is
+   only open between games, so none is still in play. */
+export const summarizeEvents = (events, pool) => {
+  const games = new Map();
+  const gameFor = (id) => {
+    if (!games.has(id)) games.set(id, { started: new Map(), revealed: new Set(), ended: false, shuffled: false });
+    return games.get(id);
+  };
+
+  const dealt = {};
+  const won = {};
+  const revealTimes = [];
+  let dealtTotal = 0;
+  let gamesStarted = 0;
+  let shuffles = 0;
+
+  const countDealt = (prizeIds = []) => prizeIds.forEach(prizeId => {
+    dealt[prizeId] = (dealt[prizeId] || 0) + 1;
+    dealtTotal += 1;
+  });
+
+  events.forEach(event => {
+    const game = gameFor(event.game);
+    if (event.type === 'game_start') {
+      gamesStarted += 1;
+      countDealt(event.dealt);
+    } else if (event.type === 'card_start') {
+      if (!game.started.has(event.card)) game.started.set(event.card, Date.parse(event.at));
+    } else if (event.type === 'card_reveal') {
+      game.revealed.add(event.card);
+      const startedAt = game.started.get(event.card);
+      const duration = event.duration ?? (startedAt ? Date.parse(event.at) - startedAt : null);
+      if (duration !== null && duration >= 0) revealTimes.push(duration);
+    } else if (event.type === 'game_end') {
+      game.ended = true;
+      countDealt(event.dealt);
+      (event.prizes || []).forEach(prizeId => { won[prizeId] = (won[prizeId] || 0) + 1; });
+    } else if (event.type === 'shuffle') {
+      shuffles += 1;
+      game.shuffled = true;
+    }
+  });
+
+  const played = [...games.values()].filter(game => game.started.size > 0);
+  const abandoned = played.filter(game => !game.ended && [...game.started.keys()].some(card => !game.revealed.has(card))).length;
+  const finished = [...games.values()].filter(game => game.ended).length;
+
+  const prizes = getPrizeOdds(pool).map(({ id, probability }) => ({
+    id,
+    odds: probability,
+    dealtShare: dealtTotal > 0 ? (dealt[id] || 0) / dealtTotal : 0,
+    dealt: dealt[id] || 0,
+    won: won[id] || 0,
+  }));
+
+  return {
+    gamesStarted,
+    finished,
+    abandoned,
+    abandonRate: played.length > 0 ? abandoned / played.length : 0,
+    revealCount: revealTimes.length,
+    averageReveal: revealTimes.length > 0 ? Math.round(revealTimes.reduce((sum, time) => sum + time, 0) / revealTimes.length) : null,
+    medianReveal: median(revealTimes),
+    shuffles,
+    shuffledGames: [...games.values()].filter(game => game.shuffled).length,
+    prizes,
+    dealtTotal,
+  };
+};
+
+export const serializeAnalytics = (events, summary) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  summary,
+  events,
+}, null, 2);
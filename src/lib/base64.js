@@ -0,0 +1,18 @@
+/* --- Base64 ---
+   Bytes to and from base64 for sealed prizes and share tokens. btoa only
+   takes a binary string, and building one with a single
+   String.fromCharCode(...bytes) call overflows the stack on large payloads
+   (an uploaded image), so the bytes go through in slices.
+*/
+
+const CHUNK_SIZE = 0x8000;
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (text) => Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
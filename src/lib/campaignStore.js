@@ -0,0 +1,71 @@
+/* --- Campaign Store ---
+   Persists prize stock across sessions (and page reloads) in localStorage.
+   `remaining` maps prize id -> cards left. Prizes without an entry have not
+   been drawn down yet and count their full configured quantity, and no
+   prize ever has more left than its quantity: lowering it in the editor or
+   loading a template with less stock takes the count down with it.
+*/
+import { getQuantity } from './prizePool';
+
+const STORAGE_KEY = 'scratch-card:campaign';
+
+const emptyCampaign = () => ({ enabled: false, remaining: {} });
+
+// `pool` is the prize list the stock is for, see clampInventory
+export const loadCampaign = (pool) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return emptyCampaign();
+    const parsed = JSON.parse(raw);
+    return clampInventory({
+      enabled: !!parsed.enabled,
+      remaining: parsed.remaining && typeof parsed.remaining === 'object' ? parsed.remaining : {},
+    }, pool);
+  } catch {
+    return emptyCampaign();
+  }
+};
+
+export const saveCampaign = (campaign) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(campaign));
+  } catch {
+    // Storage full or disabled (private mode) - the campaign just won't persist
+  }
+};
+
+export const getRemaining = (campaign, config) => {
+  const left = campaign.remaining[config.id];
+  return left === undefined ? getQuantity(config) : Math.min(getQuantity(config), Math.max(0, left));
+};
+
+// Stock counts held to each prize's quantity; counts for prizes no longer
+// in `pool` are dropped
+export const clampInventory = (campaign, pool = []) => ({
+  ...campaign,
+  remaining: Object.fromEntries(pool
+    .filter(config => campaign.remaining[config.id] !== undefined)
+    .map(config => [config.id, getRemaining(campaign, config)])),
+});
+
+// Pool to draw from: quantities replaced by the stock that is left.
+// Exhausted prizes end up with quantity 0 and so are never drawn.
+export const applyInventory = (pool, campaign) => {
+  if (!campaign.enabled) return pool;
+  return pool.map(config => ({ ...config, quantity: getRemaining(campaign, config) }));
+};
+
+export const recordWin = (campaign, pool, prizeId) => {
+  const config = pool.find(c => c.id === prizeId);
+  if (!campaign.enabled || !config) return campaign;
+  return {
+    ...campaign,
+    remaining: {
+      ...campaign.remaining,
+      [prizeId]: Math.max(0, getRemaining(campaign, config) - 1),
+    },
+  };
+};
+
+// Refill every prize back to its configured quantity.
+export const restock = (campaign) => ({ ...campaign, remaining: {} });
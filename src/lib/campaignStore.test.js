@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRemaining, clampInventory, recordWin } from './campaignStore';
+
+const pool = [{ id: 1, quantity: 3 }, { id: 2, quantity: 10 }];
+
+test('stock left never exceeds the configured quantity', () => {
+  const campaign = { enabled: true, remaining: { 1: 8, 2: 4 } };
+  assert.equal(getRemaining(campaign, pool[0]), 3);
+  assert.equal(getRemaining(campaign, pool[1]), 4);
+  assert.equal(recordWin(campaign, pool, 1).remaining[1], 2);
+});
+
+test('clampInventory holds counts to the pool and drops removed prizes', () => {
+  const campaign = { enabled: true, remaining: { 1: 8, 2: 4, 9: 5 } };
+  assert.deepEqual(clampInventory(campaign, pool), { enabled: true, remaining: { 1: 3, 2: 4 } });
+});
@@ -0,0 +1,38 @@
+/* --- Card Layout ---
+   Card shapes and the geometry of the play grid. A card's height always
+   follows from its width and shape, so the grid knows every row's height -
+   and which rows are on screen - before a single card has rendered.
+*/
+
+// `ratio` is width / height; min/max widths keep a column readable
+export const CARD_SHAPES = {
+  square: { label: 'Square', ratio: 1, minWidth: 180, maxWidth: 240 },
+  ticket: { label: 'Ticket', ratio: 2, minWidth: 260, maxWidth: 340 },
+  creditCard: { label: 'Credit card', ratio: 85.6 / 53.98, minWidth: 220, maxWidth: 300 }, // ISO/IEC 7810 ID-1
+};
+
+export const DEFAULT_CARD_SHAPE = 'square';
+
+// Decks this large only mount the rows near the screen
+export const VIRTUALIZE_FROM = 50;
+
+export const getCardShape = (shape) => CARD_SHAPES[shape] || CARD_SHAPES[DEFAULT_CARD_SHAPE];
+
+// Width over height for a shape name, or a ratio given as a plain number
+export const getAspectRatio = (shape) => typeof shape === 'number' && shape > 0 ? shape : getCardShape(shape).ratio;
+
+// Columns that fit `containerWidth` and the card width that fills them.
+// `columns` fixes the count (the match-three grid is always 3 wide).
+export const getGridLayout = (containerWidth, { minWidth, maxWidth, gap, columns }) => {
+  const count = columns || Math.max(1, Math.floor((containerWidth + gap) / (minWidth + gap)));
+  const cardWidth = Math.max(0, Math.floor(Math.min(maxWidth, (containerWidth - gap * (count - 1)) / count)));
+  return { columns: count, cardWidth };
+};
+
+// Rows [start, end) within `margin` pixels of the viewport, for a grid whose top edge is `top` pixels below the viewport's
+export const getVisibleRows = ({ rowCount, rowHeight, gap, top, viewportHeight, margin }) => {
+  const stride = rowHeight + gap;
+  const start = Math.max(0, Math.floor((-top - margin) / stride));
+  const end = Math.min(rowCount, Math.ceil((viewportHeight - top + margin) / stride));
+  return { start, end: Math.max(start, end) };
+};
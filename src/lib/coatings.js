@@ -0,0 +1,181 @@
+/* --- Coating Styles ---
+   Painters for the scratch layer. Each style is a function
+   `(ctx, w, h, theme, coating, assets, random)` registered by name, so new
+   looks can be added with `registerCoatingStyle` without touching
+   ScratchCard. The overlay text is drawn on top of every style.
+*/
+import { getColorTheme } from './colors';
+
+export const DEFAULT_COATING = {
+  style: 'gradient',
+  pattern: 'dots',     // For the 'pattern' style: dots | stripes | checks
+  text: 'SCRATCH ME',
+  font: 'sans-serif',
+  image: '',           // Data URL of an uploaded logo/brand image
+  imageFit: 'cover',   // cover | logo
+};
+
+export const COATING_FONTS = [
+  { label: 'Sans', value: 'sans-serif' },
+  { label: 'Serif', value: 'Georgia, serif' },
+  { label: 'Mono', value: 'monospace' },
+  { label: 'Display', value: 'Impact, Haettenschweiler, sans-serif' },
+  { label: 'Handwritten', value: '"Comic Sans MS", cursive' },
+];
+
+const paintGradient = (ctx, w, h, theme, coating, assets, random) => {
+  const gradient = ctx.createLinearGradient(0, 0, w, h);
+  gradient.addColorStop(0, theme.light);
+  gradient.addColorStop(0.5, theme.main);
+  gradient.addColorStop(1, theme.light);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, w, h);
+
+  // Pattern dots
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+  for (let i = 0; i < 50; i++) {
+    ctx.beginPath();
+    ctx.arc(random() * w, random() * h, random() * 3 + 1, 0, Math.PI * 2);
+    ctx.fill();
+  }
+};
+
+// Small tile repeated across the card via createPattern
+const createTile = (kind, theme) => {
+  const tile = document.createElement('canvas');
+  tile.width = 16;
+  tile.height = 16;
+  const tctx = tile.getContext('2d');
+  tctx.fillStyle = theme.main;
+  tctx.fillRect(0, 0, 16, 16);
+  tctx.fillStyle = theme.light;
+  tctx.strokeStyle = theme.light;
+
+  if (kind === 'stripes') {
+    tctx.lineWidth = 4;
+    tctx.beginPath();
+    tctx.moveTo(-4, 20);
+    tctx.lineTo(20, -4);
+    tctx.stroke();
+  } else if (kind === 'checks') {
+    tctx.fillRect(0, 0, 8, 8);
+    tctx.fillRect(8, 8, 8, 8);
+  } else {
+    tctx.beginPath();
+    tctx.arc(8, 8, 3, 0, Math.PI * 2);
+    tctx.fill();
+  }
+  return tile;
+};
+
+const paintPattern = (ctx, w, h, theme, coating) => {
+  ctx.fillStyle = ctx.createPattern(createTile(coating.pattern, theme), 'repeat');
+  ctx.fillRect(0, 0, w, h);
+};
+
+// Brushed-metal look: banded gradient plus fine streaks and a diagonal sheen
+const paintFoil = (ctx, w, h, theme, coating, assets, random) => {
+  const base = ctx.createLinearGradient(0, 0, w, h);
+  [theme.dark, theme.light, theme.main, '#ffffff', theme.main, theme.light, theme.dark]
+    .forEach((color, i, stops) => base.addColorStop(i / (stops.length - 1), color));
+  ctx.fillStyle = base;
+  ctx.fillRect(0, 0, w, h);
+
+  ctx.lineWidth = 1;
+  for (let y = 0; y < h; y += 2) {
+    ctx.strokeStyle = `rgba(255, 255, 255, ${random() * 0.15})`;
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(w, y);
+    ctx.stroke();
+  }
+
+  const sheen = ctx.createLinearGradient(0, h, w, 0);
+  sheen.addColorStop(0.35, 'rgba(255, 255, 255, 0)');
+  sheen.addColorStop(0.5, 'rgba(255, 255, 255, 0.45)');
+  sheen.addColorStop(0.65, 'rgba(255, 255, 255, 0)');
+  ctx.fillStyle = sheen;
+  ctx.fillRect(0, 0, w, h);
+};
+
+const paintImage = (ctx, w, h, theme, coating, assets, random) => {
+  const image = assets.image;
+  if (!image) {
+    // Not loaded (yet) - keep the card covered with the plain gradient
+    paintGradient(ctx, w, h, theme, coating, assets, random);
+    return;
+  }
+
+  if (coating.imageFit === 'logo') {
+    paintGradient(ctx, w, h, theme, coating, assets, random);
+    const size = Math.min(w, h) * 0.5;
+    const scale = Math.min(size / image.width, size / image.height);
+    const iw = image.width * scale;
+    const ih = image.height * scale;
+    ctx.drawImage(image, (w - iw) / 2, h * 0.3 - ih / 2, iw, ih);
+  } else {
+    const scale = Math.max(w / image.width, h / image.height);
+    const iw = image.width * scale;
+    const ih = image.height * scale;
+    ctx.drawImage(image, (w - iw) / 2, (h - ih) / 2, iw, ih);
+  }
+};
+
+const coatingStyles = {
+  gradient: { label: 'Gradient', paint: paintGradient },
+  pattern: { label: 'Pattern', paint: paintPattern },
+  foil: { label: 'Metallic Foil', paint: paintFoil },
+  image: { label: 'Brand Image', paint: paintImage },
+};
+
+export const registerCoatingStyle = (name, label, paint) => {
+  coatingStyles[name] = { label, paint };
+};
+
+export const getCoatingStyles = () =>
+  Object.entries(coatingStyles).map(([value, { label }]) => ({ value, label }));
+
+const imageCache = new Map();
+
+// Resolve the assets a coating needs. Returns them synchronously when
+// cached, otherwise null plus a promise that settles once they're loaded.
+export const loadCoatingAssets = (coating) => {
+  if (coating.style !== 'image' || !coating.image) return { assets: {}, ready: null };
+  const cached = imageCache.get(coating.image);
+  if (cached) return { assets: { image: cached }, ready: null };
+
+  const ready = new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      imageCache.set(coating.image, img);
+      resolve({ image: img });
+    };
+    img.onerror = () => resolve({});
+    img.src = coating.image;
+  });
+  return { assets: null, ready };
+};
+
+export const paintCoating = (ctx, w, h, colorKey, coating = {}, assets = {}, random = Math.random) => {
+  const settings = { ...DEFAULT_COATING, ...coating };
+  const theme = getColorTheme(colorKey);
+  const style = coatingStyles[settings.style] || coatingStyles.gradient;
+
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.clearRect(0, 0, w, h);
+  style.paint(ctx, w, h, theme, settings, assets, random);
+
+  // Overlay text - white with shadow for better visibility on colours
+  if (settings.text) {
+    const fontSize = Math.max(12, Math.min(20, w / (settings.text.length * 0.6)));
+    ctx.shadowColor = 'rgba(0,0,0,0.3)';
+    ctx.shadowBlur = 4;
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${fontSize}px ${settings.font}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const y = settings.style === 'image' && settings.imageFit === 'logo' ? h * 0.72 : h / 2;
+    ctx.fillText(settings.text, w / 2, y, w - 16);
+    ctx.shadowBlur = 0; // Reset shadow
+  }
+};
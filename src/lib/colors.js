@@ -0,0 +1,14 @@
+/* --- Card Colour Themes ---
+   Shared by the on-screen coating and the printable sheets.
+*/
+
+export const COLOR_THEMES = {
+  indigo: { main: '#6366f1', light: '#a5b4fc', dark: '#4338ca' },
+  purple: { main: '#a855f7', light: '#d8b4fe', dark: '#7e22ce' },
+  emerald: { main: '#10b981', light: '#6ee7b7', dark: '#047857' },
+  amber: { main: '#f59e0b', light: '#fcd34d', dark: '#b45309' },
+  rose: { main: '#f43f5e', light: '#fda4af', dark: '#be123c' },
+  gray: { main: '#9ca3af', light: '#e5e7eb', dark: '#4b5563' }
+};
+
+export const getColorTheme = (colorKey) => COLOR_THEMES[colorKey] || COLOR_THEMES.gray;
@@ -0,0 +1,59 @@
+/* --- CSV ---
+   Minimal RFC 4180 reader/writer: quoted fields, escaped quotes ("") and
+   newlines inside quotes. Good enough for spreadsheet exports.
+
+   Exported fields that start like a formula (=, +, - or @) get a leading
+   apostrophe so a spreadsheet shows a player's name instead of running it.
+*/
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const source = text.replace(/^\uFEFF/, ''); // Excel likes to add a BOM
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+const escapeField = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n');
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from './csv';
+
+test('fields that start like a formula are exported as text', () => {
+  const csv = toCsv([['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)', 'Ann']]);
+  assert.deepEqual(parseCsv(csv), [[`'=HYPERLINK("http://x")`, "'+1", "'-2", "'@SUM(A1)", 'Ann']]);
+});
+
+test('quotes, commas and newlines survive a round trip', () => {
+  const rows = [['name', 'note'], ['Box "XL"', 'one, two\nthree']];
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
@@ -0,0 +1,15 @@
+/* --- Download ---
+   Saves generated text (CSV, JSON, SVG...) as a file via a temporary link.
+*/
+
+export const downloadFile = (filename, contents, mimeType = 'text/plain') => {
+  const blob = new Blob([contents], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,178 @@
+/* --- Verifiable Draws ---
+   Commit-reveal dealing for prizes with real value.
+
+     1. A random 256-bit seed is drawn and the commitment
+        SHA-256({ seed, params }) is published before play (shown on screen
+        and, if configured, registered with the verifier server). `params`
+        holds the mode, card count, ordering and the prize pool.
+     2. The deck and its redeem codes are dealt deterministically from the
+        seed. Each card's prize is sealed with AES-GCM under a per-card key
+        derived from the seed, so the game state only ever holds ciphertext
+        until a card is scratched.
+     3. After the game the seed is released in a receipt together with the
+        cards the player scratched. Anyone holding the receipt can re-derive
+        the deck and re-run the game rules; the verifier also confirms the
+        commitment was registered before play and the scratched cards right
+        after it - a forged receipt needs a commitment nobody registered.
+
+   The seed sits in a closure while the game runs, so this stops casual
+   inspection of the game state, not a determined attacker with a debugger;
+   the receipt check is what makes a forged win detectable.
+*/
+import { dealDeck, evaluateGame } from './gameModes';
+import { isWinningPrize } from './prizes';
+import { getQuantity, sortByPoolOrder } from './prizePool';
+import { generateRedeemCodes } from './redeemCodes';
+import { bytesToBase64, base64ToBytes } from './base64';
+
+export const RECEIPT_VERSION = 1;
+
+const SEALED_FIELDS = ['id', 'name', 'image', 'description', 'value', 'tier', 'redemption'];
+
+const encoder = new TextEncoder();
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+const sha256 = async (text) => new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+
+// sfc32 seeded from a digest: small, fast and identical on every platform
+export const createSeededRandom = (digest) => {
+  const view = new DataView(digest.buffer, digest.byteOffset, digest.byteLength);
+  let a = view.getUint32(0);
+  let b = view.getUint32(4);
+  let c = view.getUint32(8);
+  let d = view.getUint32(12);
+  return () => {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 0x100000000;
+  };
+};
+
+// The public part of a draw: everything needed to re-deal it except the seed
+export const createDrawParams = ({ mode, pool, count, shuffle }) => ({
+  mode,
+  count,
+  shuffle: !!shuffle,
+  pool: pool.map(prize => ({
+    id: prize.id,
+    quantity: getQuantity(prize),
+    name: prize.name ?? '',
+    value: prize.value ?? '',
+    tier: prize.tier ?? 'minor',
+  })),
+});
+
+export const computeCommitment = async (seed, params) =>
+  toHex(await sha256(JSON.stringify({ v: RECEIPT_VERSION, seed, params })));
+
+// Same seed and params always deal the same cards in the same order with the
+// same redeem codes. `pool` may be the full prize configs, in params order.
+export const dealFromSeed = async (seed, params, pool = params.pool) => {
+  const random = createSeededRandom(await sha256(`${seed}:deal`));
+  const drawn = dealDeck(params.mode, pool, params.count, random);
+  const ordered = params.shuffle || params.mode === 'match3' ? drawn : sortByPoolOrder(drawn, pool);
+  const codes = generateRedeemCodes(ordered.length, { random });
+  return ordered.map((card, index) => ({ ...card, drawIndex: index, redeemCode: codes[index] }));
+};
+
+const cardKey = async (seed, index) => {
+  const digest = await sha256(`${seed}:card:${index}`);
+  const key = await crypto.subtle.importKey('raw', digest, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, iv: (await sha256(`${seed}:iv:${index}`)).slice(0, 12) };
+};
+
+const seal = async (seed, index, prize) => {
+  const { key, iv } = await cardKey(seed, index);
+  const fields = Object.fromEntries(SEALED_FIELDS.map(field => [field, prize[field]]));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(fields)));
+  return bytesToBase64(new Uint8Array(data));
+};
+
+const unseal = async (seed, index, sealed) => {
+  const { key, iv } = await cardKey(seed, index);
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, base64ToBytes(sealed));
+  return JSON.parse(new TextDecoder().decode(data));
+};
+
+const randomSeed = () => toHex(crypto.getRandomValues(new Uint8Array(32)));
+
+/* Start a sealed draw. The redeem codes follow from the seed alone, so a
+   seed that deals a code already in `existing` (codes issued by earlier
+   games) is thrown away for a fresh one; receipts still verify without
+   the history. Returns the commitment, the public params and the
+   cards - each `{ drawIndex, redeemCode, color, sealed }` - plus:
+     open(card)          -> Promise of the card with its prize fields filled in
+     receipt(scratched)  -> { v, commitment, seed, params, scratched }, once the
+                            game is over; `scratched` lists drawIndex values */
+export const createSealedDraw = async ({ mode, pool, count, shuffle, existing = [] }) => {
+  const params = createDrawParams({ mode, pool, count, shuffle });
+  const issued = new Set(existing);
+  let seed;
+  let dealt;
+  do {
+    seed = randomSeed();
+    dealt = await dealFromSeed(seed, params, pool);
+  } while (dealt.some(card => issued.has(card.redeemCode)));
+  const commitment = await computeCommitment(seed, params);
+
+  const cards = await Promise.all(dealt.map(async card => ({
+    drawIndex: card.drawIndex,
+    redeemCode: card.redeemCode,
+    color: card.color,
+    sealed: await seal(seed, card.drawIndex, card),
+  })));
+
+  return {
+    commitment,
+    params,
+    cards,
+    open: async (card) => {
+      if (!card.sealed) return card;
+      const opened = { ...card, ...(await unseal(seed, card.drawIndex, card.sealed)) };
+      delete opened.sealed;
+      return opened;
+    },
+    receipt: (scratched) => ({ v: RECEIPT_VERSION, commitment, seed, params, scratched }),
+  };
+};
+
+// Shorter form of the commitment for display; the full hash is in the receipt
+export const formatCommitment = (commitment) => `${commitment.slice(0, 8)}…${commitment.slice(-8)}`;
+
+/* Check a receipt, replay the game and look up the card behind
+   `redeemCode`. Resolves to `{ valid: false, reason }` or
+   `{ valid: true, cards, summary, card, isWinningCard }`, where `summary`
+   is evaluateGame's result for the scratched cards. `scratched` overrides
+   the receipt's own list (the verifier passes the registered one). This
+   only proves the receipt is self-consistent; the verifier server also
+   checks the commitment was registered before play. */
+export const verifyReceipt = async (receipt, redeemCode, scratched = receipt?.scratched) => {
+  if (!receipt || receipt.v !== RECEIPT_VERSION || typeof receipt.seed !== 'string' || !receipt.params) {
+    return { valid: false, reason: 'This is not a draw receipt.' };
+  }
+  if (!Array.isArray(receipt.params.pool) || !Number.isInteger(receipt.params.count)) {
+    return { valid: false, reason: 'The receipt has no valid draw settings.' };
+  }
+  if (!Array.isArray(scratched) || !scratched.every(Number.isInteger)) {
+    return { valid: false, reason: 'The receipt does not list the scratched cards.' };
+  }
+  if (await computeCommitment(receipt.seed, receipt.params) !== receipt.commitment) {
+    return { valid: false, reason: 'The seed and draw settings do not match the commitment.' };
+  }
+
+  // Game rules work on gameIds; the draw index stands in for them here
+  const cards = (await dealFromSeed(receipt.seed, receipt.params)).map(card => ({ ...card, gameId: card.drawIndex }));
+  const summary = evaluateGame(receipt.params.mode, cards, scratched);
+  if (!redeemCode) return { valid: true, cards, summary, card: null, isWinningCard: false };
+
+  const code = redeemCode.trim().toUpperCase();
+  const card = cards.find(c => c.redeemCode === code);
+  if (!card) return { valid: false, reason: `No card in this draw has the code ${code}.` };
+  const isWinningCard = summary.won && summary.highlightIds.includes(card.gameId) && isWinningPrize(card);
+  return { valid: true, cards, summary, card, isWinningCard };
+};
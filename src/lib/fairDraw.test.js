@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSealedDraw, createDrawParams, dealFromSeed, verifyReceipt } from './fairDraw';
+
+test('a prize with a large uploaded image seals and opens', async () => {
+  const image = `data:image/png;base64,${'A'.repeat(300 * 1024)}`;
+  const pool = [{ id: 1, name: 'Poster', image, tier: 'minor', quantity: 2 }];
+  const draw = await createSealedDraw({ mode: 'all', pool, count: 2, shuffle: false });
+  assert.equal(draw.cards.length, 2);
+  const opened = await draw.open(draw.cards[0]);
+  assert.equal(opened.image, image);
+  assert.equal(opened.sealed, undefined);
+});
+
+test('a seed that deals an already issued code is replaced', async (t) => {
+  const pool = [{ id: 1, name: 'Free Coffee', tier: 'minor', quantity: 3 }];
+  const seeds = [0x11, 0x22];
+  t.mock.method(crypto, 'getRandomValues', (bytes) => bytes.fill(seeds.shift()));
+
+  // Everything the first seed would deal has already been handed out
+  const params = createDrawParams({ mode: 'all', pool, count: 3, shuffle: false });
+  const clashing = (await dealFromSeed('11'.repeat(32), params, pool)).map(card => card.redeemCode);
+
+  const draw = await createSealedDraw({ mode: 'all', pool, count: 3, shuffle: false, existing: clashing });
+  const codes = draw.cards.map(card => card.redeemCode);
+  assert.ok(codes.every(code => !clashing.includes(code)));
+
+  const receipt = draw.receipt([0, 1, 2]);
+  assert.equal(receipt.seed, '22'.repeat(32));
+  const verified = await verifyReceipt(receipt, codes[0]);
+  assert.equal(verified.valid, true);
+  assert.equal(verified.card.drawIndex, 0);
+});
@@ -0,0 +1,78 @@
+/* --- Game Modes ---
+   Rules for each way of playing a deck. A mode decides how the deck is
+   dealt, which cards may still be scratched, when the game is over and
+   what the player won. Everything here is pure; App only feeds in the
+   ids of started and scratched cards.
+*/
+import { drawCards, drawWithReplacement } from './prizePool';
+import { PRIZE_TIERS, DEFAULT_TIER, isWinningPrize } from './prizes';
+
+export const MATCH_GRID_SIZE = 9;
+
+export const GAME_MODES = {
+  classic: { label: 'First Reveal Wins', description: 'Pick one card; the first card scratched is the prize.' },
+  pick: { label: 'Pick N', description: 'Scratch a set number of cards and keep every prize found.' },
+  all: { label: 'Reveal All', description: 'Every card is a personal prize.' },
+  match3: { label: 'Match Three', description: 'Scratch a 3×3 grid and win when three symbols match.' },
+};
+
+export const dealDeck = (mode, pool, numCards, random = Math.random) => {
+  if (mode === 'match3') return drawWithReplacement(pool, MATCH_GRID_SIZE, random);
+  return drawCards(pool, numCards, random);
+};
+
+// How many cards the player may scratch this game
+export const getScratchAllowance = (mode, deckSize, pickCount) => {
+  if (mode === 'classic') return Math.min(1, deckSize);
+  if (mode === 'pick') return Math.min(Math.max(1, pickCount), deckSize);
+  return deckSize;
+};
+
+// A card is locked once the player has started as many cards as they may scratch
+export const isCardLocked = (mode, cardId, { deckSize, pickCount, startedIds, finished }) => {
+  if (finished) return true;
+  if (startedIds.includes(cardId)) return false;
+  return startedIds.length >= getScratchAllowance(mode, deckSize, pickCount);
+};
+
+export const isGameOver = (mode, { deckSize, pickCount, scratchedIds }) =>
+  scratchedIds.length >= getScratchAllowance(mode, deckSize, pickCount);
+
+const tierRank = (prize) => Object.keys(PRIZE_TIERS).indexOf(PRIZE_TIERS[prize.tier] ? prize.tier : DEFAULT_TIER);
+
+// The best symbol shown at least three times: a real prize of the biggest
+// tier (the larger group on a tie). Only when no prize matches does a row of
+// 'none' cells count, so the result still shows it - never as a win.
+const findMatch = (cells) => {
+  const groups = new Map();
+  cells.forEach(cell => groups.set(cell.id, [...(groups.get(cell.id) || []), cell]));
+  const matches = [...groups.values()].filter(group => group.length >= 3);
+  const winning = matches
+    .filter(group => isWinningPrize(group[0]))
+    .sort((a, b) => tierRank(a[0]) - tierRank(b[0]) || b.length - a.length);
+  return winning[0] || matches[0] || null;
+};
+
+// Summary of a finished game: the prizes won and the cards to highlight.
+// `prizes` lists every card that counted, including 'none'-tier cards, so
+// stock is still used up; `won` is only true if one of them is a real prize.
+export const evaluateGame = (mode, cards, scratchedIds) => {
+  const scratched = scratchedIds.map(id => cards.find(c => c.gameId === id)).filter(Boolean);
+
+  if (mode === 'match3') {
+    const match = findMatch(cards);
+    return {
+      mode,
+      won: !!match && isWinningPrize(match[0]),
+      prizes: match ? [match[0]] : [],
+      highlightIds: match ? match.map(c => c.gameId) : [],
+    };
+  }
+
+  return {
+    mode,
+    won: scratched.some(isWinningPrize),
+    prizes: scratched,
+    highlightIds: scratched.map(c => c.gameId),
+  };
+};
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateGame } from './gameModes';
+
+const deal = (...prizes) => prizes.map((prize, index) => ({ ...prize, gameId: `card-${index}` }));
+
+const grand = { id: 1, name: 'Car', tier: 'grand' };
+const minor = { id: 2, name: 'Coffee', tier: 'minor' };
+const blank = { id: 3, name: 'No prize', tier: 'none' };
+
+test('match3: three real prizes win even when more blanks match', () => {
+  const cards = deal(blank, minor, blank, minor, blank, grand, blank, minor, grand);
+  const result = evaluateGame('match3', cards, []);
+  assert.equal(result.won, true);
+  assert.equal(result.prizes[0].id, minor.id);
+  assert.deepEqual(result.highlightIds, ['card-1', 'card-3', 'card-7']);
+});
+
+test('match3: the biggest tier wins when two prizes match', () => {
+  const cards = deal(minor, grand, minor, grand, minor, grand, minor, blank, blank);
+  const result = evaluateGame('match3', cards, []);
+  assert.equal(result.won, true);
+  assert.equal(result.prizes[0].id, grand.id);
+});
+
+test('match3: three blanks never win', () => {
+  const cards = deal(blank, minor, blank, grand, blank, minor, grand, blank, blank);
+  const result = evaluateGame('match3', cards, []);
+  assert.equal(result.won, false);
+  assert.equal(result.prizes[0].id, blank.id);
+});
+
+test('match3: no three of a kind, no prize', () => {
+  const cards = deal(blank, minor, grand, blank, minor, grand);
+  const result = evaluateGame('match3', cards, []);
+  assert.equal(result.won, false);
+  assert.deepEqual(result.prizes, []);
+});
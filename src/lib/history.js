@@ -0,0 +1,137 @@
+/* --- Draw History ---
+   A log of the finished games on this device, kept in
+   localStorage for audits: when it was played, from which template, the
+   order the cards were dealt in, which ones the player scratched and what
+   they won, plus the player's name and email if the organiser asked for
+   them.
+
+   Only prize fields are stored (no images), and the log keeps the latest
+   MAX_SESSIONS games so it never crowds out the campaign stock. Export it
+   regularly on a long campaign.
+*/
+import { getPrizeTitle, isWinningPrize } from './prizes';
+
+const STORAGE_KEY = 'scratch-card:history';
+const MAX_SESSIONS = 500; // A few hundred KB with typical decks
+
+const emptyHistory = () => ({ askPlayer: false, sessions: [] });
+
+export const loadHistory = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return emptyHistory();
+    const parsed = JSON.parse(raw);
+    return {
+      askPlayer: !!parsed.askPlayer,
+      sessions: Array.isArray(parsed.sessions) ? parsed.sessions : [],
+    };
+  } catch {
+    return emptyHistory();
+  }
+};
+
+// False when the log could not be written, so the editor can warn
+export const saveHistory = (history) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+    return true;
+  } catch {
+    // Storage full or disabled - the log just won't persist
+    return false;
+  }
+};
+
+const prizeSummary = (card) => ({
+  prizeId: card.id,
+  name: getPrizeTitle(card),
+  value: card.value || '',
+  tier: card.tier,
+  redeemCode: card.redeemCode || '',
+});
+
+/* Build a log entry for a finished game. `cards` are the game cards in
+   dealt order, `scratchedIds` their gameIds in the order they were
+   scratched and `summary` is evaluateGame's result. */
+export const createSession = ({ startedAt, template, mode, player, cards, scratchedIds, summary, commitment }) => {
+  const positionOf = (gameId) => cards.findIndex(card => card.gameId === gameId);
+  return {
+    id: `ses-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    template: template ? { id: template.id, name: template.name } : null,
+    mode,
+    player: { name: player?.name?.trim() || '', email: player?.email?.trim() || '' },
+    cards: cards.map(prizeSummary),
+    scratched: scratchedIds.map(positionOf), // Positions in `cards`
+    won: summary.won,
+    prizes: summary.prizes.filter(isWinningPrize).map(prizeSummary),
+    commitment: commitment || null,
+  };
+};
+
+export const addSession = (history, session) => ({ ...history, sessions: [...history.sessions, session].slice(-MAX_SESSIONS) });
+
+export const clearSessions = (history) => ({ ...history, sessions: [] });
+
+// Every redeem code already dealt in a logged game, so new decks never reuse one
+export const issuedRedeemCodes = (history) =>
+  history.sessions.flatMap(session => session.cards.map(card => card.redeemCode).filter(Boolean));
+
+// YYYY-MM-DD in local time, to compare with <input type="date"> values
+const localDay = (iso) => {
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/* Filter sessions, newest first. `query` matches player, template, prize
+   names and redeem codes; `outcome` is 'all', 'won' or 'lost'; `from` and
+   `to` are YYYY-MM-DD dates, both inclusive. */
+export const filterSessions = (sessions, { query = '', outcome = 'all', from = '', to = '' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return sessions
+    .filter(session => {
+      if (outcome === 'won' && !session.won) return false;
+      if (outcome === 'lost' && session.won) return false;
+      const day = localDay(session.finishedAt);
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+      if (!needle) return true;
+      const haystack = [
+        session.player.name,
+        session.player.email,
+        session.template?.name,
+        ...session.cards.flatMap(card => [card.name, card.redeemCode]),
+      ];
+      return haystack.some(text => text && text.toLowerCase().includes(needle));
+    })
+    .reverse();
+};
+
+// The card names in dealt order, with the scratched ones marked
+export const describeCardOrder = (session) =>
+  session.cards.map((card, position) => session.scratched.includes(position) ? `[${card.name}]` : card.name).join(' | ');
+
+/* --- Export --- */
+
+export const historyCsvRows = (sessions) => [
+  ['finished_at', 'template', 'mode', 'player_name', 'player_email', 'card_order', 'scratched', 'won', 'prizes', 'prize_values', 'redeem_codes', 'commitment'],
+  ...sessions.map(session => [
+    session.finishedAt,
+    session.template?.name || '',
+    session.mode,
+    session.player.name,
+    session.player.email,
+    describeCardOrder(session),
+    session.scratched.map(position => position + 1).join(' '),
+    session.won ? 'yes' : 'no',
+    session.prizes.map(prize => prize.name).join(' | '),
+    session.prizes.map(prize => prize.value).join(' | '),
+    session.prizes.map(prize => prize.redeemCode).join(' '),
+    session.commitment || '',
+  ]),
+];
+
+export const serializeHistory = (sessions) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  sessions,
+}, null, 2);
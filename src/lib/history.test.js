@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addSession, issuedRedeemCodes } from './history';
+import { generateRedeemCodes } from './redeemCodes';
+
+test('the log keeps only the latest sessions', () => {
+  let history = { askPlayer: false, sessions: [] };
+  for (let i = 0; i < 600; i++) history = addSession(history, { id: `ses-${i}` });
+  assert.equal(history.sessions.length, 500);
+  assert.equal(history.sessions[0].id, 'ses-100');
+  assert.equal(history.sessions.at(-1).id, 'ses-599');
+});
+
+test('new codes skip the ones already issued in logged games', () => {
+  const history = { sessions: [{ cards: [{ redeemCode: 'AAAA-AAAA' }, { redeemCode: '' }] }, { cards: [{ redeemCode: 'BBBB-BBBB' }] }] };
+  assert.deepEqual(issuedRedeemCodes(history), ['AAAA-AAAA', 'BBBB-BBBB']);
+
+  // Rolls that spell AAAA-AAAA, then BBBB-BBBB, then CCCC-CCCC
+  const rolls = [...Array(8).fill(0.27), ...Array(8).fill(0.3), ...Array(8).fill(0.33)];
+  const [code] = generateRedeemCodes(1, { existing: issuedRedeemCodes(history), random: () => rolls.shift() });
+  assert.equal(code, 'CCCC-CCCC');
+});
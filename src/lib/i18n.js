@@ -0,0 +1,65 @@
+/* --- Translations ---
+   UI strings live in src/locales, one file per language, as flat objects
+   keyed by dotted ids ('play.pickOne'). Only the card's own strings
+   (src/locales/card) are imported here, so the library build ships none
+   of the app's; the app passes its own (locales/index) as `catalog`.
+   `createTranslator(language, catalog)` returns `t(key, params)`:
+
+     t('history.games', { count: 3 })  ->  '3 games'
+
+   `{name}` placeholders are filled from `params`. A message may be an
+   object of plural forms ({ one, other, ... }, see Intl.PluralRules),
+   picked by `params.count`. Missing keys fall back to English, then to
+   `params.fallback`, then to the key itself, so a half-translated locale
+   still renders.
+
+   A draw's language is part of its settings (see lib/templates), so a
+   saved template plays in the language it was written in.
+*/
+import en from '../locales/card/en';
+import es from '../locales/card/es';
+import fr from '../locales/card/fr';
+import de from '../locales/card/de';
+import ar from '../locales/card/ar';
+
+export const LANGUAGES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  es: { label: 'Español', dir: 'ltr', messages: es },
+  fr: { label: 'Français', dir: 'ltr', messages: fr },
+  de: { label: 'Deutsch', dir: 'ltr', messages: de },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const isLanguage = (code) => typeof code === 'string' && Object.hasOwn(LANGUAGES, code);
+
+export const getDirection = (language) => LANGUAGES[language]?.dir || 'ltr';
+
+// First of the browser's preferred languages that we have, by base code ('es-MX' -> 'es')
+export const detectLanguage = () => {
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  return preferred.map(tag => tag?.split('-')[0]).find(isLanguage) || DEFAULT_LANGUAGE;
+};
+
+const CARD_ONLY = {};
+const translators = new WeakMap(); // catalog -> language -> t
+
+// `catalog` maps language codes to extra messages, e.g. { en: { ... } }
+export const createTranslator = (language, catalog = CARD_ONLY) => {
+  const code = isLanguage(language) ? language : DEFAULT_LANGUAGE;
+  if (!translators.has(catalog)) translators.set(catalog, new Map());
+  const cache = translators.get(catalog);
+  if (cache.has(code)) return cache.get(code);
+
+  const messages = { ...LANGUAGES[code].messages, ...catalog[code] };
+  const fallback = { ...en, ...catalog[DEFAULT_LANGUAGE] };
+  const plurals = new Intl.PluralRules(code);
+  const t = (key, params = {}) => {
+    let message = messages[key] ?? fallback[key] ?? params.fallback ?? key;
+    if (typeof message === 'object') message = message[plurals.select(params.count ?? 0)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+  };
+  cache.set(code, t);
+  return t;
+};
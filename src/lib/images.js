@@ -0,0 +1,65 @@
+/* --- Prize Images ---
+   Uploaded images are downscaled and re-encoded into data URLs so they can
+   live inside a template in localStorage and work without any network.
+   FALLBACK_IMAGE is an inline SVG, so a broken image never depends on an
+   external placeholder host either.
+*/
+
+const MAX_DIMENSION = 512;
+const QUALITY = 0.8;
+// SVG and GIF are stored as uploaded (vector / animated), so cap their size
+export const MAX_UNCOMPRESSED_BYTES = 200 * 1024;
+
+export const FALLBACK_IMAGE = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150" viewBox="0 0 150 150">' +
+  '<rect width="150" height="150" rx="12" fill="#f3f4f6"/>' +
+  '<path d="M45 100l22-28 16 20 12-14 20 22z" fill="#d1d5db"/><circle cx="97" cy="55" r="9" fill="#d1d5db"/>' +
+  '<text x="75" y="128" font-family="sans-serif" font-size="11" fill="#9ca3af" text-anchor="middle">Image unavailable</text>' +
+  '</svg>'
+)}`;
+
+export const isDataUrl = (value) => typeof value === 'string' && value.startsWith('data:image/');
+
+export const isImageSource = (value) =>
+  typeof value === 'string' && (/^https?:\/\//.test(value) || isDataUrl(value));
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('The file could not be read as an image.'));
+  img.src = src;
+});
+
+// Downscale to MAX_DIMENSION and re-encode. WebP keeps transparency; browsers
+// that can't encode it fall back to PNG for transparent sources, else JPEG.
+export const compressImage = async (file, { maxDimension = MAX_DIMENSION, quality = QUALITY } = {}) => {
+  if (!file.type.startsWith('image/')) throw new Error('Please choose an image file.');
+
+  const keepAsIs = file.type === 'image/svg+xml' || file.type === 'image/gif'; // Vector / animated
+  if (keepAsIs && file.size > MAX_UNCOMPRESSED_BYTES) {
+    throw new Error(`SVG and GIF images must be under ${MAX_UNCOMPRESSED_BYTES / 1024} KB.`);
+  }
+
+  const original = await readAsDataUrl(file);
+  if (keepAsIs) return original;
+
+  const img = await loadImage(original);
+  const scale = Math.min(1, maxDimension / Math.max(img.width, img.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.width * scale);
+  canvas.height = Math.round(img.height * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  let compressed = canvas.toDataURL('image/webp', quality);
+  if (!compressed.startsWith('data:image/webp')) {
+    compressed = file.type === 'image/png' ? canvas.toDataURL('image/png') : canvas.toDataURL('image/jpeg', quality);
+  }
+  return compressed.length < original.length ? compressed : original;
+};
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compressImage, MAX_UNCOMPRESSED_BYTES } from './images';
+
+test('non-image files are refused', async () => {
+  await assert.rejects(compressImage(new File(['hello'], 'notes.txt', { type: 'text/plain' })), /image file/);
+});
+
+test('SVG and GIF uploads over the size cap are refused', async () => {
+  const big = new Uint8Array(MAX_UNCOMPRESSED_BYTES + 1);
+  await assert.rejects(compressImage(new File([big], 'banner.gif', { type: 'image/gif' })), /under 200 KB/);
+  await assert.rejects(compressImage(new File([big], 'logo.svg', { type: 'image/svg+xml' })), /under 200 KB/);
+});
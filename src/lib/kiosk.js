@@ -0,0 +1,93 @@
+/* --- Kiosk ---
+   Settings for running the draw unattended on a shared screen (one tablet
+   on a stand, a queue of players). Kept per device in localStorage, like
+   the campaign stock.
+
+   `session` is set while kiosk mode is on and holds that session's
+   counters. It is persisted so reloading the page comes straight back
+   into the kiosk rather than opening the editor.
+
+   The PIN is never stored as typed: `pinHash` is { salt, digest }, a
+   salted SHA-256 of it (see hashPin), and the unlock prompt compares
+   digests.
+*/
+
+const STORAGE_KEY = 'scratch-card:kiosk';
+
+// Seconds a result stays up before the next game, and without any input before the attract screen
+export const RESET_DELAYS = [5, 10, 15, 30, 60];
+export const IDLE_DELAYS = [30, 60, 120, 300];
+
+export const DEFAULT_KIOSK = { pinHash: null, resetSeconds: 15, idleSeconds: 60, session: null };
+
+export const isValidPin = (pin) => /^\d{4,8}$/.test(pin);
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+const digestPin = async (salt, pin) =>
+  toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`))));
+
+export const hashPin = async (pin) => {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { salt, digest: await digestPin(salt, pin) };
+};
+
+export const checkPin = async (pin, pinHash) => !!pinHash && await digestPin(pinHash.salt, pin) === pinHash.digest;
+
+const isPinHash = (value) => !!value && typeof value.salt === 'string' && typeof value.digest === 'string';
+
+export const loadKiosk = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return DEFAULT_KIOSK;
+    const parsed = JSON.parse(raw);
+    const kiosk = {
+      pinHash: isPinHash(parsed.pinHash) ? { salt: parsed.pinHash.salt, digest: parsed.pinHash.digest } : null,
+      resetSeconds: RESET_DELAYS.includes(parsed.resetSeconds) ? parsed.resetSeconds : DEFAULT_KIOSK.resetSeconds,
+      idleSeconds: IDLE_DELAYS.includes(parsed.idleSeconds) ? parsed.idleSeconds : DEFAULT_KIOSK.idleSeconds,
+      session: parsed.session && typeof parsed.session === 'object' ? parsed.session : null,
+    };
+    // Never resume a kiosk that could not be unlocked again
+    return kiosk.pinHash ? kiosk : { ...kiosk, session: null };
+  } catch {
+    return DEFAULT_KIOSK;
+  }
+};
+
+export const saveKiosk = (kiosk) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(kiosk));
+  } catch {
+    // Storage full or disabled - a reload will leave kiosk mode
+  }
+};
+
+export const startKioskSession = (kiosk) => ({
+  ...kiosk,
+  session: { startedAt: new Date().toISOString(), games: 0, wins: 0 },
+});
+
+export const endKioskSession = (kiosk) => ({ ...kiosk, session: null });
+
+// Count a finished game; `summary` is evaluateGame's result
+export const countKioskGame = (kiosk, summary) => kiosk.session ? {
+  ...kiosk,
+  session: {
+    ...kiosk.session,
+    games: kiosk.session.games + 1,
+    wins: kiosk.session.wins + (summary.won ? 1 : 0),
+  },
+} : kiosk;
+
+/* --- Fullscreen ---
+   Browsers only allow this from a user gesture, and some (iOS Safari on
+   iPhone) not at all - the kiosk still works, just inside the browser UI. */
+
+export const enterFullscreen = () => {
+  if (document.fullscreenElement || !document.documentElement.requestFullscreen) return;
+  document.documentElement.requestFullscreen().catch(() => {});
+};
+
+export const exitFullscreen = () => {
+  if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+};
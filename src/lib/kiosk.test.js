@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPin, checkPin } from './kiosk';
+
+test('the PIN is stored as a salted digest and still unlocks', async () => {
+  const pinHash = await hashPin('2468');
+  assert.deepEqual(Object.keys(pinHash), ['salt', 'digest']);
+  assert.match(pinHash.digest, /^[0-9a-f]{64}$/);
+  assert.equal(await checkPin('2468', pinHash), true);
+  assert.equal(await checkPin('1357', pinHash), false);
+  assert.equal(await checkPin('2468', null), false);
+});
+
+test('the same PIN hashes differently on each save', async () => {
+  const [a, b] = await Promise.all([hashPin('2468'), hashPin('2468')]);
+  assert.notEqual(a.digest, b.digest);
+});
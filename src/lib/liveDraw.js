@@ -0,0 +1,154 @@
+/* --- Live Draw ---
+   One game shared between a host screen and the players' phones. The host
+   deals as usual and shows every card on the big screen; each phone that
+   joins gets one card to scratch, and its progress and reveal are played
+   back on the host through the normal reveal flow.
+
+   Phones join with a link (`#live=<room>&relay=<url>`, see buildJoinUrl).
+   Messages go through one of two transports with the same interface:
+
+     relay     A WebSocket to server/relay.js, for phones on the venue
+               network. Reconnects on its own after a dropped connection.
+     local     A BroadcastChannel, when no relay URL is set. Only reaches
+               other windows of the same browser - handy for a second
+               screen on the host laptop and for trying things out.
+
+   Every message is JSON `{ type, from, to?, ... }`. `from` is the sender's
+   client id; a message with `to` is for that client only, anything else
+   goes to everyone else in the room. The transport adds `left` when a
+   client goes away.
+
+     host   -> all     host                  the host is (back) online
+     player -> host    hello                 ready for a card; sent on every (re)connect
+     host   -> player  assign { card, settings }   the player's card, again once a sealed card is opened
+     host   -> player  full | waiting        no card free / no game running
+     player -> host    start | progress { percent } | reveal   for `gameId`
+     host   -> player  finished { card, won }   the game is over; `card` is fully revealed
+*/
+
+const HASH_PREFIX = '#live=';
+const ROOM_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to misread off a screen
+const RECONNECT_DELAY = 2000;
+const PLAYER_ID_KEY = 'scratch-card:live-player';
+
+export const createRoomCode = (random = Math.random) =>
+  Array.from({ length: 4 }, () => ROOM_ALPHABET[Math.floor(random() * ROOM_ALPHABET.length)]).join('');
+
+export const createClientId = () => Math.random().toString(36).slice(2, 10);
+
+// Kept for the tab's lifetime, so a phone that reloads gets its card back
+export const loadPlayerId = () => {
+  try {
+    const stored = window.sessionStorage.getItem(PLAYER_ID_KEY);
+    if (stored) return stored;
+    const id = createClientId();
+    window.sessionStorage.setItem(PLAYER_ID_KEY, id);
+    return id;
+  } catch {
+    return createClientId();
+  }
+};
+
+export const buildJoinUrl = (room, relayUrl, location = window.location) => {
+  const relay = relayUrl ? `&${new URLSearchParams({ relay: relayUrl })}` : '';
+  return `${location.origin}${location.pathname}${location.search}${HASH_PREFIX}${room}${relay}`;
+};
+
+// `{ room, relayUrl }` from a join link's hash, or null
+export const readLiveJoin = (hash) => {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+  const [room, ...query] = hash.slice(HASH_PREFIX.length).split('&');
+  if (!/^[A-Z0-9]{4}$/.test(room)) return null;
+  return { room, relayUrl: new URLSearchParams(query.join('&')).get('relay') || '' };
+};
+
+/* --- Transports ---
+   createLiveChannel({ room, relayUrl, id, onMessage, onStatus }) returns
+   { send(message), close() }. `onStatus` gets 'connecting', 'open' or
+   'closed'. */
+
+const createRelayChannel = ({ room, relayUrl, id, onMessage, onStatus }) => {
+  let socket = null;
+  let timer = null;
+  let closed = false;
+
+  const connect = () => {
+    onStatus('connecting');
+    try {
+      const url = new URL(relayUrl);
+      url.searchParams.set('room', room);
+      url.searchParams.set('id', id);
+      socket = new WebSocket(url);
+    } catch {
+      onStatus('closed'); // Not a ws:// URL (yet) - nothing to retry
+      return;
+    }
+    socket.onopen = () => onStatus('open');
+    socket.onmessage = (e) => {
+      try {
+        onMessage(JSON.parse(e.data));
+      } catch {
+        // Not ours - ignore it
+      }
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      onStatus('closed');
+      timer = setTimeout(connect, RECONNECT_DELAY);
+    };
+  };
+
+  connect();
+  return {
+    send(message) {
+      if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ ...message, from: id }));
+    },
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      socket?.close();
+    },
+  };
+};
+
+const createLocalChannel = ({ room, id, onMessage, onStatus }) => {
+  const channel = new BroadcastChannel(`scratch-card:live:${room}`);
+  const post = (message) => channel.postMessage({ ...message, from: id });
+  const sayGoodbye = () => post({ type: 'left' });
+
+  channel.onmessage = (e) => {
+    if (!e.data.to || e.data.to === id) onMessage(e.data);
+  };
+  window.addEventListener('pagehide', sayGoodbye);
+  Promise.resolve().then(() => onStatus('open'));
+
+  return {
+    send: post,
+    close() {
+      sayGoodbye();
+      window.removeEventListener('pagehide', sayGoodbye);
+      channel.close();
+    },
+  };
+};
+
+export const createLiveChannel = (options) =>
+  options.relayUrl ? createRelayChannel(options) : createLocalChannel(options);
+
+/* --- Seats ---
+   `seats` maps a player's client id to the gameId of the card they hold. */
+
+export const getSeatHolder = (seats, gameId) =>
+  Object.keys(seats).find(playerId => seats[playerId] === gameId) || null;
+
+// The player's card: the one they already hold, else the first card nobody holds
+export const takeSeat = (seats, cards, playerId) => {
+  if (seats[playerId] && cards.some(card => card.gameId === seats[playerId])) return seats;
+  const held = new Set(Object.values(seats));
+  const free = cards.find(card => !held.has(card.gameId));
+  return free ? { ...seats, [playerId]: free.gameId } : seats;
+};
+
+// Seat every connected player, in the order they joined
+export const assignSeats = (cards, playerIds) =>
+  playerIds.reduce((seats, playerId) => takeSeat(seats, cards, playerId), {});
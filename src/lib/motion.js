@@ -0,0 +1,45 @@
+/* --- Motion Preference ---
+   Whether cards animate (hover scale, winner pop, sparkles). 'system'
+   follows the OS `prefers-reduced-motion` setting; the other two override
+   it on this device.
+*/
+
+export const MOTION_PREFERENCES = {
+  system: { label: 'System motion' },
+  reduce: { label: 'Reduced motion' },
+  full: { label: 'Full motion' },
+};
+
+const MOTION_KEY = 'scratch-card:motion';
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+export const loadMotionPreference = () => {
+  try {
+    const stored = window.localStorage.getItem(MOTION_KEY);
+    return MOTION_PREFERENCES[stored] ? stored : 'system';
+  } catch {
+    return 'system';
+  }
+};
+
+export const saveMotionPreference = (preference) => {
+  try {
+    window.localStorage.setItem(MOTION_KEY, preference);
+  } catch {
+    // Storage disabled - the preference lasts for this visit only
+  }
+};
+
+// For useSyncExternalStore: current OS setting and change subscription
+export const systemPrefersReducedMotion = () =>
+  typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia(QUERY).matches;
+
+export const subscribeToSystemMotion = (callback) => {
+  if (typeof window === 'undefined' || !window.matchMedia) return () => {};
+  const query = window.matchMedia(QUERY);
+  query.addEventListener('change', callback);
+  return () => query.removeEventListener('change', callback);
+};
+
+export const resolveReducedMotion = (preference, systemReduced) =>
+  preference === 'system' ? systemReduced : preference === 'reduce';
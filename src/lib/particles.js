@@ -0,0 +1,162 @@
+/* --- Particles ---
+   A small canvas particle system for the celebration effects: confetti
+   bursts when a game is won, and flakes of coating that drop off the card
+   while it is scratched.
+
+   A layer owns one canvas, sized by CSS. Its animation loop only runs
+   while particles are alive, so an idle layer costs nothing. Callers
+   leave the layer out entirely under reduced motion.
+*/
+import { getColorTheme } from './colors';
+
+// Gravity in CSS pixels per ms²; confetti catches the air and flutters down
+const FLAKE_GRAVITY = 0.0012;
+const CONFETTI_GRAVITY = 0.0003;
+const MAX_STEP = 50; // ms; a backgrounded tab must not fling everything off screen at once
+
+const CONFETTI_COLORS = ['#6366f1', '#ec4899', '#f59e0b', '#10b981', '#facc15', '#a855f7'];
+
+const random = (min, max) => min + Math.random() * (max - min);
+const pick = (items) => items[Math.floor(Math.random() * items.length)];
+
+export const createParticleLayer = (canvas) => {
+  const ctx = canvas.getContext('2d');
+  let particles = [];
+  let frame = null;
+  let lastTime = 0;
+
+  // Match the backing store to the CSS size, at device resolution
+  const fit = () => {
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * dpr);
+    const height = Math.round(canvas.clientHeight * dpr);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  };
+
+  const draw = (p) => {
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, p.life / 400);
+    ctx.translate(p.x, p.y);
+    ctx.rotate(p.rotation);
+    ctx.scale(1, Math.cos(p.flip)); // Tumbling confetti shows its edge now and then
+    ctx.fillStyle = p.color;
+    ctx.fillRect(-p.size / 2, -p.size * p.aspect / 2, p.size, p.size * p.aspect);
+    ctx.restore();
+  };
+
+  const step = (time) => {
+    const dt = Math.min(MAX_STEP, time - lastTime);
+    lastTime = time;
+    const height = canvas.clientHeight;
+
+    ctx.clearRect(0, 0, canvas.clientWidth, height);
+    particles = particles.filter(p => {
+      p.life -= dt;
+      p.vx *= Math.pow(p.drag, dt / 16);
+      p.vy = p.vy * Math.pow(p.drag, dt / 16) + p.gravity * dt;
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.rotation += p.spin * dt;
+      p.flip += p.flipSpeed * dt;
+      if (p.life <= 0 || p.y > height + p.size) return false;
+      draw(p);
+      return true;
+    });
+
+    frame = particles.length > 0 ? requestAnimationFrame(step) : null;
+  };
+
+  return {
+    add(newParticles) {
+      if (!frame) {
+        fit();
+        lastTime = performance.now();
+        frame = requestAnimationFrame(step);
+      }
+      particles.push(...newParticles);
+    },
+    clear() {
+      particles = [];
+      if (frame) cancelAnimationFrame(frame);
+      frame = null;
+      ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+    },
+  };
+};
+
+/* A fan of confetti shot upwards from (x, y). `spread` is the half-angle
+   of the fan in radians and `speed` scales the launch velocity. */
+export const createConfetti = (x, y, count, { spread = 0.6, speed = 1 } = {}) =>
+  Array.from({ length: count }, () => {
+    const angle = -Math.PI / 2 + random(-spread, spread);
+    const velocity = random(1.2, 2) * speed;
+    return {
+      x,
+      y,
+      vx: Math.cos(angle) * velocity,
+      vy: Math.sin(angle) * velocity,
+      size: random(6, 11),
+      aspect: random(0.4, 0.8),
+      color: pick(CONFETTI_COLORS),
+      rotation: random(0, Math.PI * 2),
+      spin: random(-0.01, 0.01),
+      flip: random(0, Math.PI),
+      flipSpeed: random(0.005, 0.015),
+      drag: 0.97,
+      gravity: CONFETTI_GRAVITY,
+      life: random(3000, 4000),
+    };
+  });
+
+// Room around a card for its flakes to fall into, and a cap per stroke segment
+export const DEBRIS_MARGIN = 24;
+export const DEBRIS_FALL = 80;
+export const MAX_FLAKES = 6;
+
+// Scraps of coating in the card's colour, drifting down from (x, y)
+export const createFlakes = (x, y, count, colorKey) => {
+  const theme = getColorTheme(colorKey);
+  const colors = [theme.main, theme.light, theme.dark];
+  return Array.from({ length: count }, () => ({
+    x: x + random(-4, 4),
+    y: y + random(-4, 4),
+    vx: random(-0.08, 0.08),
+    vy: random(-0.12, 0.02),
+    size: random(2, 5),
+    aspect: random(0.5, 1),
+    color: pick(colors),
+    rotation: random(0, Math.PI * 2),
+    spin: random(-0.02, 0.02),
+    flip: 0,
+    flipSpeed: random(0, 0.01),
+    drag: 0.96,
+    gravity: FLAKE_GRAVITY,
+    life: random(700, 1200),
+  }));
+};
+
+/* --- Celebrations ---
+   How hard to celebrate each prize tier (see lib/prizes PRIZE_TIERS):
+   how many bursts, how much confetti per burst, and how wide and fast it
+   flies. Losing ('none') gets no confetti. */
+export const CELEBRATIONS = {
+  grand: { bursts: 3, confetti: 110, spread: 0.6, speed: 1.1 },
+  minor: { bursts: 1, confetti: 70, spread: 0.45, speed: 0.85 },
+  none: null,
+};
+
+// Fire the tier's bursts from the bottom of a width x height layer, staggered.
+// Returns a function that cancels any bursts still to come.
+export const celebrate = (layer, tier, width, height) => {
+  const celebration = CELEBRATIONS[tier];
+  if (!celebration) return () => {};
+  const origins = celebration.bursts === 1 ? [0.5] : [0.2, 0.8, 0.5];
+  const timers = origins.slice(0, celebration.bursts).map((position, index) => setTimeout(() => {
+    layer.add(createConfetti(width * position, height, celebration.confetti, celebration));
+  }, index * 300));
+  return () => timers.forEach(clearTimeout);
+};
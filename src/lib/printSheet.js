@@ -0,0 +1,186 @@
+/* --- Print Sheets ---
+   Lays a deck of cards out on A4/Letter pages as SVG (millimetre units).
+   Two matching layers come out of the same layout:
+     - 'cards':   prize text/image, serial number and cut marks
+     - 'coating': the scratch-off panels, to print on scratch-off label stock
+   Every coating panel sits exactly over its card's prize window, so the two
+   sheets line up when the labels are applied.
+*/
+import { getColorTheme } from './colors';
+import { getPrizeTitle } from './prizes';
+
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  letter: { label: 'Letter', width: 215.9, height: 279.4 },
+};
+
+export const PAGE_LAYOUTS = {
+  4: { cols: 2, rows: 2 },
+  6: { cols: 2, rows: 3 },
+  8: { cols: 2, rows: 4 },
+  12: { cols: 3, rows: 4 },
+};
+
+const MARGIN = 12;      // Page margin, leaves room for the outer cut marks
+const GUTTER = 8;       // Space between cards
+const CUT_MARK = 4;     // Length of each cut mark
+const CUT_OFFSET = 1.5; // Gap between the mark and the cut line
+const SERIAL_STRIP = 9; // Band under the prize window for the serial number
+const INSET = 4;        // Prize window inset from the card edge
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const fmt = (n) => Number(n.toFixed(2));
+
+export const formatSerial = (index) => `No. ${String(index + 1).padStart(4, '0')}`;
+
+// Greedy word wrap by character count; SVG text has no layout engine
+const wrapText = (text, maxChars) => {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length > maxChars && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+};
+
+// Card cells for one page, plus the prize window inside each cell
+export const getPageSlots = (paperKey, perPage) => {
+  const paper = PAPER_SIZES[paperKey] || PAPER_SIZES.a4;
+  const { cols, rows } = PAGE_LAYOUTS[perPage] || PAGE_LAYOUTS[8];
+  const cellW = (paper.width - MARGIN * 2 - GUTTER * (cols - 1)) / cols;
+  const cellH = (paper.height - MARGIN * 2 - GUTTER * (rows - 1)) / rows;
+
+  const slots = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x = MARGIN + col * (cellW + GUTTER);
+      const y = MARGIN + row * (cellH + GUTTER);
+      slots.push({
+        cell: { x, y, w: cellW, h: cellH },
+        window: { x: x + INSET, y: y + INSET, w: cellW - INSET * 2, h: cellH - INSET - SERIAL_STRIP },
+      });
+    }
+  }
+  return { paper, slots };
+};
+
+const cutMarks = ({ x, y, w, h }) => {
+  const corners = [[x, y, -1, -1], [x + w, y, 1, -1], [x, y + h, -1, 1], [x + w, y + h, 1, 1]];
+  return corners.map(([cx, cy, dx, dy]) => [
+    `<line x1="${fmt(cx + dx * CUT_OFFSET)}" y1="${fmt(cy)}" x2="${fmt(cx + dx * (CUT_OFFSET + CUT_MARK))}" y2="${fmt(cy)}" />`,
+    `<line x1="${fmt(cx)}" y1="${fmt(cy + dy * CUT_OFFSET)}" x2="${fmt(cx)}" y2="${fmt(cy + dy * (CUT_OFFSET + CUT_MARK))}" />`,
+  ].join('')).join('');
+};
+
+const textBlock = (text, box, fontSize, weight, fill) => {
+  const lines = wrapText(text, Math.max(6, Math.floor(box.w / (fontSize * 0.55))));
+  const lineHeight = fontSize * 1.2;
+  const top = box.y + box.h / 2 - ((lines.length - 1) * lineHeight) / 2;
+  const tspans = lines.map((line, i) =>
+    `<tspan x="${fmt(box.x + box.w / 2)}" y="${fmt(top + i * lineHeight)}">${escapeXml(line)}</tspan>`
+  ).join('');
+  return `<text font-size="${fmt(fontSize)}" font-weight="${weight}" fill="${fill}" text-anchor="middle" dominant-baseline="middle">${tspans}</text>`;
+};
+
+// Image (if any) above the title, with the value underneath
+const prizeFace = (card, win) => {
+  const title = getPrizeTitle(card);
+  const fontSize = Math.min(8, win.h / 5);
+  const valueHeight = card.value ? fontSize : 0;
+  let textBox = { ...win, h: win.h - valueHeight };
+  let image = '';
+
+  if (card.image) {
+    const imageH = card.name ? win.h * 0.6 : win.h - valueHeight;
+    image = `<image href="${escapeXml(card.image)}" x="${fmt(win.x + 2)}" y="${fmt(win.y + 2)}" width="${fmt(win.w - 4)}" height="${fmt(imageH - 4)}" preserveAspectRatio="xMidYMid meet" />`;
+    textBox = { ...win, y: win.y + imageH, h: win.h - imageH - valueHeight };
+  }
+
+  const titleText = !card.image || card.name ? textBlock(title, textBox, card.image ? fontSize * 0.75 : fontSize, 'bold', '#1f2937') : '';
+  const value = card.value
+    ? textBlock(card.value, { ...win, y: win.y + win.h - valueHeight * 1.2, h: valueHeight }, fontSize * 0.6, 'normal', '#4b5563')
+    : '';
+  return image + titleText + value;
+};
+
+const coatingPanel = (card, win, index, text) => {
+  const theme = getColorTheme(card.color || 'indigo');
+  const gradientId = `coat-${index}`;
+  return [
+    `<linearGradient id="${gradientId}" x1="0" y1="0" x2="1" y2="1">`,
+    `<stop offset="0" stop-color="${theme.light}" /><stop offset="0.5" stop-color="${theme.main}" /><stop offset="1" stop-color="${theme.light}" />`,
+    `</linearGradient>`,
+    `<rect x="${fmt(win.x)}" y="${fmt(win.y)}" width="${fmt(win.w)}" height="${fmt(win.h)}" rx="2" fill="url(#${gradientId})" />`,
+    text ? `<text x="${fmt(win.x + win.w / 2)}" y="${fmt(win.y + win.h / 2)}" font-size="${fmt(Math.min(7, win.h / 6))}" font-weight="bold" fill="#ffffff" text-anchor="middle" dominant-baseline="middle">${escapeXml(text)}</text>` : '',
+  ].join('');
+};
+
+// One SVG document per page. `layer` is 'cards' or 'coating'.
+export const buildSheetSvgs = (cards, { paper: paperKey = 'a4', perPage = 8, layer = 'cards', coatingText = 'SCRATCH ME' } = {}) => {
+  const { paper, slots } = getPageSlots(paperKey, perPage);
+  const pages = [];
+
+  for (let start = 0; start < cards.length; start += slots.length) {
+    const body = cards.slice(start, start + slots.length).map((card, i) => {
+      const { cell, window: win } = slots[i];
+      const index = start + i;
+
+      if (layer === 'coating') {
+        return coatingPanel(card, win, index, coatingText) +
+          `<g stroke="#000" stroke-width="0.2">${cutMarks(win)}</g>`;
+      }
+
+      const serial = `<text x="${fmt(cell.x + cell.w / 2)}" y="${fmt(cell.y + cell.h - SERIAL_STRIP / 2)}" font-size="3.5" font-family="monospace" fill="#4b5563" text-anchor="middle" dominant-baseline="middle">${escapeXml(formatSerial(index))}${card.redeemCode ? `  ${escapeXml(card.redeemCode)}` : ''}</text>`;
+      return `<rect x="${fmt(cell.x)}" y="${fmt(cell.y)}" width="${fmt(cell.w)}" height="${fmt(cell.h)}" fill="none" stroke="#e5e7eb" stroke-width="0.2" />` +
+        prizeFace(card, win) + serial +
+        `<g stroke="#000" stroke-width="0.2">${cutMarks(cell)}</g>`;
+    }).join('');
+
+    pages.push(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${paper.width}mm" height="${paper.height}mm" viewBox="0 0 ${paper.width} ${paper.height}" font-family="sans-serif">` +
+      `<rect width="${paper.width}" height="${paper.height}" fill="#ffffff" />${body}</svg>`
+    );
+  }
+
+  return pages;
+};
+
+// Standalone HTML wrapping the pages, for the browser's print / save-as-PDF
+export const buildPrintDocument = (svgs, paperKey = 'a4', title = 'Scratch Cards') => {
+  const paper = PAPER_SIZES[paperKey] || PAPER_SIZES.a4;
+  const pages = svgs.map(svg => `<div class="page">${svg}</div>`).join('');
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeXml(title)}</title><style>` +
+    `@page { size: ${paper.width}mm ${paper.height}mm; margin: 0; }` +
+    `body { margin: 0; }` +
+    `.page { width: ${paper.width}mm; height: ${paper.height}mm; page-break-after: always; break-after: page; }` +
+    `.page svg { display: block; }` +
+    `</style></head><body>${pages}</body></html>`;
+};
+
+// Print through a hidden iframe so popup blockers stay out of the way
+export const printHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
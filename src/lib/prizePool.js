@@ -0,0 +1,135 @@
+/* --- Prize Pool ---
+   Pure helpers for drawing a session's cards out of a weighted prize pool.
+   Every prize config carries a `quantity` (its stock in the pool). A session
+   draws cards without replacement, so a prize with quantity 1 can appear at
+   most once per game. All randomness comes from the injected `random`
+   function, which keeps these helpers deterministic under test.
+*/
+import { PRIZE_TIERS, DEFAULT_TIER, createPrize } from './prizes';
+
+export const getQuantity = (config) => {
+  const qty = Number(config.quantity ?? 1);
+  return Number.isFinite(qty) && qty > 0 ? Math.floor(qty) : 0;
+};
+
+export const getPoolSize = (pool) =>
+  pool.reduce((total, config) => total + getQuantity(config), 0);
+
+// Chance that any single card drawn from a full pool is this prize.
+export const getPrizeOdds = (pool) => {
+  const total = getPoolSize(pool);
+  return pool.map(config => ({
+    id: config.id,
+    quantity: getQuantity(config),
+    probability: total > 0 ? getQuantity(config) / total : 0,
+  }));
+};
+
+// Draw `count` cards, each pick weighted by the prize's remaining quantity.
+// Returns fewer than `count` cards when the pool runs dry.
+export const drawCards = (pool, count, random = Math.random) => {
+  const remaining = pool.map(config => ({ config, left: getQuantity(config) }));
+  let total = remaining.reduce((sum, entry) => sum + entry.left, 0);
+  const drawn = [];
+
+  while (drawn.length < count && total > 0) {
+    let ticket = Math.floor(random() * total);
+    const entry = remaining.find(e => {
+      if (ticket < e.left) return true;
+      ticket -= e.left;
+      return false;
+    });
+    entry.left--;
+    total--;
+    drawn.push(entry.config);
+  }
+
+  return drawn;
+};
+
+// Fisher-Yates shuffle returning a new array.
+export const shuffleCards = (cards, random = Math.random) => {
+  const result = [...cards];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Re-order drawn cards to follow the editor's prize order.
+export const sortByPoolOrder = (cards, pool) => {
+  const order = new Map(pool.map((config, index) => [config.id, index]));
+  return [...cards].sort((a, b) => order.get(a.id) - order.get(b.id));
+};
+
+// Build prize configs from CSV rows. Columns are matched by header name
+// (prize/content/name, quantity/qty/weight, type, color, image, description,
+// value, tier, redemption); without a recognised header the order is
+// assumed to be prize, quantity, type, color. A `type` of "image" keeps the
+// old meaning: the prize column holds an image URL.
+export const prizesFromCsvRows = (rows) => {
+  if (rows.length === 0) throw new Error('The CSV file is empty.');
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const findColumn = (...names) => header.findIndex(cell => names.includes(cell));
+  let contentCol = findColumn('prize', 'content', 'name');
+  let quantityCol = findColumn('quantity', 'qty', 'weight', 'stock');
+  let typeCol = findColumn('type');
+  let colorCol = findColumn('color', 'colour');
+  const imageCol = findColumn('image', 'image url');
+  const descriptionCol = findColumn('description');
+  const valueCol = findColumn('value');
+  const tierCol = findColumn('tier');
+  const redemptionCol = findColumn('redemption', 'how to redeem');
+  const hasHeader = contentCol !== -1;
+  if (!hasHeader) {
+    contentCol = 0;
+    quantityCol = 1;
+    typeCol = 2;
+    colorCol = 3;
+  }
+
+  return rows.slice(hasHeader ? 1 : 0).map((row, index) => {
+    const line = index + (hasHeader ? 2 : 1);
+    const cell = (col) => (col === -1 ? '' : (row[col] ?? '')).trim();
+    const content = cell(contentCol);
+    if (!content && !cell(imageCol)) throw new Error(`Row ${line}: the prize is empty.`);
+
+    const rawQuantity = quantityCol === -1 ? '' : (row[quantityCol] ?? '').trim();
+    const quantity = rawQuantity === '' ? 1 : Number(rawQuantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new Error(`Row ${line}: "${rawQuantity}" is not a valid quantity.`);
+    }
+
+    const tier = cell(tierCol).toLowerCase() || DEFAULT_TIER;
+    if (!PRIZE_TIERS[tier]) throw new Error(`Row ${line}: "${tier}" is not a tier (use ${Object.keys(PRIZE_TIERS).join(', ')}).`);
+
+    const isImageOnly = cell(typeCol).toLowerCase() === 'image';
+    return createPrize(index + 1, {
+      name: isImageOnly ? '' : content,
+      image: isImageOnly ? content : cell(imageCol),
+      description: cell(descriptionCol),
+      value: cell(valueCol),
+      tier,
+      redemption: cell(redemptionCol),
+      quantity,
+      color: cell(colorCol).toLowerCase() || 'indigo',
+    });
+  });
+};
+
+// Independent weighted picks with replacement; stock is not consumed, so the
+// same prize can fill several cells (used by the match-three grid).
+export const drawWithReplacement = (pool, count, random = Math.random) => {
+  const total = getPoolSize(pool);
+  if (total === 0) return [];
+  return Array.from({ length: count }, () => {
+    let ticket = Math.floor(random() * total);
+    return pool.find(config => {
+      if (ticket < getQuantity(config)) return true;
+      ticket -= getQuantity(config);
+      return false;
+    });
+  });
+};
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { drawCards, getPrizeOdds } from './prizePool';
+
+// Small seeded generator (mulberry32), so every run draws the same cards
+const seeded = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const pool = [
+  { id: 1, name: 'Grand', quantity: 1 },
+  { id: 2, name: 'Coffee', quantity: 3 },
+  { id: 3, name: 'No prize', quantity: 6 },
+];
+
+test('drawCards never draws a prize more often than its quantity', () => {
+  const random = seeded(1);
+  for (let game = 0; game < 200; game++) {
+    const drawn = drawCards(pool, 10, random);
+    assert.equal(drawn.length, 10);
+    pool.forEach(config => {
+      assert.equal(drawn.filter(card => card.id === config.id).length, config.quantity);
+    });
+  }
+});
+
+test('drawCards stops when the pool runs dry', () => {
+  assert.equal(drawCards(pool, 25, seeded(2)).length, 10);
+  assert.deepEqual(drawCards([{ id: 1, quantity: 0 }], 3, seeded(3)), []);
+});
+
+test('single draws follow the configured odds', () => {
+  const random = seeded(4);
+  const counts = { 1: 0, 2: 0, 3: 0 };
+  const draws = 20000;
+  for (let i = 0; i < draws; i++) counts[drawCards(pool, 1, random)[0].id]++;
+
+  getPrizeOdds(pool).forEach(({ id, probability }) => {
+    assert.ok(Math.abs(counts[id] / draws - probability) < 0.02, `prize ${id}: ${counts[id] / draws} vs ${probability}`);
+  });
+});
@@ -0,0 +1,59 @@
+/* --- Prize Model ---
+   One structured record per prize, used for the card face, the result
+   header, share links, print sheets and every export:
+
+     { id, name, image, description, value, tier, redemption, quantity, color }
+
+   `image` is a URL or data URL and may sit alongside a name. `value` is
+   free text ("$10", "1 drink"). `tier` marks how big the prize is; 'none'
+   is a losing card ("Better luck next time").
+*/
+
+export const PRIZE_TIERS = {
+  grand: { label: 'Grand Prize' },
+  minor: { label: 'Prize' },
+  none: { label: 'No Prize' },
+};
+
+export const DEFAULT_TIER = 'minor';
+
+const TEXT_FIELDS = ['name', 'image', 'description', 'value', 'redemption'];
+
+export const createPrize = (id, fields = {}) => ({
+  id,
+  name: '',
+  image: '',
+  description: '',
+  value: '',
+  tier: DEFAULT_TIER,
+  redemption: '',
+  quantity: 1,
+  color: 'indigo',
+  ...fields,
+});
+
+// Cards from before the prize model were either text or an image URL
+export const upgradeLegacyPrize = ({ type, content = '', ...rest }) =>
+  type === 'image' ? { ...rest, name: rest.name ?? '', image: content } : { ...rest, name: content, image: rest.image ?? '' };
+
+// Fill in missing fields and drop anything that isn't text; `tier` falls back to DEFAULT_TIER
+export const normalizePrize = (prize) => {
+  const normalized = { ...prize, tier: PRIZE_TIERS[prize.tier] ? prize.tier : DEFAULT_TIER };
+  TEXT_FIELDS.forEach(field => {
+    normalized[field] = typeof prize[field] === 'string' ? prize[field] : '';
+  });
+  return normalized;
+};
+
+export const hasPrizeContent = (prize) => !!(prize.name || prize.image);
+
+export const isWinningPrize = (prize) => !!prize && prize.tier !== 'none';
+
+// The biggest tier among `prizes` (PRIZE_TIERS is ordered biggest first); 'none' if nothing won
+export const getTopTier = (prizes) =>
+  Object.keys(PRIZE_TIERS).find(tier => prizes.some(prize => isWinningPrize(prize) && prize.tier === tier)) || 'none';
+
+// Headline for the card face and result banner; image-only prizes fall back to the
+// tier's label. `tierLabel` lets the UI supply translated labels (see lib/i18n).
+export const getPrizeTitle = (prize, tierLabel = tier => PRIZE_TIERS[tier].label) =>
+  prize.name || tierLabel(PRIZE_TIERS[prize.tier] ? prize.tier : DEFAULT_TIER);
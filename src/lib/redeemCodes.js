@@ -0,0 +1,43 @@
+/* --- Redeem Codes ---
+   Short human-readable codes printed under each card's coating, e.g.
+   `K7QM-3XWP`. The alphabet skips look-alike characters (0/O, 1/I/L) so the
+   front desk can read them back reliably.
+*/
+import { getPrizeTitle } from './prizes';
+
+const ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 8;
+
+const cryptoRandom = () => {
+  const buffer = new Uint32Array(1);
+  crypto.getRandomValues(buffer);
+  return buffer[0] / 0x100000000;
+};
+
+export const createRedeemCode = (random = cryptoRandom) => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    if (i === CODE_LENGTH / 2) code += '-';
+    code += ALPHABET[Math.floor(random() * ALPHABET.length)];
+  }
+  return code;
+};
+
+// Generate `count` codes that collide neither with each other nor with `existing`
+export const generateRedeemCodes = (count, { existing = [], random = cryptoRandom } = {}) => {
+  const used = new Set(existing);
+  const codes = [];
+  while (codes.length < count) {
+    const code = createRedeemCode(random);
+    if (used.has(code)) continue;
+    used.add(code);
+    codes.push(code);
+  }
+  return codes;
+};
+
+// Rows for the front-desk verification sheet
+export const redeemCodeRows = (cards) => [
+  ['code', 'prize', 'value', 'tier', 'redemption'],
+  ...cards.map(card => [card.redeemCode, getPrizeTitle(card), card.value, card.tier, card.redemption]),
+];
@@ -0,0 +1,116 @@
+/* --- Schedule ---
+   Time-limited campaigns: a draw that only opens between `startsAt` and
+   `endsAt`, and an optional cap on how often one device may play. The
+   window is saved with the template; the plays are counted per device in
+   localStorage, like the campaign stock.
+
+   Times are `datetime-local` strings ("2026-12-24T18:00"), read in the
+   device's own time zone - the screen at the venue is the clock that
+   counts. Either end may be left empty.
+
+   `plays` maps a campaign key (the template id) to the timestamps of the
+   games started on this device. A play counts from the first scratch, so
+   dealing or reshuffling an untouched deck is free.
+*/
+
+const STORAGE_KEY = 'scratch-card:plays';
+const MAX_PLAYS_KEPT = 100; // Per campaign; far more than any limit needs
+
+export const LIMIT_PERIODS = {
+  day: { label: 'per day' },
+  campaign: { label: 'per campaign' },
+};
+
+export const PLAY_LIMITS = [0, 1, 2, 3, 5, 10]; // 0 = unlimited
+
+export const DEFAULT_SCHEDULE = { enabled: false, startsAt: '', endsAt: '', maxPlays: 0, limitPeriod: 'day' };
+
+export const loadPlays = () => {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+export const savePlays = (plays) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(plays));
+  } catch {
+    // Storage full or disabled (private mode) - limits reset with the page
+  }
+};
+
+export const recordPlay = (plays, key, now) => ({
+  ...plays,
+  [key]: [...(plays[key] || []), now].slice(-MAX_PLAYS_KEPT),
+});
+
+export const clearPlays = (plays, key) => {
+  const { [key]: _cleared, ...rest } = plays;
+  return rest;
+};
+
+const parseTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+// Start of the local day after `now`
+const nextMidnight = (now) => {
+  const date = new Date(now);
+  date.setHours(24, 0, 0, 0);
+  return date.getTime();
+};
+
+export const isValidWindow = (schedule) => {
+  const start = parseTime(schedule.startsAt);
+  const end = parseTime(schedule.endsAt);
+  return start === null || end === null || start < end;
+};
+
+// 'upcoming', 'open' or 'closed'; a schedule that is off is always open
+export const getScheduleStatus = (schedule, now) => {
+  if (!schedule.enabled) return 'open';
+  const start = parseTime(schedule.startsAt);
+  const end = parseTime(schedule.endsAt);
+  if (start !== null && now < start) return 'upcoming';
+  if (end !== null && now >= end) return 'closed';
+  return 'open';
+};
+
+// Plays on this device that count towards the limit right now
+export const countPlays = (timestamps = [], period, now) => {
+  if (period !== 'day') return timestamps.length;
+  const dayStart = new Date(now).setHours(0, 0, 0, 0);
+  return timestamps.filter(time => time >= dayStart).length;
+};
+
+/* What keeps this device from playing, or null when it may play:
+     { reason: 'upcoming', until }   the campaign has not opened yet
+     { reason: 'closed', until: null }
+     { reason: 'limit', until }      played enough; `until` is when the next
+                                     play frees up, null if never */
+export const getCampaignGate = (schedule, timestamps, now) => {
+  const status = getScheduleStatus(schedule, now);
+  if (status === 'upcoming') return { reason: 'upcoming', until: parseTime(schedule.startsAt) };
+  if (status === 'closed') return { reason: 'closed', until: null };
+  if (!schedule.enabled || !schedule.maxPlays) return null;
+  if (countPlays(timestamps, schedule.limitPeriod, now) < schedule.maxPlays) return null;
+
+  const end = parseTime(schedule.endsAt);
+  const until = schedule.limitPeriod === 'day' ? nextMidnight(now) : null;
+  return { reason: 'limit', until: until !== null && (end === null || until < end) ? until : null };
+};
+
+// Whole days, hours, minutes and seconds left until `until`
+export const getCountdown = (until, now) => {
+  const total = Math.max(0, Math.ceil((until - now) / 1000));
+  return {
+    days: Math.floor(total / 86400),
+    hours: Math.floor(total / 3600) % 24,
+    minutes: Math.floor(total / 60) % 60,
+    seconds: total % 60,
+  };
+};
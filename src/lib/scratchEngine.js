@@ -0,0 +1,204 @@
+/* --- Scratch Engine ---
+   Brush definitions and a coarse coverage grid that decides when a card is
+   revealed. Every stroke marks the grid cells the brush passes over, so the
+   reveal no longer depends on sampling canvas pixels at random moments:
+   the same strokes always produce the same coverage.
+*/
+
+export const BRUSHES = {
+  coin: { label: 'Coin', shape: 'round', size: 40 },
+  finger: { label: 'Finger', shape: 'round', size: 26 },
+  eraser: { label: 'Eraser', shape: 'square', size: 34 },
+};
+
+export const REVEAL_REGIONS = {
+  anywhere: { label: 'Anywhere' },
+  center: { label: 'Centre window' },
+};
+
+export const DEFAULT_SCRATCH_SETTINGS = {
+  brush: 'coin',
+  brushSize: null,   // null = the brush's own size
+  threshold: 0.4,    // Fraction of the region that must be cleared
+  region: 'anywhere',
+};
+
+const CELL_SIZE = 8; // Grid resolution in CSS pixels
+
+export const resolveBrush = (settings = {}) => {
+  const brush = BRUSHES[settings.brush] || BRUSHES.coin;
+  return { shape: brush.shape, size: settings.brushSize || brush.size };
+};
+
+// Pen pressure (0-1) scales the brush from half to one and a half times its
+// size. Mouse and touch report fixed pressures, so they keep the base size.
+export const getPressureBrush = (brush, { pointerType, pressure }) =>
+  pointerType === 'pen' && pressure > 0 ? { ...brush, size: brush.size * (0.5 + pressure) } : brush;
+
+// The part of the card that counts towards the reveal, in CSS pixels
+export const getRevealRegion = (width, height, region) => {
+  if (region === 'center') {
+    return { x: width * 0.25, y: height * 0.25, w: width * 0.5, h: height * 0.5 };
+  }
+  return { x: 0, y: 0, w: width, h: height };
+};
+
+export const createCoverageGrid = (width, height, cellSize = CELL_SIZE) => {
+  const cols = Math.max(1, Math.ceil(width / cellSize));
+  const rows = Math.max(1, Math.ceil(height / cellSize));
+  return { width, height, cellSize, cols, rows, cells: new Uint8Array(cols * rows) };
+};
+
+// The same coverage on a card resized to width × height: each new cell takes
+// the state of the old cell under its centre, so progress survives a resize
+export const resizeCoverageGrid = (grid, width, height) => {
+  const next = createCoverageGrid(width, height, grid.cellSize);
+  for (let row = 0; row < next.rows; row++) {
+    const source = Math.min(grid.rows - 1, Math.floor((row + 0.5) / next.rows * grid.rows));
+    for (let col = 0; col < next.cols; col++) {
+      const sourceCol = Math.min(grid.cols - 1, Math.floor((col + 0.5) / next.cols * grid.cols));
+      next.cells[row * next.cols + col] = grid.cells[source * grid.cols + sourceCol];
+    }
+  }
+  return next;
+};
+
+const markPoint = (grid, px, py, brush) => {
+  const { cellSize, cols, rows, cells } = grid;
+  const r = brush.size / 2;
+  const minCol = Math.max(0, Math.floor((px - r) / cellSize));
+  const maxCol = Math.min(cols - 1, Math.floor((px + r) / cellSize));
+  const minRow = Math.max(0, Math.floor((py - r) / cellSize));
+  const maxRow = Math.min(rows - 1, Math.floor((py + r) / cellSize));
+
+  let fresh = 0;
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const dx = (col + 0.5) * cellSize - px;
+      const dy = (row + 0.5) * cellSize - py;
+      const inside = brush.shape === 'square'
+        ? Math.abs(dx) <= r && Math.abs(dy) <= r
+        : dx * dx + dy * dy <= r * r;
+      if (inside && !cells[row * cols + col]) {
+        cells[row * cols + col] = 1;
+        fresh++;
+      }
+    }
+  }
+  return fresh;
+};
+
+// Mark every cell under a stroke segment; `from` may be null for a single dab.
+// Returns how many cells were newly cleared (0 when re-scratching bare card).
+export const markStroke = (grid, from, to, brush) => {
+  const start = from || to;
+  const dist = Math.hypot(to.x - start.x, to.y - start.y);
+  const steps = Math.max(1, Math.ceil(dist / (grid.cellSize / 2)));
+  let fresh = 0;
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    fresh += markPoint(grid, start.x + (to.x - start.x) * t, start.y + (to.y - start.y) * t, brush);
+  }
+  return fresh;
+};
+
+// Cleared fraction (0-1) of the cells whose centres fall inside `region`
+export const getCoverage = (grid, region = { x: 0, y: 0, w: grid.width, h: grid.height }) => {
+  let total = 0;
+  let cleared = 0;
+  for (let row = 0; row < grid.rows; row++) {
+    const cy = (row + 0.5) * grid.cellSize;
+    if (cy < region.y || cy > region.y + region.h) continue;
+    for (let col = 0; col < grid.cols; col++) {
+      const cx = (col + 0.5) * grid.cellSize;
+      if (cx < region.x || cx > region.x + region.w) continue;
+      total++;
+      cleared += grid.cells[row * grid.cols + col];
+    }
+  }
+  return total > 0 ? cleared / total : 0;
+};
+
+// Whole-number progress towards the reveal: 100 means the threshold is met
+export const getRevealProgress = (grid, settings = DEFAULT_SCRATCH_SETTINGS) => {
+  const region = getRevealRegion(grid.width, grid.height, settings.region);
+  const threshold = settings.threshold ?? DEFAULT_SCRATCH_SETTINGS.threshold;
+  return Math.floor(Math.min(1, getCoverage(grid, region) / threshold) * 100);
+};
+
+export const isRevealComplete = (grid, settings = DEFAULT_SCRATCH_SETTINGS) =>
+  getRevealProgress(grid, settings) >= 100;
+
+// Tell the host the card is revealed. Both callbacks are optional, and
+// `stats` ({ startedAt, strokes, input }) is null for a card never scratched.
+export const notifyReveal = ({ onReveal, onTrack }, prize, stats, time) => {
+  if (onTrack && stats) {
+    // Time from the first stroke to the reveal, and how many strokes it took
+    onTrack({ type: 'reveal', duration: Math.round(time - stats.startedAt), strokes: stats.strokes, input: stats.input });
+  }
+  if (onReveal) onReveal(prize);
+};
+
+export const PROGRESS_MILESTONES = [25, 50, 75];
+
+// Milestones passed when progress moves from `previous` to `next`
+export const getCrossedMilestones = (previous, next) =>
+  PROGRESS_MILESTONES.filter(m => previous < m && next >= m);
+
+// Dashed outline so players know which part of the card has to be cleared
+export const drawRegionHint = (ctx, width, height, region) => {
+  if (region !== 'center') return;
+  const { x, y, w, h } = getRevealRegion(width, height, region);
+  ctx.save();
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.lineWidth = 2;
+  ctx.setLineDash([6, 4]);
+  ctx.strokeRect(x, y, w, h);
+  ctx.restore();
+};
+
+/* --- Keyboard scratching ---
+   Holding Space/Enter walks the brush along a serpentine path over the
+   reveal region, one segment per key repeat; arrow keys move the brush
+   freely. Both feed the same markStroke as pointer input.
+*/
+
+export const KEYBOARD_SCRATCH_KEYS = [' ', 'Enter'];
+
+const ARROW_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+};
+
+// Points of the back-and-forth sweep, spaced so neighbouring rows overlap
+export const createSweepPath = (width, height, settings = DEFAULT_SCRATCH_SETTINGS) => {
+  const brush = resolveBrush(settings);
+  const { x, y, w, h } = getRevealRegion(width, height, settings.region);
+  const spacing = Math.max(4, brush.size * 0.75);
+  const cols = Math.max(1, Math.ceil(w / spacing));
+  const rows = Math.max(1, Math.ceil(h / spacing));
+  const points = [];
+
+  for (let row = 0; row <= rows; row++) {
+    const py = Math.min(y + h, y + row * spacing);
+    for (let i = 0; i <= cols; i++) {
+      const col = row % 2 === 0 ? i : cols - i;
+      points.push({ x: Math.min(x + w, x + col * spacing), y: py });
+    }
+  }
+  return points;
+};
+
+// Next keyboard brush position for an arrow key, kept inside the card; null for other keys
+export const moveKeyboardBrush = (pos, key, width, height, settings = DEFAULT_SCRATCH_SETTINGS) => {
+  const direction = ARROW_DIRECTIONS[key];
+  if (!direction) return null;
+  const step = resolveBrush(settings).size / 2;
+  return {
+    x: Math.min(width, Math.max(0, pos.x + direction.x * step)),
+    y: Math.min(height, Math.max(0, pos.y + direction.y * step)),
+  };
+};
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCoverageGrid, markStroke, getCoverage, getRevealProgress, isRevealComplete, getCrossedMilestones, notifyReveal } from './scratchEngine';
+
+const coin = { shape: 'round', size: 40 };
+
+// Horizontal strokes `spacing` pixels apart, top to bottom, over `rows` rows
+const scratchRows = (grid, rows, spacing = 40) => {
+  for (let row = 0; row < rows; row++) {
+    const y = 20 + row * spacing;
+    markStroke(grid, { x: 0, y }, { x: grid.width, y }, coin);
+  }
+};
+
+test('an untouched card has no coverage', () => {
+  const grid = createCoverageGrid(240, 240);
+  assert.equal(getCoverage(grid), 0);
+  assert.equal(getRevealProgress(grid), 0);
+});
+
+test('re-scratching cleared cells clears nothing new', () => {
+  const grid = createCoverageGrid(240, 240);
+  const first = markStroke(grid, { x: 20, y: 20 }, { x: 200, y: 20 }, coin);
+  assert.ok(first > 0);
+  assert.equal(markStroke(grid, { x: 20, y: 20 }, { x: 200, y: 20 }, coin), 0);
+});
+
+test('the card reveals once the threshold is cleared, not before', () => {
+  const settings = { threshold: 0.5, region: 'anywhere' };
+  const grid = createCoverageGrid(240, 240);
+  scratchRows(grid, 2); // A third of the card
+  assert.ok(!isRevealComplete(grid, settings));
+  assert.ok(getRevealProgress(grid, settings) > 50);
+
+  scratchRows(grid, 4); // Two thirds
+  assert.ok(getCoverage(grid) >= 0.5);
+  assert.ok(isRevealComplete(grid, settings));
+  assert.equal(getRevealProgress(grid, settings), 100);
+});
+
+test('with a centre window only the middle counts', () => {
+  const settings = { threshold: 0.4, region: 'center' };
+  const grid = createCoverageGrid(240, 240);
+  // The outer bands only: top and bottom 40 pixels
+  markStroke(grid, { x: 0, y: 20 }, { x: 240, y: 20 }, coin);
+  markStroke(grid, { x: 0, y: 220 }, { x: 240, y: 220 }, coin);
+  assert.equal(getRevealProgress(grid, settings), 0);
+
+  markStroke(grid, { x: 60, y: 120 }, { x: 180, y: 120 }, coin);
+  markStroke(grid, { x: 60, y: 90 }, { x: 180, y: 90 }, coin);
+  assert.ok(isRevealComplete(grid, settings));
+});
+
+test('milestones are crossed once each', () => {
+  assert.deepEqual(getCrossedMilestones(0, 60), [25, 50]);
+  assert.deepEqual(getCrossedMilestones(60, 100), [75]);
+  assert.deepEqual(getCrossedMilestones(80, 90), []);
+});
+
+test('a card without onReveal still finishes its reveal', () => {
+  const stats = { startedAt: 1000, strokes: 12, input: 'touch' };
+  assert.doesNotThrow(() => notifyReveal({}, 'Free Coffee', stats, 2500));
+
+  const events = [];
+  notifyReveal({ onTrack: (event) => events.push(event) }, 'Free Coffee', stats, 2500);
+  assert.deepEqual(events, [{ type: 'reveal', duration: 1500, strokes: 12, input: 'touch' }]);
+});
+
+test('onReveal receives the prize', () => {
+  let revealed;
+  notifyReveal({ onReveal: (prize) => { revealed = prize; } }, 'Free Coffee', null, 0);
+  assert.equal(revealed, 'Free Coffee');
+});
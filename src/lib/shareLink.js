@@ -0,0 +1,108 @@
+/* --- Share Links ---
+   Encodes a single pre-assigned card into a URL hash (`#card=<token>`).
+   The payload is XOR-scrambled with a keystream seeded by a random salt and
+   carries a checksum, so the prize can't be read by eye and a hand-edited
+   token is rejected. This is obfuscation, not cryptography - anyone with the
+   source can decode it.
+
+   Version 2 tokens carry the full prize model; version 1 tokens (text or
+   image only) are still accepted and upgraded.
+
+   An uploaded image (a data URL) would make the link tens of kilobytes
+   long, so such cards can't be shared - see canShareCard.
+*/
+import { normalizePrize, upgradeLegacyPrize } from './prizes';
+import { isDataUrl } from './images';
+import { bytesToBase64, base64ToBytes } from './base64';
+
+const HASH_PREFIX = '#card=';
+const VERSION = 2;
+
+// FNV-1a over bytes, used both as checksum and to seed the keystream
+const fnv1a = (bytes, seed = 0x811c9dc5) => {
+  let hash = seed;
+  for (const byte of bytes) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+// xorshift32 keystream, deterministic for a given salt
+const scramble = (bytes, salt) => {
+  let state = fnv1a(salt) || 1;
+  return bytes.map(byte => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    state >>>= 0;
+    return byte ^ (state & 0xff);
+  });
+};
+
+const toBase64Url = (bytes) =>
+  bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+export class ShareLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareLinkError';
+  }
+}
+
+// Image URLs travel in the link; uploaded images would not fit in one
+export const canShareCard = (card) => !isDataUrl(card.image);
+
+const toChecksumBytes = (value) =>
+  Uint8Array.of(value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+
+export const encodeCardToken = (card, random = Math.random) => {
+  if (!canShareCard(card)) throw new ShareLinkError('Cards with an uploaded image cannot be shared as a link.');
+  const payload = {
+    v: VERSION,
+    p: { n: card.name, i: card.image, d: card.description, v: card.value, t: card.tier, r: card.redemption },
+    k: card.color || 'indigo',
+  };
+  const body = new TextEncoder().encode(JSON.stringify(payload));
+  const salt = Uint8Array.from({ length: 4 }, () => Math.floor(random() * 256));
+  const checksum = toChecksumBytes(fnv1a(body, fnv1a(salt)));
+
+  const packed = new Uint8Array(salt.length + checksum.length + body.length);
+  packed.set(salt, 0);
+  packed.set(checksum, salt.length);
+  packed.set(scramble(body, salt), salt.length + checksum.length);
+  return toBase64Url(packed);
+};
+
+// Returns the decoded card, or null for anything malformed or tampered with
+export const decodeCardToken = (token) => {
+  try {
+    const packed = fromBase64Url(token);
+    if (packed.length <= 8) return null;
+
+    const salt = packed.slice(0, 4);
+    const checksum = packed.slice(4, 8);
+    const body = scramble(packed.slice(8), salt);
+    const expected = toChecksumBytes(fnv1a(body, fnv1a(salt)));
+    if (!checksum.every((byte, i) => byte === expected[i])) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(body));
+    if (payload.v === 1 && ['text', 'image'].includes(payload.t) && typeof payload.c === 'string') {
+      return normalizePrize(upgradeLegacyPrize({ type: payload.t, content: payload.c, color: payload.k }));
+    }
+    if (payload.v !== VERSION || !payload.p || typeof payload.p !== 'object') return null;
+
+    const { n, i, d, v, t, r } = payload.p;
+    return normalizePrize({ name: n, image: i, description: d, value: v, tier: t, redemption: r, color: payload.k });
+  } catch {
+    return null;
+  }
+};
+
+export const readSharedCard = (hash) =>
+  hash && hash.startsWith(HASH_PREFIX) ? decodeCardToken(hash.slice(HASH_PREFIX.length)) : null;
+
+export const buildShareUrl = (card, location = window.location) =>
+  `${location.origin}${location.pathname}${location.search}${HASH_PREFIX}${encodeCardToken(card)}`;
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCardToken, decodeCardToken, canShareCard, ShareLinkError } from './shareLink';
+
+test('a card round-trips through a share token', () => {
+  const card = { name: 'Free Coffee', image: 'https://example.com/coffee.png', value: '1 coffee', tier: 'minor', color: 'emerald' };
+  const decoded = decodeCardToken(encodeCardToken(card));
+  assert.equal(decoded.name, card.name);
+  assert.equal(decoded.image, card.image);
+  assert.equal(decoded.color, 'emerald');
+});
+
+test('long prize text encodes without overflowing the stack', () => {
+  const card = { name: 'Prize', description: 'x'.repeat(400 * 1024), tier: 'minor' };
+  assert.equal(decodeCardToken(encodeCardToken(card)).description, card.description);
+});
+
+test('cards with an uploaded image are refused', () => {
+  const card = { name: 'Poster', image: 'data:image/png;base64,AAAA', tier: 'minor' };
+  assert.equal(canShareCard(card), false);
+  assert.throws(() => encodeCardToken(card), ShareLinkError);
+});
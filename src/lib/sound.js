@@ -0,0 +1,172 @@
+/* --- Sound & Haptics ---
+   Scratch noise, reveal jingles and vibration pulses. Every sound is
+   synthesized with Web Audio, so there are no audio files to host.
+
+   The AudioContext is created on first use. Browsers keep it suspended
+   until a user gesture, so the first call should come from a pointer or
+   key handler (a scratch stroke always does). Nothing here checks the
+   mute or haptics settings - callers skip the calls that are turned off.
+   The two are separate, so a muted phone can still buzz.
+*/
+
+const MUTED_KEY = 'scratch-card:muted';
+const HAPTICS_KEY = 'scratch-card:haptics';
+
+export const loadMuted = () => {
+  try {
+    return window.localStorage.getItem(MUTED_KEY) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+export const saveMuted = (muted) => {
+  try {
+    window.localStorage.setItem(MUTED_KEY, String(muted));
+  } catch {
+    // Storage disabled - the setting lasts for this visit only
+  }
+};
+
+// Vibration is on unless turned off on this device
+export const loadHaptics = () => {
+  try {
+    return window.localStorage.getItem(HAPTICS_KEY) !== 'false';
+  } catch {
+    return true;
+  }
+};
+
+export const saveHaptics = (haptics) => {
+  try {
+    window.localStorage.setItem(HAPTICS_KEY, String(haptics));
+  } catch {
+    // Storage disabled - the setting lasts for this visit only
+  }
+};
+
+let context = null;
+let scratchVoice = null;
+let lastTick = 0;
+
+const getContext = () => {
+  if (!context) {
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!AudioContextClass) return null;
+    context = new AudioContextClass();
+  }
+  if (context.state === 'suspended') context.resume().catch(() => {});
+  return context;
+};
+
+// Short vibration; ignored where the Vibration API is missing (iOS, desktop)
+export const vibrate = (pattern) => {
+  if (typeof navigator !== 'undefined' && navigator.vibrate) navigator.vibrate(pattern);
+};
+
+/* --- Scratching ---
+   One looping white-noise source through a band-pass filter. Each stroke
+   update nudges its level and brightness up with the stroke speed and
+   lets it fall silent again if no update follows. tickScratch is the
+   haptic side of the same stroke. */
+
+// A brisk stroke, in CSS pixels per millisecond; faster sounds the same
+const FULL_SPEED = 2;
+
+// Pointer speed between two `{ x, y, time }` points, in pixels per millisecond
+export const getStrokeSpeed = (from, to) => {
+  const elapsed = to.time - from.time;
+  return elapsed > 0 ? Math.hypot(to.x - from.x, to.y - from.y) / elapsed : 0;
+};
+
+const createScratchVoice = (ctx) => {
+  const noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+  const samples = noise.getChannelData(0);
+  for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+  const source = ctx.createBufferSource();
+  source.buffer = noise;
+  source.loop = true;
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'bandpass';
+  filter.Q.value = 0.8;
+  const gain = ctx.createGain();
+  gain.gain.value = 0;
+  source.connect(filter).connect(gain).connect(ctx.destination);
+  source.start();
+  return { filter, gain };
+};
+
+export const playScratch = (speed) => {
+  const ctx = getContext();
+  if (!ctx) return;
+  if (!scratchVoice) scratchVoice = createScratchVoice(ctx);
+
+  const level = Math.min(1, speed / FULL_SPEED);
+  const now = ctx.currentTime;
+  const { gain, filter } = scratchVoice;
+  gain.gain.cancelScheduledValues(now);
+  gain.gain.setTargetAtTime(0.04 + 0.22 * level, now, 0.015);
+  gain.gain.setTargetAtTime(0, now + 0.08, 0.05); // Fade out unless the stroke keeps going
+  filter.frequency.setTargetAtTime(1200 + 3600 * level, now, 0.02);
+};
+
+// A faint buzz under the finger on fast strokes, at most every 80ms
+export const tickScratch = (speed) => {
+  const time = performance.now();
+  if (speed / FULL_SPEED > 0.3 && time - lastTick > 80) {
+    lastTick = time;
+    vibrate(4);
+  }
+};
+
+export const stopScratch = () => {
+  if (!scratchVoice) return;
+  const now = context.currentTime;
+  scratchVoice.gain.gain.cancelScheduledValues(now);
+  scratchVoice.gain.gain.setTargetAtTime(0, now, 0.03);
+};
+
+/* --- Reveal jingles ---
+   One per prize tier (see lib/prizes PRIZE_TIERS): a rising fanfare for a
+   grand prize, a bright two-note chime for a prize and a falling "aww"
+   for no prize. Notes are [frequency in Hz, start in seconds]. */
+
+const JINGLES = {
+  grand: { wave: 'triangle', length: 0.35, notes: [[523.25, 0], [659.25, 0.1], [783.99, 0.2], [1046.5, 0.3], [783.99, 0.45], [1046.5, 0.55]] },
+  minor: { wave: 'triangle', length: 0.3, notes: [[659.25, 0], [987.77, 0.12]] },
+  none: { wave: 'sine', length: 0.4, notes: [[392, 0], [311.13, 0.22]] },
+};
+
+const REVEAL_HAPTICS = {
+  grand: [60, 40, 60, 40, 240],
+  minor: [50, 40, 90],
+  none: [40],
+};
+
+const playNote = (ctx, frequency, start, length, wave) => {
+  const oscillator = ctx.createOscillator();
+  oscillator.type = wave;
+  oscillator.frequency.value = frequency;
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(0.25, start + 0.015);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + length);
+  oscillator.connect(gain).connect(ctx.destination);
+  oscillator.start(start);
+  oscillator.stop(start + length + 0.05);
+};
+
+export const playRevealJingle = (tier) => {
+  const ctx = getContext();
+  if (!ctx) return;
+  const jingle = JINGLES[tier] || JINGLES.minor;
+  const start = ctx.currentTime + 0.02;
+  jingle.notes.forEach(([frequency, offset]) => playNote(ctx, frequency, start + offset, jingle.length, jingle.wave));
+};
+
+// Jingle plus a matching vibration pattern; either can be left out
+export const playRevealFeedback = (tier, { sound = true, haptics = true } = {}) => {
+  if (sound) playRevealJingle(tier);
+  if (haptics) vibrate(REVEAL_HAPTICS[tier] || REVEAL_HAPTICS.minor);
+};
@@ -0,0 +1,267 @@
+/* --- Templates ---
+   Named editor setups ("Friday coffee draw", "Christmas party") saved in
+   localStorage, plus a versioned JSON file format for sharing them.
+
+   Every template file carries `schemaVersion`. Files from older versions
+   are upgraded step by step through MIGRATIONS before validation, so a
+   template exported today keeps loading after the settings grow.
+*/
+import { DEFAULT_COATING } from './coatings';
+import { DEFAULT_SCRATCH_SETTINGS, BRUSHES, REVEAL_REGIONS } from './scratchEngine';
+import { GAME_MODES } from './gameModes';
+import { CARD_SHAPES, DEFAULT_CARD_SHAPE } from './cardLayout';
+import { DEFAULT_SCHEDULE } from './schedule';
+import { PRIZE_TIERS, createPrize, normalizePrize, upgradeLegacyPrize } from './prizes';
+import { LANGUAGES, DEFAULT_LANGUAGE, isLanguage, detectLanguage, createTranslator } from './i18n';
+import APP_MESSAGES from '../locales/index';
+
+export const TEMPLATE_SCHEMA = 'pub-scratch-card/template';
+export const TEMPLATE_SCHEMA_VERSION = 2;
+// Upper bound for one deck; large CSV-driven draws can run into the hundreds
+export const MAX_CARDS = 500;
+
+const TEMPLATES_KEY = 'scratch-card:templates';
+const DRAFT_KEY = 'scratch-card:draft';
+
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+// The starter prizes; their text comes from the locale (`defaults.prize<id>.<field>`)
+const STARTER_PRIZES = [
+  { id: 1, tier: 'none', fields: ['name'] },
+  { id: 2, tier: 'minor', fields: ['name', 'value', 'redemption'] },
+  { id: 3, tier: 'grand', fields: ['name', 'value', 'redemption'] },
+  { id: 4, tier: 'minor', fields: ['name'] },
+  { id: 5, tier: 'minor', fields: ['name', 'description'] },
+];
+
+// A fresh editor setup with the starter prizes and coating text in `language`
+export const createDefaultSettings = (language = DEFAULT_LANGUAGE) => {
+  const t = createTranslator(language, APP_MESSAGES);
+  return {
+    language,
+    cardConfigs: STARTER_PRIZES.map(({ id, tier, fields }) =>
+      createPrize(id, { tier, ...Object.fromEntries(fields.map(field => [field, t(`defaults.prize${id}.${field}`)])) })
+    ),
+    numCards: 3,
+    shouldShuffle: true,
+    gameMode: 'classic',
+    pickCount: 2,
+    cardShape: DEFAULT_CARD_SHAPE, // see lib/cardLayout CARD_SHAPES
+    coating: { ...DEFAULT_COATING, text: t('card.coatingText') },
+    scratchSettings: DEFAULT_SCRATCH_SETTINGS,
+    fairDraw: { enabled: false, verifierUrl: '' }, // Commit-reveal draws, see lib/fairDraw
+    liveDraw: { enabled: false, relayUrl: '' }, // Players scratch on their phones, see lib/liveDraw
+    schedule: DEFAULT_SCHEDULE, // Opening window and per-device play limits, see lib/schedule
+  };
+};
+
+export const DEFAULT_SETTINGS = createDefaultSettings();
+
+/* Switch a setup's language. Starter text the user never touched (prize
+   fields and coating text still equal to `from`'s defaults) is swapped
+   for `to`'s; anything they wrote themselves stays as it is. */
+export const relocalizeSettings = (settings, from, to) => {
+  const before = createDefaultSettings(from);
+  const after = createDefaultSettings(to);
+  return {
+    ...settings,
+    language: to,
+    cardConfigs: settings.cardConfigs.map(card => {
+      const index = STARTER_PRIZES.findIndex(starter => starter.id === card.id);
+      if (index === -1) return card;
+      const changes = STARTER_PRIZES[index].fields
+        .filter(field => card[field] === before.cardConfigs[index][field])
+        .map(field => [field, after.cardConfigs[index][field]]);
+      return { ...card, ...Object.fromEntries(changes) };
+    }),
+    coating: settings.coating.text === before.coating.text ? { ...settings.coating, text: after.coating.text } : settings.coating,
+  };
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// MIGRATIONS[n] upgrades a version-n file to version n + 1
+const MIGRATIONS = {
+  // v2: text/image cards become structured prizes
+  1: (file) => ({
+    ...file,
+    settings: isObject(file.settings) && Array.isArray(file.settings.cardConfigs)
+      ? { ...file.settings, cardConfigs: file.settings.cardConfigs.map(card => isObject(card) ? upgradeLegacyPrize(card) : card) }
+      : file.settings,
+  }),
+};
+
+const migrate = (file) => {
+  let current = file;
+  while (current.schemaVersion < TEMPLATE_SCHEMA_VERSION) {
+    const step = MIGRATIONS[current.schemaVersion];
+    if (!step) throw new TemplateError(`No migration from schema version ${current.schemaVersion}.`);
+    current = { ...step(current), schemaVersion: current.schemaVersion + 1 };
+  }
+  return current;
+};
+
+const validateScratchSettings = (scratchSettings) => {
+  if (!isObject(scratchSettings)) throw new TemplateError('"settings.scratchSettings" must be an object.');
+  const { brush, brushSize, threshold, region } = { ...DEFAULT_SCRATCH_SETTINGS, ...scratchSettings };
+  if (!BRUSHES[brush]) throw new TemplateError(`"settings.scratchSettings.brush" must be one of ${Object.keys(BRUSHES).join(', ')}.`);
+  if (brushSize !== null && !(typeof brushSize === 'number' && brushSize > 0)) {
+    throw new TemplateError('"settings.scratchSettings.brushSize" must be a positive number or null.');
+  }
+  if (!(typeof threshold === 'number' && threshold > 0 && threshold <= 1)) {
+    throw new TemplateError('"settings.scratchSettings.threshold" must be a number above 0 and up to 1.');
+  }
+  if (!REVEAL_REGIONS[region]) {
+    throw new TemplateError(`"settings.scratchSettings.region" must be one of ${Object.keys(REVEAL_REGIONS).join(', ')}.`);
+  }
+  return { brush, brushSize, threshold, region };
+};
+
+// Check the settings block and fill in anything optional that is missing
+export const validateSettings = (settings) => {
+  if (!isObject(settings)) throw new TemplateError('"settings" must be an object.');
+  if (!Array.isArray(settings.cardConfigs) || settings.cardConfigs.length === 0) {
+    throw new TemplateError('"settings.cardConfigs" must be a non-empty array.');
+  }
+
+  const ids = new Set();
+  const cardConfigs = settings.cardConfigs.map((card, i) => {
+    const at = `settings.cardConfigs[${i}]`;
+    if (!isObject(card)) throw new TemplateError(`"${at}" must be an object.`);
+    if (!Number.isInteger(card.id) || ids.has(card.id)) throw new TemplateError(`"${at}.id" must be a unique integer.`);
+    if (typeof card.name !== 'string') throw new TemplateError(`"${at}.name" must be a string.`);
+    if (card.tier !== undefined && !PRIZE_TIERS[card.tier]) {
+      throw new TemplateError(`"${at}.tier" must be one of ${Object.keys(PRIZE_TIERS).join(', ')}.`);
+    }
+    const quantity = card.quantity ?? 1;
+    if (!Number.isInteger(quantity) || quantity < 0) throw new TemplateError(`"${at}.quantity" must be a whole number of 0 or more.`);
+    ids.add(card.id);
+    return normalizePrize({ ...card, quantity, color: typeof card.color === 'string' ? card.color : 'indigo' });
+  });
+
+  const numCards = settings.numCards ?? DEFAULT_SETTINGS.numCards;
+  if (!Number.isInteger(numCards) || numCards < 1) throw new TemplateError('"settings.numCards" must be a positive integer.');
+  const pickCount = settings.pickCount ?? DEFAULT_SETTINGS.pickCount;
+  if (!Number.isInteger(pickCount) || pickCount < 1) throw new TemplateError('"settings.pickCount" must be a positive integer.');
+  const gameMode = settings.gameMode ?? DEFAULT_SETTINGS.gameMode;
+  if (!GAME_MODES[gameMode]) throw new TemplateError(`"settings.gameMode" "${gameMode}" is not a known game mode.`);
+  const cardShape = settings.cardShape ?? DEFAULT_SETTINGS.cardShape;
+  if (!CARD_SHAPES[cardShape]) throw new TemplateError(`"settings.cardShape" "${cardShape}" is not a known card shape.`);
+  const language = settings.language ?? DEFAULT_LANGUAGE;
+  if (!isLanguage(language)) {
+    throw new TemplateError(`"settings.language" must be one of ${Object.keys(LANGUAGES).join(', ')}.`);
+  }
+
+  const scratchSettings = validateScratchSettings(settings.scratchSettings ?? DEFAULT_SCRATCH_SETTINGS);
+
+  const cappedCards = Math.min(numCards, MAX_CARDS);
+  return {
+    language,
+    cardConfigs,
+    numCards: cappedCards,
+    shouldShuffle: settings.shouldShuffle ?? DEFAULT_SETTINGS.shouldShuffle,
+    gameMode,
+    pickCount: Math.min(pickCount, cappedCards),
+    cardShape,
+    coating: { ...DEFAULT_COATING, ...(isObject(settings.coating) ? settings.coating : {}) },
+    scratchSettings,
+    fairDraw: { ...DEFAULT_SETTINGS.fairDraw, ...(isObject(settings.fairDraw) ? settings.fairDraw : {}) },
+    liveDraw: { ...DEFAULT_SETTINGS.liveDraw, ...(isObject(settings.liveDraw) ? settings.liveDraw : {}) },
+    schedule: { ...DEFAULT_SETTINGS.schedule, ...(isObject(settings.schedule) ? settings.schedule : {}) },
+  };
+};
+
+// Parse an exported template file; throws TemplateError on anything invalid
+export const parseTemplateFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new TemplateError('The file is not valid JSON.');
+  }
+
+  if (!isObject(file) || file.$schema !== TEMPLATE_SCHEMA) throw new TemplateError('This is not a scratch card template file.');
+  if (!Number.isInteger(file.schemaVersion) || file.schemaVersion < 1) throw new TemplateError('The template has no valid "schemaVersion".');
+  if (file.schemaVersion > TEMPLATE_SCHEMA_VERSION) {
+    throw new TemplateError(`The template uses schema version ${file.schemaVersion}; this app only understands up to ${TEMPLATE_SCHEMA_VERSION}.`);
+  }
+
+  const upgraded = migrate(file);
+  const name = typeof upgraded.name === 'string' && upgraded.name.trim() ? upgraded.name.trim() : 'Imported template';
+  return { name, settings: validateSettings(upgraded.settings) };
+};
+
+export const serializeTemplate = (template) => JSON.stringify({
+  $schema: TEMPLATE_SCHEMA,
+  schemaVersion: TEMPLATE_SCHEMA_VERSION,
+  name: template.name,
+  exportedAt: new Date().toISOString(),
+  settings: template.settings,
+}, null, 2);
+
+/* --- Local store --- */
+
+const readJson = (key) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+// false when storage is full or disabled and nothing was written
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Saved templates go through the same migration as imported files
+const reviveTemplate = (stored) => {
+  try {
+    const { settings } = parseTemplateFile(JSON.stringify({ $schema: TEMPLATE_SCHEMA, ...stored }));
+    return { ...stored, schemaVersion: TEMPLATE_SCHEMA_VERSION, settings };
+  } catch {
+    return null;
+  }
+};
+
+export const loadTemplates = () => {
+  const stored = readJson(TEMPLATES_KEY);
+  return Array.isArray(stored) ? stored.map(reviveTemplate).filter(Boolean) : [];
+};
+
+export const saveTemplates = (templates) => writeJson(TEMPLATES_KEY, templates);
+
+export const createTemplate = (name, settings) => {
+  const now = new Date().toISOString();
+  return {
+    id: `tpl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    schemaVersion: TEMPLATE_SCHEMA_VERSION,
+    createdAt: now,
+    updatedAt: now,
+    settings,
+  };
+};
+
+// The working editor state, restored on reload whether or not it was saved
+export const loadDraft = () => {
+  const stored = readJson(DRAFT_KEY);
+  const revived = stored && reviveTemplate(stored);
+  return revived
+    ? { templateId: stored.templateId ?? null, settings: revived.settings }
+    : { templateId: null, settings: createDefaultSettings(detectLanguage()) };
+};
+
+export const saveDraft = (templateId, settings) =>
+  writeJson(DRAFT_KEY, { schemaVersion: TEMPLATE_SCHEMA_VERSION, templateId, settings });
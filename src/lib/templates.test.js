@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSettings, TemplateError, MAX_CARDS } from './templates';
+
+const cards = [{ id: 1, name: 'Free Coffee', tier: 'minor' }];
+
+test('numCards is capped at MAX_CARDS and pickCount at numCards', () => {
+  const settings = validateSettings({ cardConfigs: cards, numCards: 1e9, pickCount: 1e9 });
+  assert.equal(settings.numCards, MAX_CARDS);
+  assert.equal(settings.pickCount, MAX_CARDS);
+  assert.equal(validateSettings({ cardConfigs: cards, numCards: 4, pickCount: 9 }).pickCount, 4);
+});
+
+test('a pickCount that is not a positive integer is refused', () => {
+  assert.throws(() => validateSettings({ cardConfigs: cards, pickCount: 'all' }), TemplateError);
+  assert.throws(() => validateSettings({ cardConfigs: cards, pickCount: 0 }), TemplateError);
+});
+
+test('scratch settings are checked field by field', () => {
+  assert.throws(() => validateSettings({ cardConfigs: cards, scratchSettings: 'coin' }), TemplateError);
+  assert.throws(() => validateSettings({ cardConfigs: cards, scratchSettings: { brush: 'sponge' } }), TemplateError);
+  assert.throws(() => validateSettings({ cardConfigs: cards, scratchSettings: { threshold: '40%' } }), TemplateError);
+  assert.throws(() => validateSettings({ cardConfigs: cards, scratchSettings: { brushSize: -5 } }), TemplateError);
+  assert.throws(() => validateSettings({ cardConfigs: cards, scratchSettings: { region: 'corner' } }), TemplateError);
+
+  const { scratchSettings } = validateSettings({ cardConfigs: cards, scratchSettings: { brush: 'eraser', threshold: 0.6 } });
+  assert.deepEqual(scratchSettings, { brush: 'eraser', brushSize: null, threshold: 0.6, region: 'anywhere' });
+});
@@ -0,0 +1,36 @@
+/* --- Verifier Client ---
+   Talks to the reference draw verifier (server/verifier.js). Every call
+   throws an Error with a readable message if the verifier can't be reached
+   or refuses the request.
+*/
+
+const post = async (baseUrl, path, body) => {
+  let response;
+  try {
+    response = await fetch(`${baseUrl.replace(/\/+$/, '')}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw new Error(`The draw verifier at ${baseUrl} could not be reached.`);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok && response.status !== 409) {
+    throw new Error(data.error || `The draw verifier answered with status ${response.status}.`);
+  }
+  return data;
+};
+
+// Before play: publish the commitment so a receipt can't be made up later
+export const registerCommitment = (baseUrl, draw) =>
+  post(baseUrl, '/commitments', { commitment: draw.commitment, params: draw.params });
+
+// After play: record which cards were scratched (drawIndex values)
+export const registerResult = (baseUrl, commitment, scratched) =>
+  post(baseUrl, '/results', { commitment, scratched });
+
+// Staff check; resolves to the verifier's verdict, see server/verifier.js
+export const verifyWithServer = (baseUrl, receipt, redeemCode) =>
+  post(baseUrl, '/verify', { receipt, redeemCode });
@@ -0,0 +1,424 @@
+/* --- العربية ---
+   Right-to-left; see lib/i18n LANGUAGES. Arabic has six plural forms
+   (zero, one, two, few, many, other), picked by Intl.PluralRules.
+*/
+export default {
+  // App chrome
+  'app.title': 'اكشط واربح',
+  'app.language': 'اللغة',
+  'app.animations': 'الحركة',
+  'app.mute': 'كتم الأصوات',
+  'app.soundOn': 'الصوت مفعّل',
+  'app.soundOff': 'الصوت مكتوم',
+  'app.haptics': 'الاهتزاز',
+  'app.hapticsOn': 'الاهتزاز مفعّل',
+  'app.hapticsOff': 'الاهتزاز متوقف',
+  'app.editCards': 'تعديل البطاقات',
+  'app.poweredBy': 'بدعم من {name}',
+  'app.support': 'ادعمني',
+
+  'common.cancel': 'إلغاء',
+  'common.cards': {
+    zero: 'لا بطاقات',
+    one: 'بطاقة واحدة',
+    two: 'بطاقتان',
+    few: '{count} بطاقات',
+    many: '{count} بطاقة',
+    other: '{count} بطاقة',
+  },
+
+  'motion.system': 'حسب النظام',
+  'motion.reduce': 'حركة مخففة',
+  'motion.full': 'حركة كاملة',
+
+  // Starter prizes for a new draw, see lib/templates
+  'defaults.prize1.name': 'حظًا أوفر في المرة القادمة!',
+  'defaults.prize2.name': 'قهوة مجانية ☕',
+  'defaults.prize2.value': 'فنجان قهوة',
+  'defaults.prize2.redemption': 'اعرض هذه البطاقة عند البار.',
+  'defaults.prize3.name': 'بطاقة هدية بقيمة 10 $ 🎁',
+  'defaults.prize3.value': '10 $',
+  'defaults.prize3.redemption': 'اعرض هذه البطاقة ورمز الاستبدال في مكتب الاستقبال.',
+  'defaults.prize4.name': 'كفك يا بطل ✋',
+  'defaults.prize5.name': 'جائزة غامضة ❓',
+  'defaults.prize5.description': 'اسأل الموظفين عمّا ربحت!',
+
+  'modes.classic.label': 'أول بطاقة تربح',
+  'modes.classic.description': 'اختر بطاقة واحدة؛ أول بطاقة تكشطها هي الجائزة.',
+  'modes.pick.label': 'اختر عددًا',
+  'modes.pick.description': 'اكشط عددًا محددًا من البطاقات واحتفظ بكل جائزة تجدها.',
+  'modes.all.label': 'اكشف الكل',
+  'modes.all.description': 'كل بطاقة جائزة شخصية.',
+  'modes.match3.label': 'ثلاثة متطابقة',
+  'modes.match3.description': 'اكشط شبكة 3×3 واربح عند تطابق ثلاثة رموز.',
+
+  'colors.indigo': 'نيلي',
+  'colors.purple': 'بنفسجي',
+  'colors.emerald': 'زمردي',
+  'colors.amber': 'كهرماني',
+  'colors.rose': 'وردي',
+  'colors.gray': 'رمادي',
+
+  // Editor
+  'editor.title': 'جهّز بطاقات الكشط',
+  'editor.intro': 'اضبط الجوائز وكمياتها والإعدادات.',
+  'editor.shuffle': 'خلط البطاقات',
+  'editor.trackStock': 'تتبع المخزون',
+  'editor.restock': 'إعادة التعبئة',
+  'editor.restockTitle': 'أعد كل جائزة إلى كميتها الأصلية',
+  'editor.count': 'العدد:',
+  'editor.cardShape': 'الشكل:',
+  'editor.matchGridHint': 'نمط ثلاثة متطابقة يوزع دائمًا شبكة 3×3',
+  'editor.importCsv': 'استيراد CSV',
+  'editor.csvColumns': 'أعمدة CSV: prize, quantity, tier, value, image, description, redemption, color',
+  'editor.csvEmpty': 'لا يحتوي ملف CSV على أي جوائز.',
+  'editor.csvError': 'تعذر استيراد CSV: {error}',
+  'editor.playerScratches': 'يكشط اللاعب',
+  'editor.ofCount': 'من {count}',
+  'editor.removePrize': 'حذف الجائزة',
+  'editor.copyLink': 'نسخ رابط يلعب هذه البطاقة فقط',
+  'editor.copyLinkPrompt': 'انسخ هذا الرابط:',
+  'editor.copyLinkUploaded': 'لا يمكن مشاركة البطاقات ذات الصورة المرفوعة كرابط. استخدم رابط صورة بدلًا من ذلك.',
+  'editor.copyLinkError': 'تعذر إنشاء رابط مشاركة لهذه البطاقة.',
+  'editor.quantity': 'الكمية',
+  'editor.chanceHint': 'الاحتمال لكل بطاقة مسحوبة',
+  'editor.outOfStock': 'نفدت',
+  'editor.left': 'المتبقي {count}',
+  'editor.addPrize': 'إضافة جائزة',
+  'editor.poolShort': 'لا تحتوي الجوائز إلا على {cards}، لذا ستوزع كل لعبة أقل من {count}.',
+  'editor.poolShortStock': 'لم يبقَ في المخزون إلا {cards}، لذا ستوزع كل لعبة أقل من {count}.',
+  'editor.start': 'ابدأ اللعبة',
+
+  'prize.namePlaceholder': 'اسم الجائزة...',
+  'prize.details': 'التفاصيل والاستبدال',
+  'prize.descriptionPlaceholder': 'الوصف (اختياري)',
+  'prize.valuePlaceholder': 'القيمة، مثل 10 $',
+  'prize.redemptionPlaceholder': 'طريقة الاستبدال، مثل اعرض هذه البطاقة عند البار',
+  'prize.tier': 'فئة الجائزة',
+
+  'image.uploaded': 'صورة مرفوعة',
+  'image.urlPlaceholder': 'الصق رابط صورة...',
+  'image.invalidUrl': 'أدخل رابط الصورة كاملًا بدءًا من http:// أو https://',
+  'image.upload': 'رفع صورة',
+  'image.preview': 'معاينة',
+  'image.remove': 'إزالة الصورة',
+  'image.dropToUpload': 'أفلت للرفع',
+  'image.dropHere': 'أفلت صورة هنا',
+
+  'templates.title': 'القوالب',
+  'templates.unsavedDraft': 'مسودة غير محفوظة',
+  'templates.rename': 'إعادة تسمية القالب',
+  'templates.save': 'حفظ',
+  'templates.saveAsNew': 'حفظ كجديد',
+  'templates.duplicate': 'تكرار',
+  'templates.delete': 'حذف',
+  'templates.import': 'استيراد',
+  'templates.export': 'تصدير',
+  'templates.namePrompt': 'اسم القالب:',
+  'templates.defaultName': 'سحبي بالكشط',
+  'templates.newName': '{name} (جديد)',
+  'templates.copyName': '{name} (نسخة)',
+  'templates.untitled': 'سحب بلا عنوان',
+  'templates.confirmDelete': 'حذف القالب «{name}»؟',
+  'templates.unsavedChanges': 'تغييرات غير محفوظة على «{name}».',
+  'templates.importError': 'تعذر استيراد القالب: {error}',
+  'templates.saveFailed': 'تعذر حفظ القوالب على هذا الجهاز: التخزين ممتلئ أو معطل. صدّر ما تحتاجه ثم احذف بعضها.',
+
+  'coating.title': 'تصميم طبقة الكشط',
+  'coating.intro': 'الطبقة التي يكشطها اللاعبون. تحتفظ كل بطاقة بلونها الخاص.',
+  'coating.dots': 'نقاط',
+  'coating.stripes': 'خطوط',
+  'coating.checks': 'مربعات',
+  'coating.uploadImage': 'رفع صورة',
+  'coating.replaceImage': 'استبدال الصورة',
+  'coating.fillCard': 'ملء البطاقة',
+  'coating.centredLogo': 'شعار في المنتصف',
+  'coating.textPlaceholder': 'نص على الطبقة (اختياري)',
+  'coatingStyles.gradient': 'تدرج',
+  'coatingStyles.pattern': 'نقش',
+  'coatingStyles.foil': 'رقاقة معدنية',
+  'coatingStyles.image': 'صورة العلامة التجارية',
+  'fonts.sans': 'بلا تذييل',
+  'fonts.serif': 'بتذييل',
+  'fonts.mono': 'أحادي المسافة',
+  'fonts.display': 'عناوين',
+  'fonts.handwritten': 'خط يد',
+
+  'scratch.title': 'إعدادات الكشط',
+  'scratch.intro': 'طريقة كشط البطاقات والمساحة التي يجب كشطها قبل ظهور الجائزة.',
+  'scratch.size': 'الحجم',
+  'scratch.revealAt': 'الكشف عند',
+  'scratch.mustClear': 'يجب كشط',
+  'brushes.coin': 'عملة',
+  'brushes.finger': 'إصبع',
+  'brushes.eraser': 'ممحاة',
+  'regions.anywhere': 'أي مكان',
+  'regions.center': 'النافذة الوسطى',
+  'shapes.square': 'مربع',
+  'shapes.ticket': 'تذكرة',
+  'shapes.creditCard': 'بطاقة ائتمان',
+
+  'fairDraw.title': 'سحب قابل للتحقق',
+  'fairDraw.intro': 'اختم جائزة كل بطاقة حتى تُكشط وانشر التزامًا قبل اللعب، ليمكن التحقق من أي ربح بإيصال.',
+  'fairDraw.verifierUrl': 'رابط خادم التحقق',
+  'fairDraw.verifierPlaceholder': 'http://localhost:8787 (اختياري)',
+  'fairDraw.loadReceipt': 'تحميل إيصال',
+  'fairDraw.receiptLoaded': 'تم تحميل الإيصال',
+  'fairDraw.redeemCode': 'رمز الاستبدال',
+  'fairDraw.verify': 'تحقق من الربح',
+  'fairDraw.checking': 'جارٍ التحقق…',
+  'fairDraw.notAReceipt': 'هذا الملف ليس إيصال سحب.',
+  'fairDraw.didNotWin': '{code} ضمن هذا السحب لكنه لم يربح.',
+  'fairDraw.won': '{code} ربح {title}.',
+  'fairDraw.wonValue': '{code} ربح {title} ({value}).',
+  'fairDraw.alreadyRedeemed': 'تم استبداله بالفعل في {date}.',
+  'fairDraw.unrecorded': 'لم تُسجَّل نهاية هذه اللعبة، لذا البطاقات المكشوطة غير مؤكدة.',
+  'fairDraw.localOnly': 'تم التحقق على هذا الجهاز فقط - بدون خادم تحقق لا يمكن تأكيد تسجيل الالتزام.',
+
+  'print.title': 'أوراق الطباعة',
+  'print.intro': 'بطاقة لكل وحدة من الجوائز، مع علامات القص وأرقام تسلسلية وطبقة كشط مطابقة.',
+  'print.perPage': '{count} في الصفحة',
+  'print.generate': 'إنشاء دفعة',
+  'print.regenerate': 'إعادة إنشاء الدفعة',
+  'print.stale': 'تغيرت الجوائز منذ إنشاء هذه الدفعة. أعد إنشاءها للطباعة.',
+  'print.summary': '{cards} على {pages}',
+  'print.pages': {
+    zero: 'لا صفحات',
+    one: 'صفحة واحدة',
+    two: 'صفحتين',
+    few: '{count} صفحات',
+    many: '{count} صفحة',
+    other: '{count} صفحة',
+  },
+  'print.printCards': 'البطاقات',
+  'print.printCoating': 'الطبقة',
+  'print.cardsSvg': 'SVG البطاقات',
+  'print.coatingSvg': 'SVG الطبقة',
+  'print.codesCsv': 'CSV الرموز',
+  'print.cardsDocument': 'بطاقات الكشط',
+  'print.coatingDocument': 'طبقة الكشط',
+
+  'history.title': 'سجل السحوبات',
+  'history.intro': 'كل لعبة انتهت على هذا الجهاز: البطاقات الموزعة والمكشوطة والجوائز الرابحة.',
+  'history.askPlayer': 'طلب بيانات اللاعب',
+  'history.search': 'البحث في السجل',
+  'history.searchPlaceholder': 'لاعب أو جائزة أو قالب أو رمز',
+  'history.outcome': 'النتيجة',
+  'history.allGames': 'كل الألعاب',
+  'history.winners': 'الفائزون',
+  'history.noWin': 'لا ربح',
+  'history.fromDate': 'من تاريخ',
+  'history.toDate': 'إلى تاريخ',
+  'history.empty': 'لم تُلعب أي لعبة بعد.',
+  'history.noMatches': 'لا توجد ألعاب تطابق هذه المرشحات.',
+  'history.when': 'متى',
+  'history.player': 'اللاعب',
+  'history.template': 'القالب',
+  'history.cards': 'البطاقات',
+  'history.won': 'الربح',
+  'history.cardOrderHint': 'ترتيب التوزيع؛ البطاقات المكشوطة بين أقواس',
+  'history.summary': '{games}، {winners}',
+  'history.games': {
+    zero: 'لا ألعاب',
+    one: 'لعبة واحدة',
+    two: 'لعبتان',
+    few: '{count} ألعاب',
+    many: '{count} لعبة',
+    other: '{count} لعبة',
+  },
+  'history.winnerCount': {
+    zero: 'لا فائزين',
+    one: 'فائز واحد',
+    two: 'فائزان',
+    few: '{count} فائزين',
+    many: '{count} فائزًا',
+    other: '{count} فائز',
+  },
+  'history.showingLatest': 'تُعرض آخر {count}',
+  'history.saveFailed': 'تعذر حفظ آخر الألعاب على هذا الجهاز: التخزين ممتلئ أو معطل. صدّر السجل الآن ثم امسحه.',
+  'history.clear': 'مسح',
+  'history.confirmClear': 'حذف كل الألعاب المسجلة ({count})؟ صدّرها أولًا إن كنت بحاجة إليها.',
+
+  'kiosk.title': 'وضع الكشك',
+  'kiosk.intro': 'شغّل السحب بملء الشاشة على شاشة مشتركة. لا يصل اللاعبون إلى المحرر بدون الرمز السري، وتبدأ لعبة جديدة تلقائيًا بعد كل نتيجة.',
+  'kiosk.pin': 'الرمز السري',
+  'kiosk.pinPlaceholder': '4-8 أرقام',
+  'kiosk.pinSet': 'تم تعيين الرمز',
+  'kiosk.pinHint': 'عيّن رمزًا سريًا من 4 إلى 8 أرقام لبدء الكشك.',
+  'kiosk.nextGameAfter': 'اللعبة التالية بعد',
+  'kiosk.attractAfter': 'شاشة الجذب بعد',
+  'kiosk.seconds': '{count} ث',
+  'kiosk.minutes': '{count} د',
+  'kiosk.idle': '{time} خمول',
+  'kiosk.start': 'بدء الكشك',
+  'kiosk.exit': 'الخروج من الكشك',
+  'kiosk.exitTitle': 'للموظفين: الخروج من الكشك',
+  'kiosk.staffPin': 'رمز الموظفين',
+  'kiosk.wrongPin': 'رمز خاطئ.',
+  'kiosk.unlock': 'فتح',
+  'kiosk.tapToPlay': 'المس للعب!',
+  'kiosk.winnersSoFar': 'الفائزون حتى الآن: {count}',
+  'kiosk.nextGameIn': 'اللعبة التالية بعد {count} ث',
+
+  'player.title': 'من يلعب؟',
+  'player.name': 'اسمك',
+  'player.email': 'البريد الإلكتروني (اختياري)',
+  'player.skip': 'تخطٍّ',
+  'player.play': 'العب',
+
+  'live.title': 'سحب مباشر',
+  'live.intro': 'ينضم اللاعبون من هواتفهم ويكشط كل منهم بطاقة واحدة، بينما تعرض هذه الشاشة كل بطاقة عند كشفها.',
+  'live.relayUrl': 'عنوان المُرحِّل',
+  'live.relayPlaceholder': 'ws://<عنوان-الحاسوب>:8790 (npm run relay)',
+  'live.localHint': 'بدون مُرحِّل، يمكن فقط لنوافذ أخرى في هذا المتصفح الانضمام.',
+  'live.room': 'الغرفة',
+  'live.copyJoinLink': 'نسخ رابط الانضمام',
+  'live.status.connecting': 'جارٍ الاتصال…',
+  'live.status.open': 'متصل',
+  'live.status.closed': 'غير متصل',
+  'live.players': {
+    zero: 'لا لاعبين',
+    one: 'لاعب واحد',
+    two: 'لاعبان',
+    few: '{count} لاعبين',
+    many: '{count} لاعبًا',
+    other: '{count} لاعب',
+  },
+  'live.modeHint': 'تُلعب السحوبات المباشرة دائمًا بنمط اكشف الكل: يحتفظ كل لاعب بما تظهره بطاقته.',
+  'live.prompt': 'اكشط بطاقتك على هاتفك',
+  'live.joinAt': 'انضم من هاتفك:',
+  'live.player': 'اللاعب {number}',
+  'live.disconnected': 'اللاعب غائب',
+  'live.endDraw': 'إنهاء السحب',
+  'live.endDrawTitle': 'أغلق اللعبة الآن؛ البطاقات التي لم تُكشط لا تدخل في النتائج',
+  'live.yourCard': 'اكشط بطاقتك!',
+  'live.noLuck': 'لا جائزة هذه المرة',
+  'live.waiting': 'بانتظار أن يبدأ المضيف اللعبة…',
+  'live.full': 'جميع البطاقات محجوزة - انتظر اللعبة التالية.',
+
+  'schedule.title': 'الجدول وحدود اللعب',
+  'schedule.intro': 'افتح السحب بين تاريخين فقط، وحدد عدد مرات اللعب لكل جهاز.',
+  'schedule.opens': 'يفتح',
+  'schedule.closes': 'يغلق',
+  'schedule.timeZoneHint': 'تُقرأ الأوقات على جهاز اللعب وبمنطقته الزمنية (هنا: {zone}). اترك أحد الطرفين فارغًا لإبقائه مفتوحًا.',
+  'schedule.invalidWindow': 'يجب أن يُغلق السحب بعد أن يُفتح.',
+  'schedule.limit': 'مرات اللعب لكل جهاز',
+  'schedule.unlimited': 'بلا حدود',
+  'schedule.plays': {
+    zero: 'لا مرات',
+    one: 'مرة واحدة',
+    two: 'مرتان',
+    few: '{count} مرات',
+    many: '{count} مرة',
+    other: '{count} مرة',
+  },
+  'schedule.period': 'مدة الحد',
+  'schedule.periods.day': 'في اليوم',
+  'schedule.periods.campaign': 'في الحملة',
+  'schedule.playedHere': {
+    zero: 'لم يُلعب على هذا الجهاز',
+    one: 'لعبة واحدة على هذا الجهاز',
+    two: 'لعبتان على هذا الجهاز',
+    few: '{count} ألعاب على هذا الجهاز',
+    many: '{count} لعبة على هذا الجهاز',
+    other: '{count} لعبة على هذا الجهاز',
+  },
+  'schedule.resetPlays': 'إعادة ضبط الألعاب',
+  'schedule.limitHint': 'تُحتسب اللعبة من أول كشط. أجهزة الكشك وشاشات السحب المباشر مشتركة، لذا تنطبق عليها التواريخ فقط.',
+  'schedule.status.upcoming': 'لم يُفتح بعد - يرى اللاعبون عدًّا تنازليًا.',
+  'schedule.status.open': 'مفتوح الآن.',
+  'schedule.status.closed': 'مغلق - يرى اللاعبون شاشة انتهاء الحملة.',
+  'schedule.gate.upcoming.title': 'يفتح قريبًا',
+  'schedule.gate.upcoming.until': 'يفتح السحب بعد',
+  'schedule.gate.closed.title': 'انتهت الحملة',
+  'schedule.gate.closed.body': 'انتهى هذا السحب. شكرًا لكل من شارك!',
+  'schedule.gate.closed.endedAt': 'انتهى هذا السحب في {date}. شكرًا لكل من شارك!',
+  'schedule.gate.limit.title': 'شكرًا لمشاركتك!',
+  'schedule.gate.limit.until': 'استنفدت مرات لعبك لهذا اليوم. عد بعد',
+  'schedule.gate.limit.body': 'استنفدت كل مرات لعبك في هذه الحملة.',
+  'schedule.units.days': 'أيام',
+  'schedule.units.hours': 'ساعات',
+  'schedule.units.minutes': 'دقائق',
+  'schedule.units.seconds': 'ثوانٍ',
+  'schedule.noMorePlays': 'لم تتبقَّ مرات لعب على هذا الجهاز.',
+
+  'analytics.title': 'التحليلات',
+  'analytics.intro': 'أداء هذا القالب على هذا الجهاز: الألعاب التي بدأت والتي تُركت، ووقت الكشف، والجوائز مقارنةً باحتمالاتها، واستخدام الخلط.',
+  'analytics.gamesStarted': 'الألعاب التي بدأت',
+  'analytics.finished': {
+    zero: 'لم تنتهِ أي لعبة',
+    one: 'انتهت لعبة واحدة',
+    two: 'انتهت لعبتان',
+    few: 'انتهت {count} ألعاب',
+    many: 'انتهت {count} لعبة',
+    other: 'انتهت {count} لعبة',
+  },
+  'analytics.abandoned': 'متروكة',
+  'analytics.ofPlayed': '{percent} من الألعاب المكشوطة',
+  'analytics.timeToReveal': 'الوقت الوسيط حتى الكشف',
+  'analytics.average': 'المتوسط {time}',
+  'analytics.shuffles': 'مرات الخلط',
+  'analytics.shuffledGames': {
+    zero: 'في لا ألعاب',
+    one: 'في لعبة واحدة',
+    two: 'في لعبتين',
+    few: 'في {count} ألعاب',
+    many: 'في {count} لعبة',
+    other: 'في {count} لعبة',
+  },
+  'analytics.prize': 'الجائزة',
+  'analytics.odds': 'الاحتمال',
+  'analytics.dealt': 'الموزَّع',
+  'analytics.won': 'الفوز',
+  'analytics.forwardUrl': 'إعادة توجيه الأحداث إلى',
+  'analytics.forwardPlaceholder': 'https://example.com/events (اختياري)',
+  'analytics.forwardHint': 'يُرسَل كل حدث أيضًا إلى هذا الرابط بطلب POST بصيغة JSON. تبقى الأحداث على هذا الجهاز في كل الأحوال.',
+  'analytics.saveFailed': 'تعذر حفظ سجل الأحداث على هذا الجهاز: التخزين ممتلئ أو معطل. صدّره بصيغة JSON ثم امسحه.',
+  'analytics.events': {
+    zero: 'لا أحداث مسجلة',
+    one: 'حدث واحد مسجل',
+    two: 'حدثان مسجلان',
+    few: '{count} أحداث مسجلة',
+    many: '{count} حدثًا مسجلًا',
+    other: '{count} حدث مسجل',
+  },
+  'analytics.clear': 'مسح',
+  'analytics.confirmClear': {
+    zero: 'لا أحداث لحذفها.',
+    one: 'حذف الحدث المسجل؟ صدّره أولًا إن كنت تحتاجه.',
+    two: 'حذف الحدثين المسجلين من كل القوالب؟ صدّرهما أولًا إن كنت تحتاجهما.',
+    few: 'حذف {count} أحداث مسجلة من كل القوالب؟ صدّرها أولًا إن كنت تحتاجها.',
+    many: 'حذف {count} حدثًا مسجلًا من كل القوالب؟ صدّرها أولًا إن كنت تحتاجها.',
+    other: 'حذف {count} حدث مسجل من كل القوالب؟ صدّرها أولًا إن كنت تحتاجها.',
+  },
+
+  // Play
+  'play.prompt.classic': 'اختر بطاقة لكشطها!',
+  'play.prompt.pick': 'اختر {count} من البطاقات لكشطها!',
+  'play.prompt.all': 'اكشط كل البطاقات!',
+  'play.prompt.match3': 'طابق ثلاثة لتربح!',
+  'play.howTo': 'استخدم إصبعك أو الفأرة، أو انتقل إلى بطاقة بمفتاح Tab واضغط مطولًا على المسافة.',
+  'play.finishCard': 'أكمل كشط هذه البطاقة!',
+  'play.findPrize': 'ابحث عن الجائزة المخفية',
+  'play.scratchedCount': 'تم كشط {count} من {total}',
+  'play.cards': 'بطاقات الكشط',
+  'play.allClaimed': 'تم توزيع كل الجوائز. أعد تعبئة المخزون لمتابعة اللعب.',
+  'play.result': 'النتيجة',
+  'play.prizeWithValue': '{title} ({value})',
+  'play.youFound': 'وجدت: {prize}',
+  'play.threeOfAKind': 'ثلاثة متطابقة! ربحت: {prize}',
+  'play.noMatch': 'لا تطابق هذه المرة!',
+  'play.foundPrizes': 'وجدت جوائز: {count}!',
+  'play.noPrizes': 'لا جوائز هذه المرة!',
+  'play.commitment': 'سحب قابل للتحقق · الالتزام',
+  'play.drawStartError': 'تعذر بدء سحب قابل للتحقق: {error}',
+  'play.drawOpenError': 'تعذر فتح البطاقات المختومة: {error}. ابدأ لعبة جديدة لمتابعة اللعب.',
+  'play.drawRecordError': 'تعذر تسجيل هذه اللعبة لدى خادم التحقق: {error}',
+  'play.playAgain': 'العب مجددًا',
+  'play.shuffle': 'خلط',
+  'play.reset': 'إعادة',
+  'play.receipt': 'الإيصال',
+  'play.receiptTitle': 'البذرة والبطاقات المكشوطة لهذا السحب - يستخدمه الموظفون للتحقق من الربح',
+  'play.exportCodes': 'تصدير الرموز',
+  'play.exportCodesTitle': 'تنزيل رمز الاستبدال لكل بطاقة بصيغة CSV',
+};
@@ -0,0 +1,14 @@
+/* --- العربية (card) --- */
+export default {
+  'tiers.grand': 'الجائزة الكبرى',
+  'tiers.minor': 'جائزة',
+  'tiers.none': 'بلا جائزة',
+
+  'card.coatingText': 'اكشطني',
+  'card.label': 'بطاقة كشط. اضغط مطولًا على المسافة أو Enter للكشط، أو استخدم مفاتيح الأسهم.',
+  'card.lockedLabel': 'بطاقة كشط، مقفلة',
+  'card.imageAlt': 'جائزة',
+  'card.scratchedPercent': 'تم كشط {percent}٪',
+  'card.revealed': 'تم الكشف: {title}',
+  'card.revealedValue': 'تم الكشف: {title}، {value}',
+};
@@ -0,0 +1,14 @@
+/* --- Deutsch (card) --- */
+export default {
+  'tiers.grand': 'Hauptgewinn',
+  'tiers.minor': 'Gewinn',
+  'tiers.none': 'Kein Gewinn',
+
+  'card.coatingText': 'RUBBEL MICH',
+  'card.label': 'Rubbelkarte. Halte Leertaste oder Eingabe gedrückt, um zu rubbeln, oder nutze die Pfeiltasten.',
+  'card.lockedLabel': 'Rubbelkarte, gesperrt',
+  'card.imageAlt': 'Gewinn',
+  'card.scratchedPercent': '{percent} % freigerubbelt',
+  'card.revealed': 'Aufgedeckt: {title}',
+  'card.revealedValue': 'Aufgedeckt: {title}, {value}',
+};
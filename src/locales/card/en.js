@@ -0,0 +1,18 @@
+/* --- English (card) ---
+   The card's own strings: prize tiers and what screen readers hear. They
+   are all the ScratchCard component and the <scratch-card> element ship
+   with; the app's UI strings are in locales/en.
+*/
+export default {
+  'tiers.grand': 'Grand Prize',
+  'tiers.minor': 'Prize',
+  'tiers.none': 'No Prize',
+
+  'card.coatingText': 'SCRATCH ME',
+  'card.label': 'Scratch card. Hold Space or Enter to scratch, or use the arrow keys.',
+  'card.lockedLabel': 'Scratch card, locked',
+  'card.imageAlt': 'Prize',
+  'card.scratchedPercent': '{percent}% scratched',
+  'card.revealed': 'Revealed: {title}',
+  'card.revealedValue': 'Revealed: {title}, {value}',
+};
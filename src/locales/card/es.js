@@ -0,0 +1,14 @@
+/* --- Español (card) --- */
+export default {
+  'tiers.grand': 'Premio gordo',
+  'tiers.minor': 'Premio',
+  'tiers.none': 'Sin premio',
+
+  'card.coatingText': 'RÁSCAME',
+  'card.label': 'Tarjeta para rascar. Mantén pulsado Espacio o Intro para rascar, o usa las flechas.',
+  'card.lockedLabel': 'Tarjeta para rascar, bloqueada',
+  'card.imageAlt': 'Premio',
+  'card.scratchedPercent': '{percent} % rascado',
+  'card.revealed': 'Descubierto: {title}',
+  'card.revealedValue': 'Descubierto: {title}, {value}',
+};
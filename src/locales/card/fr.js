@@ -0,0 +1,14 @@
+/* --- Français (card) --- */
+export default {
+  'tiers.grand': 'Gros lot',
+  'tiers.minor': 'Lot',
+  'tiers.none': 'Pas de lot',
+
+  'card.coatingText': 'GRATTEZ-MOI',
+  'card.label': 'Carte à gratter. Maintenez Espace ou Entrée pour gratter, ou utilisez les flèches.',
+  'card.lockedLabel': 'Carte à gratter, verrouillée',
+  'card.imageAlt': 'Lot',
+  'card.scratchedPercent': '{percent} % gratté',
+  'card.revealed': 'Révélé : {title}',
+  'card.revealedValue': 'Révélé : {title}, {value}',
+};
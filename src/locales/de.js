@@ -0,0 +1,350 @@
+/* --- Deutsch --- */
+export default {
+  // App chrome
+  'app.title': 'Glückslos',
+  'app.language': 'Sprache',
+  'app.animations': 'Animationen',
+  'app.mute': 'Töne stummschalten',
+  'app.soundOn': 'Ton an',
+  'app.soundOff': 'Ton aus',
+  'app.haptics': 'Vibration',
+  'app.hapticsOn': 'Vibration an',
+  'app.hapticsOff': 'Vibration aus',
+  'app.editCards': 'Karten bearbeiten',
+  'app.poweredBy': 'Bereitgestellt von {name}',
+  'app.support': 'Unterstütze mich',
+
+  'common.cancel': 'Abbrechen',
+  'common.cards': { one: '{count} Karte', other: '{count} Karten' },
+
+  'motion.system': 'Wie im System',
+  'motion.reduce': 'Weniger Bewegung',
+  'motion.full': 'Volle Bewegung',
+
+  // Starter prizes for a new draw, see lib/templates
+  'defaults.prize1.name': 'Viel Glück beim nächsten Mal!',
+  'defaults.prize2.name': 'Gratis-Kaffee ☕',
+  'defaults.prize2.value': '1 Kaffee',
+  'defaults.prize2.redemption': 'Zeig diese Karte an der Bar.',
+  'defaults.prize3.name': '10-€-Gutschein 🎁',
+  'defaults.prize3.value': '10 €',
+  'defaults.prize3.redemption': 'Zeig diese Karte und deinen Einlösecode am Empfang.',
+  'defaults.prize4.name': 'High Five ✋',
+  'defaults.prize5.name': 'Überraschungspreis ❓',
+  'defaults.prize5.description': 'Frag das Personal, was du gewonnen hast!',
+
+  'modes.classic.label': 'Erste Karte gewinnt',
+  'modes.classic.description': 'Wähle eine Karte; die erste aufgerubbelte Karte ist der Gewinn.',
+  'modes.pick.label': 'N auswählen',
+  'modes.pick.description': 'Rubble eine feste Anzahl Karten frei und behalte jeden gefundenen Gewinn.',
+  'modes.all.label': 'Alle aufdecken',
+  'modes.all.description': 'Jede Karte ist ein persönlicher Gewinn.',
+  'modes.match3.label': 'Drei gleiche',
+  'modes.match3.description': 'Rubble ein 3×3-Raster frei und gewinne, wenn drei Symbole übereinstimmen.',
+
+  'colors.indigo': 'Indigo',
+  'colors.purple': 'Lila',
+  'colors.emerald': 'Smaragd',
+  'colors.amber': 'Bernstein',
+  'colors.rose': 'Rosé',
+  'colors.gray': 'Grau',
+
+  // Editor
+  'editor.title': 'Richte deine Rubbelkarten ein',
+  'editor.intro': 'Lege Gewinne, Mengen im Topf und Einstellungen fest.',
+  'editor.shuffle': 'Karten mischen',
+  'editor.trackStock': 'Bestand verfolgen',
+  'editor.restock': 'Auffüllen',
+  'editor.restockTitle': 'Füllt jeden Gewinn wieder auf seine Menge im Topf auf',
+  'editor.count': 'Anzahl:',
+  'editor.cardShape': 'Form:',
+  'editor.matchGridHint': 'Drei gleiche teilt immer ein 3×3-Raster aus',
+  'editor.importCsv': 'CSV importieren',
+  'editor.csvColumns': 'CSV-Spalten: prize, quantity, tier, value, image, description, redemption, color',
+  'editor.csvEmpty': 'Die CSV-Datei enthält keine Gewinnzeilen.',
+  'editor.csvError': 'CSV konnte nicht importiert werden: {error}',
+  'editor.playerScratches': 'Spieler rubbelt',
+  'editor.ofCount': 'von {count}',
+  'editor.removePrize': 'Gewinn entfernen',
+  'editor.copyLink': 'Link kopieren, der nur diese Karte spielt',
+  'editor.copyLinkPrompt': 'Diesen Link kopieren:',
+  'editor.copyLinkUploaded': 'Karten mit einem hochgeladenen Bild lassen sich nicht als Link teilen. Nutze stattdessen eine Bild-URL.',
+  'editor.copyLinkError': 'Für diese Karte konnte kein Link erstellt werden.',
+  'editor.quantity': 'Menge im Topf',
+  'editor.chanceHint': 'Chance pro gezogener Karte',
+  'editor.outOfStock': 'Vergriffen',
+  'editor.left': '{count} übrig',
+  'editor.addPrize': 'Gewinn hinzufügen',
+  'editor.poolShort': 'Der Gewinntopf enthält nur {cards}, daher teilt jedes Spiel weniger als {count} aus.',
+  'editor.poolShortStock': 'Der Gewinntopf hat nur {cards} auf Lager, daher teilt jedes Spiel weniger als {count} aus.',
+  'editor.start': 'Spiel starten',
+
+  'prize.namePlaceholder': 'Name des Gewinns...',
+  'prize.details': 'Details & Einlösung',
+  'prize.descriptionPlaceholder': 'Beschreibung (optional)',
+  'prize.valuePlaceholder': 'Wert, z. B. 10 €',
+  'prize.redemptionPlaceholder': 'So wird eingelöst, z. B. Zeig diese Karte an der Bar',
+  'prize.tier': 'Gewinnstufe',
+
+  'image.uploaded': 'Hochgeladenes Bild',
+  'image.urlPlaceholder': 'Bild-URL einfügen...',
+  'image.invalidUrl': 'Gib die vollständige Bild-URL ein, beginnend mit http:// oder https://',
+  'image.upload': 'Bild hochladen',
+  'image.preview': 'Vorschau',
+  'image.remove': 'Bild entfernen',
+  'image.dropToUpload': 'Zum Hochladen loslassen',
+  'image.dropHere': 'Bild hier ablegen',
+
+  'templates.title': 'Vorlagen',
+  'templates.unsavedDraft': 'Ungespeicherter Entwurf',
+  'templates.rename': 'Vorlage umbenennen',
+  'templates.save': 'Speichern',
+  'templates.saveAsNew': 'Als neu speichern',
+  'templates.duplicate': 'Duplizieren',
+  'templates.delete': 'Löschen',
+  'templates.import': 'Importieren',
+  'templates.export': 'Exportieren',
+  'templates.namePrompt': 'Name der Vorlage:',
+  'templates.defaultName': 'Meine Rubbelziehung',
+  'templates.newName': '{name} (neu)',
+  'templates.copyName': '{name} (Kopie)',
+  'templates.untitled': 'Unbenannte Ziehung',
+  'templates.confirmDelete': 'Vorlage „{name}“ löschen?',
+  'templates.unsavedChanges': 'Ungespeicherte Änderungen an „{name}“.',
+  'templates.importError': 'Vorlage konnte nicht importiert werden: {error}',
+  'templates.saveFailed': 'Vorlagen konnten auf diesem Gerät nicht gespeichert werden: Der Speicher ist voll oder deaktiviert. Exportiere die benötigten und lösche dann einige.',
+
+  'coating.title': 'Rubbelschicht',
+  'coating.intro': 'Die Schicht, die Spieler abrubbeln. Jede Karte behält ihre eigene Farbe.',
+  'coating.dots': 'Punkte',
+  'coating.stripes': 'Streifen',
+  'coating.checks': 'Karos',
+  'coating.uploadImage': 'Bild hochladen',
+  'coating.replaceImage': 'Bild ersetzen',
+  'coating.fillCard': 'Karte füllen',
+  'coating.centredLogo': 'Logo mittig',
+  'coating.textPlaceholder': 'Text auf der Schicht (optional)',
+  'coatingStyles.gradient': 'Verlauf',
+  'coatingStyles.pattern': 'Muster',
+  'coatingStyles.foil': 'Metallfolie',
+  'coatingStyles.image': 'Markenbild',
+  'fonts.sans': 'Serifenlos',
+  'fonts.serif': 'Serif',
+  'fonts.mono': 'Mono',
+  'fonts.display': 'Plakat',
+  'fonts.handwritten': 'Handschrift',
+
+  'scratch.title': 'Rubbel-Einstellungen',
+  'scratch.intro': 'Wie die Karten rubbeln und wie viel freigelegt werden muss, bevor der Gewinn erscheint.',
+  'scratch.size': 'Größe',
+  'scratch.revealAt': 'Aufdecken bei',
+  'scratch.mustClear': 'Freizulegen',
+  'brushes.coin': 'Münze',
+  'brushes.finger': 'Finger',
+  'brushes.eraser': 'Radierer',
+  'regions.anywhere': 'Überall',
+  'regions.center': 'Mittelfenster',
+  'shapes.square': 'Quadrat',
+  'shapes.ticket': 'Los',
+  'shapes.creditCard': 'Kreditkarte',
+
+  'fairDraw.title': 'Überprüfbare Ziehung',
+  'fairDraw.intro': 'Versiegle den Gewinn jeder Karte bis zum Rubbeln und veröffentliche vor dem Spiel eine Festlegung, damit sich ein Gewinn mit einem Beleg prüfen lässt.',
+  'fairDraw.verifierUrl': 'Prüfserver-URL',
+  'fairDraw.verifierPlaceholder': 'http://localhost:8787 (optional)',
+  'fairDraw.loadReceipt': 'Beleg laden',
+  'fairDraw.receiptLoaded': 'Beleg geladen',
+  'fairDraw.redeemCode': 'Einlösecode',
+  'fairDraw.verify': 'Gewinn prüfen',
+  'fairDraw.checking': 'Wird geprüft…',
+  'fairDraw.notAReceipt': 'Diese Datei ist kein Ziehungsbeleg.',
+  'fairDraw.didNotWin': '{code} gehört zu dieser Ziehung, hat aber nicht gewonnen.',
+  'fairDraw.won': '{code} hat {title} gewonnen.',
+  'fairDraw.wonValue': '{code} hat {title} ({value}) gewonnen.',
+  'fairDraw.alreadyRedeemed': 'Bereits eingelöst am {date}.',
+  'fairDraw.unrecorded': 'Das Ende dieses Spiels wurde nie erfasst, daher sind die gerubbelten Karten unbestätigt.',
+  'fairDraw.localOnly': 'Nur auf diesem Gerät geprüft - ohne Prüfserver lässt sich die Registrierung der Festlegung nicht bestätigen.',
+
+  'print.title': 'Druckbögen',
+  'print.intro': 'Eine Karte pro Einheit im Topf, mit Schnittmarken, Seriennummern und passender Rubbelschicht.',
+  'print.perPage': '{count} pro Seite',
+  'print.generate': 'Auflage erzeugen',
+  'print.regenerate': 'Auflage neu erzeugen',
+  'print.stale': 'Die Gewinne haben sich seit dieser Auflage geändert. Erzeuge sie neu, um zu drucken.',
+  'print.summary': '{cards} auf {pages}',
+  'print.pages': { one: '{count} Seite', other: '{count} Seiten' },
+  'print.printCards': 'Karten',
+  'print.printCoating': 'Schicht',
+  'print.cardsSvg': 'Karten-SVG',
+  'print.coatingSvg': 'Schicht-SVG',
+  'print.codesCsv': 'Codes-CSV',
+  'print.cardsDocument': 'Rubbelkarten',
+  'print.coatingDocument': 'Rubbelschicht',
+
+  'history.title': 'Ziehungsverlauf',
+  'history.intro': 'Jedes beendete Spiel auf diesem Gerät: die ausgeteilten Karten, die gerubbelten und die gewonnenen Preise.',
+  'history.askPlayer': 'Spielerdaten abfragen',
+  'history.search': 'Verlauf durchsuchen',
+  'history.searchPlaceholder': 'Spieler, Gewinn, Vorlage oder Code',
+  'history.outcome': 'Ergebnis',
+  'history.allGames': 'Alle Spiele',
+  'history.winners': 'Gewinner',
+  'history.noWin': 'Kein Gewinn',
+  'history.fromDate': 'Von',
+  'history.toDate': 'Bis',
+  'history.empty': 'Noch keine Spiele gespielt.',
+  'history.noMatches': 'Keine Spiele passen zu diesen Filtern.',
+  'history.when': 'Wann',
+  'history.player': 'Spieler',
+  'history.template': 'Vorlage',
+  'history.cards': 'Karten',
+  'history.won': 'Gewonnen',
+  'history.cardOrderHint': 'Reihenfolge beim Austeilen; gerubbelte Karten stehen in Klammern',
+  'history.summary': '{games}, {winners}',
+  'history.games': { one: '{count} Spiel', other: '{count} Spiele' },
+  'history.winnerCount': { one: '{count} Gewinner', other: '{count} Gewinner' },
+  'history.showingLatest': 'die letzten {count} werden angezeigt',
+  'history.saveFailed': 'Die letzten Spiele konnten auf diesem Gerät nicht gespeichert werden: Der Speicher ist voll oder deaktiviert. Exportiere den Verlauf jetzt und lösche ihn danach.',
+  'history.clear': 'Leeren',
+  'history.confirmClear': {
+    one: 'Das erfasste Spiel löschen? Exportiere es vorher, falls du es brauchst.',
+    other: 'Alle {count} erfassten Spiele löschen? Exportiere sie vorher, falls du sie brauchst.',
+  },
+
+  'kiosk.title': 'Kiosk-Modus',
+  'kiosk.intro': 'Zeige die Ziehung im Vollbild auf einem gemeinsamen Bildschirm. Ohne PIN kommen Spieler nicht in den Editor, und nach jedem Ergebnis startet automatisch ein neues Spiel.',
+  'kiosk.pin': 'PIN',
+  'kiosk.pinPlaceholder': '4-8 Ziffern',
+  'kiosk.pinSet': 'PIN gesetzt',
+  'kiosk.pinHint': 'Lege eine PIN mit 4 bis 8 Ziffern fest, um den Kiosk zu starten.',
+  'kiosk.nextGameAfter': 'Nächstes Spiel nach',
+  'kiosk.attractAfter': 'Startbildschirm nach',
+  'kiosk.seconds': '{count} s',
+  'kiosk.minutes': '{count} Min.',
+  'kiosk.idle': '{time} Inaktivität',
+  'kiosk.start': 'Kiosk starten',
+  'kiosk.exit': 'Kiosk beenden',
+  'kiosk.exitTitle': 'Personal: Kiosk beenden',
+  'kiosk.staffPin': 'Personal-PIN',
+  'kiosk.wrongPin': 'Falsche PIN.',
+  'kiosk.unlock': 'Entsperren',
+  'kiosk.tapToPlay': 'Tippen zum Spielen!',
+  'kiosk.winnersSoFar': { one: 'Bisher {count} Gewinner', other: 'Bisher {count} Gewinner' },
+  'kiosk.nextGameIn': 'Nächstes Spiel in {count} s',
+
+  'player.title': 'Wer spielt?',
+  'player.name': 'Dein Name',
+  'player.email': 'E-Mail (optional)',
+  'player.skip': 'Überspringen',
+  'player.play': 'Spielen',
+
+  'live.title': 'Live-Ziehung',
+  'live.intro': 'Spieler machen mit dem Handy mit und rubbeln je eine Karte frei, während dieser Bildschirm jede Karte beim Aufdecken zeigt.',
+  'live.relayUrl': 'Relay-URL',
+  'live.relayPlaceholder': 'ws://<laptop-ip>:8790 (npm run relay)',
+  'live.localHint': 'Ohne Relay können nur andere Fenster dieses Browsers beitreten.',
+  'live.room': 'Raum',
+  'live.copyJoinLink': 'Beitrittslink kopieren',
+  'live.status.connecting': 'Verbinde…',
+  'live.status.open': 'Verbunden',
+  'live.status.closed': 'Nicht verbunden',
+  'live.players': { one: '{count} Spieler', other: '{count} Spieler' },
+  'live.modeHint': 'Live-Ziehungen laufen immer als Alle aufdecken: Jeder Spieler behält, was seine Karte zeigt.',
+  'live.prompt': 'Rubble deine Karte auf dem Handy frei',
+  'live.joinAt': 'Mit dem Handy beitreten:',
+  'live.player': 'Spieler {number}',
+  'live.disconnected': 'Spieler weg',
+  'live.endDraw': 'Ziehung beenden',
+  'live.endDrawTitle': 'Das Spiel jetzt schließen; nicht gerubbelte Karten zählen nicht',
+  'live.yourCard': 'Rubble deine Karte frei!',
+  'live.noLuck': 'Diesmal kein Gewinn',
+  'live.waiting': 'Warte, bis der Gastgeber das Spiel startet…',
+  'live.full': 'Alle Karten sind vergeben - warte auf das nächste Spiel.',
+
+  'schedule.title': 'Zeitplan & Spiellimits',
+  'schedule.intro': 'Öffne die Ziehung nur zwischen zwei Terminen und begrenze, wie oft ein Gerät spielen darf.',
+  'schedule.opens': 'Öffnet',
+  'schedule.closes': 'Schließt',
+  'schedule.timeZoneHint': 'Die Zeiten gelten auf dem spielenden Gerät in dessen Zeitzone (hier: {zone}). Lass ein Ende leer, um es offen zu lassen.',
+  'schedule.invalidWindow': 'Die Ziehung muss nach dem Öffnen schließen.',
+  'schedule.limit': 'Spiele pro Gerät',
+  'schedule.unlimited': 'Unbegrenzt',
+  'schedule.plays': { one: '{count} Spiel', other: '{count} Spiele' },
+  'schedule.period': 'Zeitraum des Limits',
+  'schedule.periods.day': 'pro Tag',
+  'schedule.periods.campaign': 'pro Kampagne',
+  'schedule.playedHere': { one: '{count} Spiel auf diesem Gerät', other: '{count} Spiele auf diesem Gerät' },
+  'schedule.resetPlays': 'Spiele zurücksetzen',
+  'schedule.limitHint': 'Ein Spiel zählt ab dem ersten Rubbeln. Kiosks und Live-Ziehungs-Bildschirme werden geteilt, dort gelten nur die Termine.',
+  'schedule.status.upcoming': 'Noch nicht geöffnet - Spieler sehen einen Countdown.',
+  'schedule.status.open': 'Jetzt geöffnet.',
+  'schedule.status.closed': 'Geschlossen - Spieler sehen den Hinweis auf die beendete Kampagne.',
+  'schedule.gate.upcoming.title': 'Öffnet bald',
+  'schedule.gate.upcoming.until': 'Die Ziehung öffnet in',
+  'schedule.gate.closed.title': 'Kampagne beendet',
+  'schedule.gate.closed.body': 'Diese Ziehung ist vorbei. Danke an alle fürs Mitspielen!',
+  'schedule.gate.closed.endedAt': 'Diese Ziehung endete am {date}. Danke an alle fürs Mitspielen!',
+  'schedule.gate.limit.title': 'Danke fürs Mitspielen!',
+  'schedule.gate.limit.until': 'Deine Spiele für heute sind aufgebraucht. Komm wieder in',
+  'schedule.gate.limit.body': 'Deine Spiele für diese Kampagne sind aufgebraucht.',
+  'schedule.units.days': 'Tage',
+  'schedule.units.hours': 'Std',
+  'schedule.units.minutes': 'Min',
+  'schedule.units.seconds': 'Sek',
+  'schedule.noMorePlays': 'Auf diesem Gerät sind keine Spiele mehr übrig.',
+
+  'analytics.title': 'Auswertung',
+  'analytics.intro': 'Wie diese Vorlage auf diesem Gerät läuft: begonnene und abgebrochene Spiele, Zeit bis zur Aufdeckung, Preise im Vergleich zu ihren Chancen und Nutzung des Mischens.',
+  'analytics.gamesStarted': 'Begonnene Spiele',
+  'analytics.finished': { one: '{count} beendet', other: '{count} beendet' },
+  'analytics.abandoned': 'Abgebrochen',
+  'analytics.ofPlayed': '{percent} der angerubbelten Spiele',
+  'analytics.timeToReveal': 'Mittlere Zeit bis zur Aufdeckung',
+  'analytics.average': 'Durchschnitt {time}',
+  'analytics.shuffles': 'Mischvorgänge',
+  'analytics.shuffledGames': { one: 'in {count} Spiel', other: 'in {count} Spielen' },
+  'analytics.prize': 'Preis',
+  'analytics.odds': 'Chance',
+  'analytics.dealt': 'Ausgeteilt',
+  'analytics.won': 'Gewonnen',
+  'analytics.forwardUrl': 'Ereignisse weiterleiten an',
+  'analytics.forwardPlaceholder': 'https://example.com/events (optional)',
+  'analytics.forwardHint': 'Jedes Ereignis wird zusätzlich als JSON per POST an diese URL gesendet. Auf diesem Gerät bleiben die Ereignisse so oder so.',
+  'analytics.saveFailed': 'Das Ereignisprotokoll konnte auf diesem Gerät nicht gespeichert werden: Der Speicher ist voll oder deaktiviert. Exportiere es als JSON und lösche es danach.',
+  'analytics.events': { one: '{count} Ereignis erfasst', other: '{count} Ereignisse erfasst' },
+  'analytics.clear': 'Leeren',
+  'analytics.confirmClear': {
+    one: 'Das erfasste Ereignis löschen? Exportiere es vorher, falls du es brauchst.',
+    other: 'Alle {count} erfassten Ereignisse aller Vorlagen löschen? Exportiere sie vorher, falls du sie brauchst.',
+  },
+
+  // Play
+  'play.prompt.classic': 'Wähle eine Karte zum Rubbeln!',
+  'play.prompt.pick': { one: 'Wähle {count} Karte zum Rubbeln!', other: 'Wähle {count} Karten zum Rubbeln!' },
+  'play.prompt.all': 'Rubble jede Karte frei!',
+  'play.prompt.match3': 'Finde drei gleiche, um zu gewinnen!',
+  'play.howTo': 'Nutze Finger oder Maus, oder gehe mit Tab auf eine Karte und halte die Leertaste.',
+  'play.finishCard': 'Rubble diese Karte fertig frei!',
+  'play.findPrize': 'Finde den versteckten Gewinn',
+  'play.scratchedCount': '{count} von {total} freigerubbelt',
+  'play.cards': 'Rubbelkarten',
+  'play.allClaimed': 'Alle Gewinne sind vergeben. Fülle den Bestand auf, um weiterzuspielen.',
+  'play.result': 'Ergebnis',
+  'play.prizeWithValue': '{title} ({value})',
+  'play.youFound': 'Du hast gefunden: {prize}',
+  'play.threeOfAKind': 'Drei gleiche! Du hast gewonnen: {prize}',
+  'play.noMatch': 'Diesmal keine Übereinstimmung!',
+  'play.foundPrizes': { one: 'Du hast {count} Gewinn gefunden!', other: 'Du hast {count} Gewinne gefunden!' },
+  'play.noPrizes': 'Diesmal keine Gewinne!',
+  'play.commitment': 'Überprüfbare Ziehung · Festlegung',
+  'play.drawStartError': 'Überprüfbare Ziehung konnte nicht gestartet werden: {error}',
+  'play.drawOpenError': 'Die versiegelten Karten konnten nicht geöffnet werden: {error}. Starte ein neues Spiel, um weiterzuspielen.',
+  'play.drawRecordError': 'Dieses Spiel konnte nicht beim Prüfserver erfasst werden: {error}',
+  'play.playAgain': 'Nochmal spielen',
+  'play.shuffle': 'Mischen',
+  'play.reset': 'Zurücksetzen',
+  'play.receipt': 'Beleg',
+  'play.receiptTitle': 'Seed und gerubbelte Karten dieser Ziehung - das Personal prüft damit einen Gewinn',
+  'play.exportCodes': 'Codes exportieren',
+  'play.exportCodesTitle': 'Einlösecode jeder Karte als CSV herunterladen',
+};
@@ -0,0 +1,355 @@
+/* --- English ---
+   The reference locale: every key the app uses is here (the card's own
+   are in locales/card/en), and other languages fall back to it for
+   anything they leave out. Messages with a `{count}` may be plural
+   objects, see lib/i18n.
+*/
+export default {
+  // App chrome
+  'app.title': 'Lucky Scratch',
+  'app.language': 'Language',
+  'app.animations': 'Animations',
+  'app.mute': 'Mute sounds',
+  'app.soundOn': 'Sound on',
+  'app.soundOff': 'Sound off',
+  'app.haptics': 'Vibration',
+  'app.hapticsOn': 'Vibration on',
+  'app.hapticsOff': 'Vibration off',
+  'app.editCards': 'Edit Cards',
+  'app.poweredBy': 'Powered by {name}',
+  'app.support': 'Support Me',
+
+  'common.cancel': 'Cancel',
+  'common.cards': { one: '{count} card', other: '{count} cards' },
+
+  'motion.system': 'System motion',
+  'motion.reduce': 'Reduced motion',
+  'motion.full': 'Full motion',
+
+  // Starter prizes for a new draw, see lib/templates
+  'defaults.prize1.name': 'Better Luck Next Time!',
+  'defaults.prize2.name': 'Free Coffee ☕',
+  'defaults.prize2.value': '1 coffee',
+  'defaults.prize2.redemption': 'Show this card at the bar.',
+  'defaults.prize3.name': '$10 Gift Card 🎁',
+  'defaults.prize3.value': '$10',
+  'defaults.prize3.redemption': 'Show this card and your redeem code at the front desk.',
+  'defaults.prize4.name': 'High Five ✋',
+  'defaults.prize5.name': 'Mystery Prize ❓',
+  'defaults.prize5.description': 'Ask the staff what you won!',
+
+  'modes.classic.label': 'First Reveal Wins',
+  'modes.classic.description': 'Pick one card; the first card scratched is the prize.',
+  'modes.pick.label': 'Pick N',
+  'modes.pick.description': 'Scratch a set number of cards and keep every prize found.',
+  'modes.all.label': 'Reveal All',
+  'modes.all.description': 'Every card is a personal prize.',
+  'modes.match3.label': 'Match Three',
+  'modes.match3.description': 'Scratch a 3×3 grid and win when three symbols match.',
+
+  'colors.indigo': 'Indigo',
+  'colors.purple': 'Purple',
+  'colors.emerald': 'Emerald',
+  'colors.amber': 'Amber',
+  'colors.rose': 'Rose',
+  'colors.gray': 'Grey',
+
+  // Editor
+  'editor.title': 'Setup Your Scratch Cards',
+  'editor.intro': 'Configure prizes, pool quantities and settings.',
+  'editor.shuffle': 'Shuffle Cards',
+  'editor.trackStock': 'Track Stock',
+  'editor.restock': 'Restock',
+  'editor.restockTitle': 'Refill every prize to its pool quantity',
+  'editor.count': 'Count:',
+  'editor.cardShape': 'Shape:',
+  'editor.matchGridHint': 'Match Three always deals a 3×3 grid',
+  'editor.importCsv': 'Import CSV',
+  'editor.csvColumns': 'CSV columns: prize, quantity, tier, value, image, description, redemption, color',
+  'editor.csvEmpty': 'The CSV file has no prize rows.',
+  'editor.csvError': 'Could not import CSV: {error}',
+  'editor.playerScratches': 'Player scratches',
+  'editor.ofCount': 'of {count}',
+  'editor.removePrize': 'Remove prize',
+  'editor.copyLink': 'Copy a link that plays only this card',
+  'editor.copyLinkPrompt': 'Copy this link:',
+  'editor.copyLinkUploaded': "Cards with an uploaded image can't be shared as a link. Use an image URL instead.",
+  'editor.copyLinkError': "Couldn't build a share link for this card.",
+  'editor.quantity': 'Qty in pool',
+  'editor.chanceHint': 'Chance per drawn card',
+  'editor.outOfStock': 'Out of stock',
+  'editor.left': '{count} left',
+  'editor.addPrize': 'Add Prize',
+  'editor.poolShort': 'The prize pool only holds {cards}, so each game will deal fewer than {count}.',
+  'editor.poolShortStock': 'The prize pool only holds {cards} in stock, so each game will deal fewer than {count}.',
+  'editor.start': 'Start Game',
+
+  'prize.namePlaceholder': 'Prize name...',
+  'prize.details': 'Details & redemption',
+  'prize.descriptionPlaceholder': 'Description (optional)',
+  'prize.valuePlaceholder': 'Value, e.g. $10',
+  'prize.redemptionPlaceholder': 'How to redeem, e.g. Show this card at the bar',
+  'prize.tier': 'Prize tier',
+
+  'image.uploaded': 'Uploaded image',
+  'image.urlPlaceholder': 'Paste Image URL...',
+  'image.invalidUrl': 'Enter a full image URL starting with http:// or https://',
+  'image.upload': 'Upload an image',
+  'image.preview': 'Preview',
+  'image.remove': 'Remove image',
+  'image.dropToUpload': 'Drop to upload',
+  'image.dropHere': 'Drop an image here',
+
+  'templates.title': 'Templates',
+  'templates.unsavedDraft': 'Unsaved draft',
+  'templates.rename': 'Rename template',
+  'templates.save': 'Save',
+  'templates.saveAsNew': 'Save as New',
+  'templates.duplicate': 'Duplicate',
+  'templates.delete': 'Delete',
+  'templates.import': 'Import',
+  'templates.export': 'Export',
+  'templates.namePrompt': 'Template name:',
+  'templates.defaultName': 'My scratch draw',
+  'templates.newName': '{name} (new)',
+  'templates.copyName': '{name} (copy)',
+  'templates.untitled': 'Untitled draw',
+  'templates.confirmDelete': 'Delete the template "{name}"?',
+  'templates.unsavedChanges': 'Unsaved changes to "{name}".',
+  'templates.importError': 'Could not import template: {error}',
+  'templates.saveFailed': 'Templates could not be saved on this device: storage is full or disabled. Export the ones you need, then delete some.',
+
+  'coating.title': 'Coating Design',
+  'coating.intro': 'The layer players scratch off. Each card keeps its own colour.',
+  'coating.dots': 'Dots',
+  'coating.stripes': 'Stripes',
+  'coating.checks': 'Checks',
+  'coating.uploadImage': 'Upload Image',
+  'coating.replaceImage': 'Replace Image',
+  'coating.fillCard': 'Fill Card',
+  'coating.centredLogo': 'Centred Logo',
+  'coating.textPlaceholder': 'Overlay text (optional)',
+  'coatingStyles.gradient': 'Gradient',
+  'coatingStyles.pattern': 'Pattern',
+  'coatingStyles.foil': 'Metallic Foil',
+  'coatingStyles.image': 'Brand Image',
+  'fonts.sans': 'Sans',
+  'fonts.serif': 'Serif',
+  'fonts.mono': 'Mono',
+  'fonts.display': 'Display',
+  'fonts.handwritten': 'Handwritten',
+
+  'scratch.title': 'Scratch Settings',
+  'scratch.intro': 'How the cards scratch and how much has to be cleared before the prize is revealed.',
+  'scratch.size': 'Size',
+  'scratch.revealAt': 'Reveal at',
+  'scratch.mustClear': 'Must clear',
+  'brushes.coin': 'Coin',
+  'brushes.finger': 'Finger',
+  'brushes.eraser': 'Eraser',
+  'regions.anywhere': 'Anywhere',
+  'regions.center': 'Centre window',
+  'shapes.square': 'Square',
+  'shapes.ticket': 'Ticket',
+  'shapes.creditCard': 'Credit card',
+
+  'fairDraw.title': 'Verifiable Draw',
+  'fairDraw.intro': "Seal each card's prize until it is scratched and publish a commitment before play, so a win can be checked against a receipt.",
+  'fairDraw.verifierUrl': 'Verifier URL',
+  'fairDraw.verifierPlaceholder': 'http://localhost:8787 (optional)',
+  'fairDraw.loadReceipt': 'Load Receipt',
+  'fairDraw.receiptLoaded': 'Receipt loaded',
+  'fairDraw.redeemCode': 'Redeem code',
+  'fairDraw.verify': 'Verify Win',
+  'fairDraw.checking': 'Checking…',
+  'fairDraw.notAReceipt': 'That file is not a draw receipt.',
+  'fairDraw.didNotWin': '{code} is in this draw but did not win.',
+  'fairDraw.won': '{code} won {title}.',
+  'fairDraw.wonValue': '{code} won {title} ({value}).',
+  'fairDraw.alreadyRedeemed': 'Already redeemed at {date}.',
+  'fairDraw.unrecorded': 'The end of this game was never recorded, so the scratched cards are unconfirmed.',
+  'fairDraw.localOnly': "Checked on this device only - without a verifier the commitment's registration can't be confirmed.",
+
+  'print.title': 'Print Sheets',
+  'print.intro': 'One card per unit in the pool, with cut marks, serial numbers and a matching scratch-off coating layer.',
+  'print.perPage': '{count} per page',
+  'print.generate': 'Generate Run',
+  'print.regenerate': 'Regenerate Run',
+  'print.stale': 'The prizes changed since this run was generated. Regenerate it to print.',
+  'print.summary': '{cards} on {pages}',
+  'print.pages': { one: '{count} page', other: '{count} pages' },
+  'print.printCards': 'Cards',
+  'print.printCoating': 'Coating',
+  'print.cardsSvg': 'Cards SVG',
+  'print.coatingSvg': 'Coating SVG',
+  'print.codesCsv': 'Codes CSV',
+  'print.cardsDocument': 'Scratch Cards',
+  'print.coatingDocument': 'Scratch Coating',
+
+  'history.title': 'Draw History',
+  'history.intro': 'Every finished game on this device: the cards dealt, the ones scratched and the prizes won.',
+  'history.askPlayer': 'Ask for player details',
+  'history.search': 'Search history',
+  'history.searchPlaceholder': 'Player, prize, template or code',
+  'history.outcome': 'Outcome',
+  'history.allGames': 'All games',
+  'history.winners': 'Winners',
+  'history.noWin': 'No win',
+  'history.fromDate': 'From date',
+  'history.toDate': 'To date',
+  'history.empty': 'No games played yet.',
+  'history.noMatches': 'No games match these filters.',
+  'history.when': 'When',
+  'history.player': 'Player',
+  'history.template': 'Template',
+  'history.cards': 'Cards',
+  'history.won': 'Won',
+  'history.cardOrderHint': 'Dealt order; scratched cards are in brackets',
+  'history.summary': '{games}, {winners}',
+  'history.games': { one: '{count} game', other: '{count} games' },
+  'history.winnerCount': { one: '{count} winner', other: '{count} winners' },
+  'history.showingLatest': 'showing the latest {count}',
+  'history.saveFailed': 'The latest games could not be saved on this device: storage is full or disabled. Export the history now, then clear it.',
+  'history.clear': 'Clear',
+  'history.confirmClear': {
+    one: 'Delete the {count} logged game? Export it first if you need it.',
+    other: 'Delete all {count} logged games? Export them first if you need them.',
+  },
+
+  'kiosk.title': 'Kiosk Mode',
+  'kiosk.intro': "Run the draw fullscreen on a shared screen. Players can't reach the editor without the PIN, and a fresh game deals itself after each result.",
+  'kiosk.pin': 'PIN',
+  'kiosk.pinPlaceholder': '4-8 digits',
+  'kiosk.pinSet': 'PIN set',
+  'kiosk.pinHint': 'Set a PIN of 4 to 8 digits to start the kiosk.',
+  'kiosk.nextGameAfter': 'Next game after',
+  'kiosk.attractAfter': 'Attract screen after',
+  'kiosk.seconds': '{count}s',
+  'kiosk.minutes': '{count} min',
+  'kiosk.idle': '{time} idle',
+  'kiosk.start': 'Start Kiosk',
+  'kiosk.exit': 'Exit kiosk',
+  'kiosk.exitTitle': 'Staff: exit kiosk',
+  'kiosk.staffPin': 'Staff PIN',
+  'kiosk.wrongPin': 'Wrong PIN.',
+  'kiosk.unlock': 'Unlock',
+  'kiosk.tapToPlay': 'Tap to play!',
+  'kiosk.winnersSoFar': { one: '{count} winner so far', other: '{count} winners so far' },
+  'kiosk.nextGameIn': 'Next game in {count}s',
+
+  'player.title': "Who's playing?",
+  'player.name': 'Your name',
+  'player.email': 'Email (optional)',
+  'player.skip': 'Skip',
+  'player.play': 'Play',
+
+  'live.title': 'Live Draw',
+  'live.intro': 'Players join from their phones and each scratches one card, while this screen shows every card as it is uncovered.',
+  'live.relayUrl': 'Relay URL',
+  'live.relayPlaceholder': 'ws://<laptop-ip>:8790 (npm run relay)',
+  'live.localHint': 'Without a relay, only other windows of this browser can join.',
+  'live.room': 'Room',
+  'live.copyJoinLink': 'Copy join link',
+  'live.status.connecting': 'Connecting…',
+  'live.status.open': 'Connected',
+  'live.status.closed': 'Not connected',
+  'live.players': { one: '{count} player', other: '{count} players' },
+  'live.modeHint': 'Live draws always play as Reveal All: every player keeps what their card shows.',
+  'live.prompt': 'Scratch your card on your phone',
+  'live.joinAt': 'Join on your phone:',
+  'live.player': 'Player {number}',
+  'live.disconnected': 'Player away',
+  'live.endDraw': 'End Draw',
+  'live.endDrawTitle': 'Close the game now; cards nobody scratched stay out of the results',
+  'live.yourCard': 'Scratch your card!',
+  'live.noLuck': 'No prize this time',
+  'live.waiting': 'Waiting for the host to start the game…',
+  'live.full': 'Every card is taken - wait for the next game.',
+
+  'schedule.title': 'Schedule & play limits',
+  'schedule.intro': 'Open the draw only between two dates, and cap how often one device may play.',
+  'schedule.opens': 'Opens',
+  'schedule.closes': 'Closes',
+  'schedule.timeZoneHint': 'Times are read on the playing device, in its own time zone (here: {zone}). Leave either end empty to keep it open.',
+  'schedule.invalidWindow': 'The draw must close after it opens.',
+  'schedule.limit': 'Plays per device',
+  'schedule.unlimited': 'Unlimited',
+  'schedule.plays': { one: '{count} play', other: '{count} plays' },
+  'schedule.period': 'Limit period',
+  'schedule.periods.day': 'per day',
+  'schedule.periods.campaign': 'per campaign',
+  'schedule.playedHere': { one: '{count} play on this device', other: '{count} plays on this device' },
+  'schedule.resetPlays': 'Reset plays',
+  'schedule.limitHint': 'A play counts from the first scratch. Kiosks and live draw screens are shared, so only the dates apply there.',
+  'schedule.status.upcoming': 'Not open yet - players see a countdown.',
+  'schedule.status.open': 'Open now.',
+  'schedule.status.closed': 'Closed - players see the campaign closed screen.',
+  'schedule.gate.upcoming.title': 'Opening soon',
+  'schedule.gate.upcoming.until': 'The draw opens in',
+  'schedule.gate.closed.title': 'Campaign closed',
+  'schedule.gate.closed.body': 'This draw is over. Thanks to everyone who played!',
+  'schedule.gate.closed.endedAt': 'This draw ended on {date}. Thanks to everyone who played!',
+  'schedule.gate.limit.title': 'Thanks for playing!',
+  'schedule.gate.limit.until': "You've used your plays for today. Come back in",
+  'schedule.gate.limit.body': "You've used all your plays for this campaign.",
+  'schedule.units.days': 'days',
+  'schedule.units.hours': 'hrs',
+  'schedule.units.minutes': 'min',
+  'schedule.units.seconds': 'sec',
+  'schedule.noMorePlays': 'No plays left on this device.',
+
+  'analytics.title': 'Analytics',
+  'analytics.intro': 'How this template performs on this device: games started and abandoned, time to reveal, prizes against their odds and shuffle usage.',
+  'analytics.gamesStarted': 'Games started',
+  'analytics.finished': { one: '{count} finished', other: '{count} finished' },
+  'analytics.abandoned': 'Abandoned',
+  'analytics.ofPlayed': '{percent} of games scratched',
+  'analytics.timeToReveal': 'Median time to reveal',
+  'analytics.average': 'average {time}',
+  'analytics.shuffles': 'Shuffles',
+  'analytics.shuffledGames': { one: 'in {count} game', other: 'in {count} games' },
+  'analytics.prize': 'Prize',
+  'analytics.odds': 'Odds',
+  'analytics.dealt': 'Dealt',
+  'analytics.won': 'Won',
+  'analytics.forwardUrl': 'Forward events to',
+  'analytics.forwardPlaceholder': 'https://example.com/events (optional)',
+  'analytics.forwardHint': 'Each event is also POSTed to this URL as JSON. Events stay on this device either way.',
+  'analytics.saveFailed': 'The event log could not be saved on this device: storage is full or disabled. Export it as JSON, then clear it.',
+  'analytics.events': { one: '{count} event logged', other: '{count} events logged' },
+  'analytics.clear': 'Clear',
+  'analytics.confirmClear': {
+    one: 'Delete the {count} logged event? Export it first if you need it.',
+    other: 'Delete all {count} logged events, for every template? Export them first if you need them.',
+  },
+
+  // Play
+  'play.prompt.classic': 'Pick a card to scratch!',
+  'play.prompt.pick': { one: 'Pick {count} card to scratch!', other: 'Pick {count} cards to scratch!' },
+  'play.prompt.all': 'Scratch every card!',
+  'play.prompt.match3': 'Match three to win!',
+  'play.howTo': 'Use your finger or mouse, or Tab to a card and hold Space.',
+  'play.finishCard': 'Finish scratching this card!',
+  'play.findPrize': 'Find the hidden prize',
+  'play.scratchedCount': '{count} of {total} scratched',
+  'play.cards': 'Scratch cards',
+  'play.allClaimed': 'All prizes have been claimed. Restock the campaign to keep playing.',
+  'play.result': 'Result',
+  'play.prizeWithValue': '{title} ({value})',
+  'play.youFound': 'You found: {prize}',
+  'play.threeOfAKind': 'Three of a kind! You won: {prize}',
+  'play.noMatch': 'No match this time!',
+  'play.foundPrizes': { one: 'You found {count} prize!', other: 'You found {count} prizes!' },
+  'play.noPrizes': 'No prizes this time!',
+  'play.commitment': 'Verifiable draw · commitment',
+  'play.drawStartError': 'Could not start a verifiable draw: {error}',
+  'play.drawOpenError': 'Could not open the sealed cards: {error}. Deal a new game to keep playing.',
+  'play.drawRecordError': 'Could not record this game with the verifier: {error}',
+  'play.playAgain': 'Play Again',
+  'play.shuffle': 'Shuffle',
+  'play.reset': 'Reset',
+  'play.receipt': 'Receipt',
+  'play.receiptTitle': 'Seed and scratched cards for this draw - staff use it to verify a win',
+  'play.exportCodes': 'Export Codes',
+  'play.exportCodesTitle': "Download every card's redeem code as CSV",
+};
@@ -0,0 +1,350 @@
+/* --- Español --- */
+export default {
+  // App chrome
+  'app.title': 'Rasca y Gana',
+  'app.language': 'Idioma',
+  'app.animations': 'Animaciones',
+  'app.mute': 'Silenciar sonidos',
+  'app.soundOn': 'Sonido activado',
+  'app.soundOff': 'Sonido desactivado',
+  'app.haptics': 'Vibración',
+  'app.hapticsOn': 'Vibración activada',
+  'app.hapticsOff': 'Vibración desactivada',
+  'app.editCards': 'Editar tarjetas',
+  'app.poweredBy': 'Creado por {name}',
+  'app.support': 'Apóyame',
+
+  'common.cancel': 'Cancelar',
+  'common.cards': { one: '{count} tarjeta', other: '{count} tarjetas' },
+
+  'motion.system': 'Movimiento del sistema',
+  'motion.reduce': 'Movimiento reducido',
+  'motion.full': 'Movimiento completo',
+
+  // Starter prizes for a new draw, see lib/templates
+  'defaults.prize1.name': '¡Suerte la próxima vez!',
+  'defaults.prize2.name': 'Café gratis ☕',
+  'defaults.prize2.value': '1 café',
+  'defaults.prize2.redemption': 'Muestra esta tarjeta en la barra.',
+  'defaults.prize3.name': 'Tarjeta regalo de 10 € 🎁',
+  'defaults.prize3.value': '10 €',
+  'defaults.prize3.redemption': 'Muestra esta tarjeta y tu código de canje en recepción.',
+  'defaults.prize4.name': 'Choca esos cinco ✋',
+  'defaults.prize5.name': 'Premio sorpresa ❓',
+  'defaults.prize5.description': '¡Pregunta al personal qué has ganado!',
+
+  'modes.classic.label': 'Gana la primera',
+  'modes.classic.description': 'Elige una tarjeta; la primera que rasques es el premio.',
+  'modes.pick.label': 'Elige N',
+  'modes.pick.description': 'Rasca un número fijo de tarjetas y quédate con todos los premios.',
+  'modes.all.label': 'Rascar todas',
+  'modes.all.description': 'Cada tarjeta es un premio personal.',
+  'modes.match3.label': 'Tres iguales',
+  'modes.match3.description': 'Rasca una cuadrícula de 3×3 y gana si coinciden tres símbolos.',
+
+  'colors.indigo': 'Índigo',
+  'colors.purple': 'Morado',
+  'colors.emerald': 'Esmeralda',
+  'colors.amber': 'Ámbar',
+  'colors.rose': 'Rosa',
+  'colors.gray': 'Gris',
+
+  // Editor
+  'editor.title': 'Prepara tus tarjetas',
+  'editor.intro': 'Configura premios, cantidades del bote y ajustes.',
+  'editor.shuffle': 'Barajar tarjetas',
+  'editor.trackStock': 'Controlar existencias',
+  'editor.restock': 'Reponer',
+  'editor.restockTitle': 'Repone cada premio hasta su cantidad en el bote',
+  'editor.count': 'Cantidad:',
+  'editor.cardShape': 'Forma:',
+  'editor.matchGridHint': 'Tres iguales siempre reparte una cuadrícula de 3×3',
+  'editor.importCsv': 'Importar CSV',
+  'editor.csvColumns': 'Columnas CSV: prize, quantity, tier, value, image, description, redemption, color',
+  'editor.csvEmpty': 'El archivo CSV no tiene filas de premios.',
+  'editor.csvError': 'No se pudo importar el CSV: {error}',
+  'editor.playerScratches': 'El jugador rasca',
+  'editor.ofCount': 'de {count}',
+  'editor.removePrize': 'Quitar premio',
+  'editor.copyLink': 'Copiar un enlace que solo juega esta tarjeta',
+  'editor.copyLinkPrompt': 'Copia este enlace:',
+  'editor.copyLinkUploaded': 'Las cartas con una imagen subida no se pueden compartir con un enlace. Usa una URL de imagen.',
+  'editor.copyLinkError': 'No se pudo crear un enlace para esta carta.',
+  'editor.quantity': 'Cant. en el bote',
+  'editor.chanceHint': 'Probabilidad por tarjeta repartida',
+  'editor.outOfStock': 'Agotado',
+  'editor.left': { one: 'Queda {count}', other: 'Quedan {count}' },
+  'editor.addPrize': 'Añadir premio',
+  'editor.poolShort': 'El bote solo tiene {cards}, así que cada partida repartirá menos de {count}.',
+  'editor.poolShortStock': 'El bote solo tiene {cards} en existencias, así que cada partida repartirá menos de {count}.',
+  'editor.start': 'Empezar partida',
+
+  'prize.namePlaceholder': 'Nombre del premio...',
+  'prize.details': 'Detalles y canje',
+  'prize.descriptionPlaceholder': 'Descripción (opcional)',
+  'prize.valuePlaceholder': 'Valor, p. ej. 10 €',
+  'prize.redemptionPlaceholder': 'Cómo canjearlo, p. ej. Muestra esta tarjeta en la barra',
+  'prize.tier': 'Categoría del premio',
+
+  'image.uploaded': 'Imagen subida',
+  'image.urlPlaceholder': 'Pega la URL de una imagen...',
+  'image.invalidUrl': 'Escribe la URL completa de la imagen, empezando por http:// o https://',
+  'image.upload': 'Subir una imagen',
+  'image.preview': 'Vista previa',
+  'image.remove': 'Quitar imagen',
+  'image.dropToUpload': 'Suelta para subir',
+  'image.dropHere': 'Suelta una imagen aquí',
+
+  'templates.title': 'Plantillas',
+  'templates.unsavedDraft': 'Borrador sin guardar',
+  'templates.rename': 'Renombrar plantilla',
+  'templates.save': 'Guardar',
+  'templates.saveAsNew': 'Guardar como nueva',
+  'templates.duplicate': 'Duplicar',
+  'templates.delete': 'Eliminar',
+  'templates.import': 'Importar',
+  'templates.export': 'Exportar',
+  'templates.namePrompt': 'Nombre de la plantilla:',
+  'templates.defaultName': 'Mi sorteo de rasca',
+  'templates.newName': '{name} (nueva)',
+  'templates.copyName': '{name} (copia)',
+  'templates.untitled': 'Sorteo sin título',
+  'templates.confirmDelete': '¿Eliminar la plantilla «{name}»?',
+  'templates.unsavedChanges': 'Cambios sin guardar en «{name}».',
+  'templates.importError': 'No se pudo importar la plantilla: {error}',
+  'templates.saveFailed': 'No se pudieron guardar las plantillas en este dispositivo: el almacenamiento está lleno o desactivado. Exporta las que necesites y luego elimina algunas.',
+
+  'coating.title': 'Diseño de la capa',
+  'coating.intro': 'La capa que rascan los jugadores. Cada tarjeta conserva su propio color.',
+  'coating.dots': 'Puntos',
+  'coating.stripes': 'Rayas',
+  'coating.checks': 'Cuadros',
+  'coating.uploadImage': 'Subir imagen',
+  'coating.replaceImage': 'Cambiar imagen',
+  'coating.fillCard': 'Llenar tarjeta',
+  'coating.centredLogo': 'Logo centrado',
+  'coating.textPlaceholder': 'Texto superpuesto (opcional)',
+  'coatingStyles.gradient': 'Degradado',
+  'coatingStyles.pattern': 'Patrón',
+  'coatingStyles.foil': 'Lámina metálica',
+  'coatingStyles.image': 'Imagen de marca',
+  'fonts.sans': 'Sans',
+  'fonts.serif': 'Serif',
+  'fonts.mono': 'Mono',
+  'fonts.display': 'Titular',
+  'fonts.handwritten': 'Manuscrita',
+
+  'scratch.title': 'Ajustes de rascado',
+  'scratch.intro': 'Cómo se rascan las tarjetas y cuánto hay que despejar para descubrir el premio.',
+  'scratch.size': 'Tamaño',
+  'scratch.revealAt': 'Descubrir al',
+  'scratch.mustClear': 'Hay que despejar',
+  'brushes.coin': 'Moneda',
+  'brushes.finger': 'Dedo',
+  'brushes.eraser': 'Goma',
+  'regions.anywhere': 'Cualquier zona',
+  'regions.center': 'Ventana central',
+  'shapes.square': 'Cuadrada',
+  'shapes.ticket': 'Boleto',
+  'shapes.creditCard': 'Tarjeta de crédito',
+
+  'fairDraw.title': 'Sorteo verificable',
+  'fairDraw.intro': 'Sella el premio de cada tarjeta hasta que se rasque y publica un compromiso antes de jugar, para que un premio se pueda comprobar con un recibo.',
+  'fairDraw.verifierUrl': 'URL del verificador',
+  'fairDraw.verifierPlaceholder': 'http://localhost:8787 (opcional)',
+  'fairDraw.loadReceipt': 'Cargar recibo',
+  'fairDraw.receiptLoaded': 'Recibo cargado',
+  'fairDraw.redeemCode': 'Código de canje',
+  'fairDraw.verify': 'Verificar premio',
+  'fairDraw.checking': 'Comprobando…',
+  'fairDraw.notAReceipt': 'Ese archivo no es un recibo de sorteo.',
+  'fairDraw.didNotWin': '{code} está en este sorteo pero no ha ganado.',
+  'fairDraw.won': '{code} ha ganado {title}.',
+  'fairDraw.wonValue': '{code} ha ganado {title} ({value}).',
+  'fairDraw.alreadyRedeemed': 'Ya canjeado el {date}.',
+  'fairDraw.unrecorded': 'El final de esta partida nunca se registró, así que las tarjetas rascadas no están confirmadas.',
+  'fairDraw.localOnly': 'Comprobado solo en este dispositivo: sin verificador no se puede confirmar el registro del compromiso.',
+
+  'print.title': 'Hojas de impresión',
+  'print.intro': 'Una tarjeta por unidad del bote, con marcas de corte, números de serie y una capa para rascar a juego.',
+  'print.perPage': '{count} por página',
+  'print.generate': 'Generar tirada',
+  'print.regenerate': 'Regenerar tirada',
+  'print.stale': 'Los premios han cambiado desde que se generó esta tirada. Vuelve a generarla para imprimir.',
+  'print.summary': '{cards} en {pages}',
+  'print.pages': { one: '{count} página', other: '{count} páginas' },
+  'print.printCards': 'Tarjetas',
+  'print.printCoating': 'Capa',
+  'print.cardsSvg': 'SVG de tarjetas',
+  'print.coatingSvg': 'SVG de capa',
+  'print.codesCsv': 'CSV de códigos',
+  'print.cardsDocument': 'Tarjetas para rascar',
+  'print.coatingDocument': 'Capa para rascar',
+
+  'history.title': 'Historial de sorteos',
+  'history.intro': 'Cada partida terminada en este dispositivo: las tarjetas repartidas, las rascadas y los premios ganados.',
+  'history.askPlayer': 'Pedir datos del jugador',
+  'history.search': 'Buscar en el historial',
+  'history.searchPlaceholder': 'Jugador, premio, plantilla o código',
+  'history.outcome': 'Resultado',
+  'history.allGames': 'Todas las partidas',
+  'history.winners': 'Ganadores',
+  'history.noWin': 'Sin premio',
+  'history.fromDate': 'Desde',
+  'history.toDate': 'Hasta',
+  'history.empty': 'Todavía no se ha jugado ninguna partida.',
+  'history.noMatches': 'Ninguna partida coincide con estos filtros.',
+  'history.when': 'Cuándo',
+  'history.player': 'Jugador',
+  'history.template': 'Plantilla',
+  'history.cards': 'Tarjetas',
+  'history.won': 'Premio',
+  'history.cardOrderHint': 'Orden de reparto; las tarjetas rascadas van entre corchetes',
+  'history.summary': '{games}, {winners}',
+  'history.games': { one: '{count} partida', other: '{count} partidas' },
+  'history.winnerCount': { one: '{count} ganador', other: '{count} ganadores' },
+  'history.showingLatest': 'se muestran las {count} últimas',
+  'history.saveFailed': 'No se pudieron guardar las últimas partidas en este dispositivo: el almacenamiento está lleno o desactivado. Exporta el historial ahora y luego bórralo.',
+  'history.clear': 'Borrar',
+  'history.confirmClear': {
+    one: '¿Eliminar la partida registrada? Expórtala antes si la necesitas.',
+    other: '¿Eliminar las {count} partidas registradas? Expórtalas antes si las necesitas.',
+  },
+
+  'kiosk.title': 'Modo quiosco',
+  'kiosk.intro': 'Ejecuta el sorteo a pantalla completa en una pantalla compartida. Los jugadores no pueden llegar al editor sin el PIN, y tras cada resultado se reparte una partida nueva.',
+  'kiosk.pin': 'PIN',
+  'kiosk.pinPlaceholder': '4-8 dígitos',
+  'kiosk.pinSet': 'PIN guardado',
+  'kiosk.pinHint': 'Elige un PIN de 4 a 8 dígitos para iniciar el quiosco.',
+  'kiosk.nextGameAfter': 'Siguiente partida tras',
+  'kiosk.attractAfter': 'Pantalla de espera tras',
+  'kiosk.seconds': '{count} s',
+  'kiosk.minutes': '{count} min',
+  'kiosk.idle': '{time} sin actividad',
+  'kiosk.start': 'Iniciar quiosco',
+  'kiosk.exit': 'Salir del quiosco',
+  'kiosk.exitTitle': 'Personal: salir del quiosco',
+  'kiosk.staffPin': 'PIN del personal',
+  'kiosk.wrongPin': 'PIN incorrecto.',
+  'kiosk.unlock': 'Desbloquear',
+  'kiosk.tapToPlay': '¡Toca para jugar!',
+  'kiosk.winnersSoFar': { one: '{count} ganador hasta ahora', other: '{count} ganadores hasta ahora' },
+  'kiosk.nextGameIn': 'Siguiente partida en {count} s',
+
+  'player.title': '¿Quién juega?',
+  'player.name': 'Tu nombre',
+  'player.email': 'Correo electrónico (opcional)',
+  'player.skip': 'Omitir',
+  'player.play': 'Jugar',
+
+  'live.title': 'Sorteo en vivo',
+  'live.intro': 'Los jugadores se unen desde el móvil y cada uno rasca una tarjeta, mientras esta pantalla muestra cada tarjeta al descubrirse.',
+  'live.relayUrl': 'URL del relé',
+  'live.relayPlaceholder': 'ws://<ip-del-portátil>:8790 (npm run relay)',
+  'live.localHint': 'Sin relé, solo pueden unirse otras ventanas de este navegador.',
+  'live.room': 'Sala',
+  'live.copyJoinLink': 'Copiar enlace de acceso',
+  'live.status.connecting': 'Conectando…',
+  'live.status.open': 'Conectado',
+  'live.status.closed': 'Sin conexión',
+  'live.players': { one: '{count} jugador', other: '{count} jugadores' },
+  'live.modeHint': 'Los sorteos en vivo siempre se juegan como Rascar todas: cada jugador se queda con lo que muestre su tarjeta.',
+  'live.prompt': 'Rasca tu tarjeta en el móvil',
+  'live.joinAt': 'Únete desde el móvil:',
+  'live.player': 'Jugador {number}',
+  'live.disconnected': 'Jugador ausente',
+  'live.endDraw': 'Terminar sorteo',
+  'live.endDrawTitle': 'Cerrar la partida ya; las tarjetas sin rascar quedan fuera de los resultados',
+  'live.yourCard': '¡Rasca tu tarjeta!',
+  'live.noLuck': 'Esta vez no hay premio',
+  'live.waiting': 'Esperando a que el anfitrión empiece la partida…',
+  'live.full': 'Todas las tarjetas están ocupadas; espera a la próxima partida.',
+
+  'schedule.title': 'Calendario y límite de jugadas',
+  'schedule.intro': 'Abre el sorteo solo entre dos fechas y limita cuántas veces puede jugar un mismo dispositivo.',
+  'schedule.opens': 'Abre',
+  'schedule.closes': 'Cierra',
+  'schedule.timeZoneHint': 'Las horas se leen en el dispositivo que juega, en su propia zona horaria (aquí: {zone}). Deja un extremo vacío para no limitarlo.',
+  'schedule.invalidWindow': 'El sorteo debe cerrar después de abrir.',
+  'schedule.limit': 'Jugadas por dispositivo',
+  'schedule.unlimited': 'Sin límite',
+  'schedule.plays': { one: '{count} jugada', other: '{count} jugadas' },
+  'schedule.period': 'Periodo del límite',
+  'schedule.periods.day': 'al día',
+  'schedule.periods.campaign': 'por campaña',
+  'schedule.playedHere': { one: '{count} jugada en este dispositivo', other: '{count} jugadas en este dispositivo' },
+  'schedule.resetPlays': 'Reiniciar jugadas',
+  'schedule.limitHint': 'Una jugada cuenta desde el primer rascado. Los quioscos y las pantallas de sorteo en vivo son compartidos, así que allí solo se aplican las fechas.',
+  'schedule.status.upcoming': 'Aún no abre: los jugadores ven una cuenta atrás.',
+  'schedule.status.open': 'Abierto ahora.',
+  'schedule.status.closed': 'Cerrado: los jugadores ven la pantalla de campaña cerrada.',
+  'schedule.gate.upcoming.title': 'Abre pronto',
+  'schedule.gate.upcoming.until': 'El sorteo abre en',
+  'schedule.gate.closed.title': 'Campaña cerrada',
+  'schedule.gate.closed.body': 'Este sorteo ha terminado. ¡Gracias a todos por jugar!',
+  'schedule.gate.closed.endedAt': 'Este sorteo terminó el {date}. ¡Gracias a todos por jugar!',
+  'schedule.gate.limit.title': '¡Gracias por jugar!',
+  'schedule.gate.limit.until': 'Ya usaste tus jugadas de hoy. Vuelve en',
+  'schedule.gate.limit.body': 'Ya usaste todas tus jugadas de esta campaña.',
+  'schedule.units.days': 'días',
+  'schedule.units.hours': 'h',
+  'schedule.units.minutes': 'min',
+  'schedule.units.seconds': 's',
+  'schedule.noMorePlays': 'No quedan jugadas en este dispositivo.',
+
+  'analytics.title': 'Estadísticas',
+  'analytics.intro': 'Cómo funciona esta plantilla en este dispositivo: partidas iniciadas y abandonadas, tiempo hasta revelar, premios frente a sus probabilidades y uso de la mezcla.',
+  'analytics.gamesStarted': 'Partidas iniciadas',
+  'analytics.finished': { one: '{count} terminada', other: '{count} terminadas' },
+  'analytics.abandoned': 'Abandonadas',
+  'analytics.ofPlayed': '{percent} de las partidas rascadas',
+  'analytics.timeToReveal': 'Tiempo medio hasta revelar',
+  'analytics.average': 'promedio {time}',
+  'analytics.shuffles': 'Mezclas',
+  'analytics.shuffledGames': { one: 'en {count} partida', other: 'en {count} partidas' },
+  'analytics.prize': 'Premio',
+  'analytics.odds': 'Probabilidad',
+  'analytics.dealt': 'Repartido',
+  'analytics.won': 'Ganado',
+  'analytics.forwardUrl': 'Reenviar eventos a',
+  'analytics.forwardPlaceholder': 'https://example.com/events (opcional)',
+  'analytics.forwardHint': 'Cada evento también se envía por POST a esta URL como JSON. Los eventos se guardan en este dispositivo de todas formas.',
+  'analytics.saveFailed': 'No se pudo guardar el registro de eventos en este dispositivo: el almacenamiento está lleno o desactivado. Expórtalo como JSON y luego bórralo.',
+  'analytics.events': { one: '{count} evento registrado', other: '{count} eventos registrados' },
+  'analytics.clear': 'Borrar',
+  'analytics.confirmClear': {
+    one: '¿Eliminar el {count} evento registrado? Expórtalo antes si lo necesitas.',
+    other: '¿Eliminar los {count} eventos registrados, de todas las plantillas? Expórtalos antes si los necesitas.',
+  },
+
+  // Play
+  'play.prompt.classic': '¡Elige una tarjeta para rascar!',
+  'play.prompt.pick': { one: '¡Elige {count} tarjeta para rascar!', other: '¡Elige {count} tarjetas para rascar!' },
+  'play.prompt.all': '¡Rasca todas las tarjetas!',
+  'play.prompt.match3': '¡Consigue tres iguales para ganar!',
+  'play.howTo': 'Usa el dedo o el ratón, o ve a una tarjeta con Tab y mantén pulsado Espacio.',
+  'play.finishCard': '¡Termina de rascar esta tarjeta!',
+  'play.findPrize': 'Encuentra el premio escondido',
+  'play.scratchedCount': '{count} de {total} rascadas',
+  'play.cards': 'Tarjetas para rascar',
+  'play.allClaimed': 'Se han repartido todos los premios. Repón las existencias para seguir jugando.',
+  'play.result': 'Resultado',
+  'play.prizeWithValue': '{title} ({value})',
+  'play.youFound': 'Has encontrado: {prize}',
+  'play.threeOfAKind': '¡Tres iguales! Has ganado: {prize}',
+  'play.noMatch': '¡Esta vez no hay coincidencia!',
+  'play.foundPrizes': { one: '¡Has encontrado {count} premio!', other: '¡Has encontrado {count} premios!' },
+  'play.noPrizes': '¡Esta vez no hay premios!',
+  'play.commitment': 'Sorteo verificable · compromiso',
+  'play.drawStartError': 'No se pudo iniciar un sorteo verificable: {error}',
+  'play.drawOpenError': 'No se pudieron abrir las cartas selladas: {error}. Reparte una partida nueva para seguir jugando.',
+  'play.drawRecordError': 'No se pudo registrar esta partida en el verificador: {error}',
+  'play.playAgain': 'Jugar otra vez',
+  'play.shuffle': 'Barajar',
+  'play.reset': 'Reiniciar',
+  'play.receipt': 'Recibo',
+  'play.receiptTitle': 'Semilla y tarjetas rascadas de este sorteo; el personal lo usa para verificar un premio',
+  'play.exportCodes': 'Exportar códigos',
+  'play.exportCodesTitle': 'Descarga el código de canje de cada tarjeta en CSV',
+};
@@ -0,0 +1,350 @@
+/* --- Français --- */
+export default {
+  // App chrome
+  'app.title': 'Grattez & Gagnez',
+  'app.language': 'Langue',
+  'app.animations': 'Animations',
+  'app.mute': 'Couper les sons',
+  'app.soundOn': 'Son activé',
+  'app.soundOff': 'Son coupé',
+  'app.haptics': 'Vibrations',
+  'app.hapticsOn': 'Vibrations activées',
+  'app.hapticsOff': 'Vibrations coupées',
+  'app.editCards': 'Modifier les cartes',
+  'app.poweredBy': 'Propulsé par {name}',
+  'app.support': 'Me soutenir',
+
+  'common.cancel': 'Annuler',
+  'common.cards': { one: '{count} carte', other: '{count} cartes' },
+
+  'motion.system': 'Animations du système',
+  'motion.reduce': 'Animations réduites',
+  'motion.full': 'Animations complètes',
+
+  // Starter prizes for a new draw, see lib/templates
+  'defaults.prize1.name': 'Retentez votre chance !',
+  'defaults.prize2.name': 'Café offert ☕',
+  'defaults.prize2.value': '1 café',
+  'defaults.prize2.redemption': 'Présentez cette carte au bar.',
+  'defaults.prize3.name': 'Carte cadeau de 10 € 🎁',
+  'defaults.prize3.value': '10 €',
+  'defaults.prize3.redemption': "Présentez cette carte et votre code d'échange à l'accueil.",
+  'defaults.prize4.name': 'Tope là ✋',
+  'defaults.prize5.name': 'Lot mystère ❓',
+  'defaults.prize5.description': "Demandez à l'équipe ce que vous avez gagné !",
+
+  'modes.classic.label': 'Premier grattage gagnant',
+  'modes.classic.description': 'Choisissez une carte ; la première grattée est le lot.',
+  'modes.pick.label': 'Choisir N',
+  'modes.pick.description': 'Grattez un nombre fixe de cartes et gardez tous les lots trouvés.',
+  'modes.all.label': 'Tout gratter',
+  'modes.all.description': 'Chaque carte est un lot personnel.',
+  'modes.match3.label': 'Trois identiques',
+  'modes.match3.description': 'Grattez une grille de 3×3 et gagnez quand trois symboles sont identiques.',
+
+  'colors.indigo': 'Indigo',
+  'colors.purple': 'Violet',
+  'colors.emerald': 'Émeraude',
+  'colors.amber': 'Ambre',
+  'colors.rose': 'Rose',
+  'colors.gray': 'Gris',
+
+  // Editor
+  'editor.title': 'Préparez vos cartes à gratter',
+  'editor.intro': 'Configurez les lots, les quantités et les réglages.',
+  'editor.shuffle': 'Mélanger les cartes',
+  'editor.trackStock': 'Suivre le stock',
+  'editor.restock': 'Réapprovisionner',
+  'editor.restockTitle': 'Remet chaque lot à sa quantité de départ',
+  'editor.count': 'Nombre :',
+  'editor.cardShape': 'Forme :',
+  'editor.matchGridHint': 'Trois identiques distribue toujours une grille de 3×3',
+  'editor.importCsv': 'Importer un CSV',
+  'editor.csvColumns': 'Colonnes CSV : prize, quantity, tier, value, image, description, redemption, color',
+  'editor.csvEmpty': "Le fichier CSV ne contient aucune ligne de lot.",
+  'editor.csvError': "Impossible d'importer le CSV : {error}",
+  'editor.playerScratches': 'Le joueur gratte',
+  'editor.ofCount': 'sur {count}',
+  'editor.removePrize': 'Supprimer le lot',
+  'editor.copyLink': 'Copier un lien qui ne joue que cette carte',
+  'editor.copyLinkPrompt': 'Copiez ce lien :',
+  'editor.copyLinkUploaded': "Les cartes avec une image importée ne peuvent pas être partagées par lien. Utilisez plutôt l'URL d'une image.",
+  'editor.copyLinkError': 'Impossible de créer un lien de partage pour cette carte.',
+  'editor.quantity': 'Qté en jeu',
+  'editor.chanceHint': 'Probabilité par carte tirée',
+  'editor.outOfStock': 'Épuisé',
+  'editor.left': { one: '{count} restant', other: '{count} restants' },
+  'editor.addPrize': 'Ajouter un lot',
+  'editor.poolShort': 'Les lots ne contiennent que {cards}, chaque partie en distribuera donc moins de {count}.',
+  'editor.poolShortStock': 'Il ne reste que {cards} en stock, chaque partie en distribuera donc moins de {count}.',
+  'editor.start': 'Lancer la partie',
+
+  'prize.namePlaceholder': 'Nom du lot...',
+  'prize.details': 'Détails et retrait',
+  'prize.descriptionPlaceholder': 'Description (facultative)',
+  'prize.valuePlaceholder': 'Valeur, ex. 10 €',
+  'prize.redemptionPlaceholder': 'Comment le retirer, ex. Présentez cette carte au bar',
+  'prize.tier': 'Catégorie du lot',
+
+  'image.uploaded': 'Image importée',
+  'image.urlPlaceholder': "Collez l'URL d'une image...",
+  'image.invalidUrl': "Saisissez l'URL complète de l'image, commençant par http:// ou https://",
+  'image.upload': 'Importer une image',
+  'image.preview': 'Aperçu',
+  'image.remove': "Supprimer l'image",
+  'image.dropToUpload': 'Déposez pour importer',
+  'image.dropHere': 'Déposez une image ici',
+
+  'templates.title': 'Modèles',
+  'templates.unsavedDraft': 'Brouillon non enregistré',
+  'templates.rename': 'Renommer le modèle',
+  'templates.save': 'Enregistrer',
+  'templates.saveAsNew': 'Enregistrer sous',
+  'templates.duplicate': 'Dupliquer',
+  'templates.delete': 'Supprimer',
+  'templates.import': 'Importer',
+  'templates.export': 'Exporter',
+  'templates.namePrompt': 'Nom du modèle :',
+  'templates.defaultName': 'Mon tirage à gratter',
+  'templates.newName': '{name} (nouveau)',
+  'templates.copyName': '{name} (copie)',
+  'templates.untitled': 'Tirage sans titre',
+  'templates.confirmDelete': 'Supprimer le modèle « {name} » ?',
+  'templates.unsavedChanges': 'Modifications non enregistrées de « {name} ».',
+  'templates.importError': "Impossible d'importer le modèle : {error}",
+  'templates.saveFailed': "Les modèles n'ont pas pu être enregistrés sur cet appareil : le stockage est plein ou désactivé. Exportez ceux dont vous avez besoin, puis supprimez-en quelques-uns.",
+
+  'coating.title': 'Couche à gratter',
+  'coating.intro': 'La couche que les joueurs grattent. Chaque carte garde sa propre couleur.',
+  'coating.dots': 'Pois',
+  'coating.stripes': 'Rayures',
+  'coating.checks': 'Damier',
+  'coating.uploadImage': 'Importer une image',
+  'coating.replaceImage': "Remplacer l'image",
+  'coating.fillCard': 'Remplir la carte',
+  'coating.centredLogo': 'Logo centré',
+  'coating.textPlaceholder': 'Texte superposé (facultatif)',
+  'coatingStyles.gradient': 'Dégradé',
+  'coatingStyles.pattern': 'Motif',
+  'coatingStyles.foil': 'Feuille métallisée',
+  'coatingStyles.image': 'Image de marque',
+  'fonts.sans': 'Sans',
+  'fonts.serif': 'Serif',
+  'fonts.mono': 'Mono',
+  'fonts.display': 'Affiche',
+  'fonts.handwritten': 'Manuscrite',
+
+  'scratch.title': 'Réglages du grattage',
+  'scratch.intro': 'Comment les cartes se grattent et quelle surface dégager avant que le lot soit révélé.',
+  'scratch.size': 'Taille',
+  'scratch.revealAt': 'Révéler à',
+  'scratch.mustClear': 'Zone à dégager',
+  'brushes.coin': 'Pièce',
+  'brushes.finger': 'Doigt',
+  'brushes.eraser': 'Gomme',
+  'regions.anywhere': "N'importe où",
+  'regions.center': 'Fenêtre centrale',
+  'shapes.square': 'Carrée',
+  'shapes.ticket': 'Ticket',
+  'shapes.creditCard': 'Carte bancaire',
+
+  'fairDraw.title': 'Tirage vérifiable',
+  'fairDraw.intro': "Scellez le lot de chaque carte jusqu'au grattage et publiez un engagement avant de jouer, pour qu'un gain puisse être vérifié avec un reçu.",
+  'fairDraw.verifierUrl': 'URL du vérificateur',
+  'fairDraw.verifierPlaceholder': 'http://localhost:8787 (facultatif)',
+  'fairDraw.loadReceipt': 'Charger un reçu',
+  'fairDraw.receiptLoaded': 'Reçu chargé',
+  'fairDraw.redeemCode': "Code d'échange",
+  'fairDraw.verify': 'Vérifier le gain',
+  'fairDraw.checking': 'Vérification…',
+  'fairDraw.notAReceipt': "Ce fichier n'est pas un reçu de tirage.",
+  'fairDraw.didNotWin': "{code} fait partie de ce tirage mais n'a pas gagné.",
+  'fairDraw.won': '{code} a gagné {title}.',
+  'fairDraw.wonValue': '{code} a gagné {title} ({value}).',
+  'fairDraw.alreadyRedeemed': 'Déjà retiré le {date}.',
+  'fairDraw.unrecorded': "La fin de cette partie n'a jamais été enregistrée, les cartes grattées ne sont donc pas confirmées.",
+  'fairDraw.localOnly': "Vérifié sur cet appareil uniquement : sans vérificateur, l'enregistrement de l'engagement ne peut pas être confirmé.",
+
+  'print.title': "Feuilles d'impression",
+  'print.intro': 'Une carte par unité en jeu, avec traits de coupe, numéros de série et une couche à gratter assortie.',
+  'print.perPage': '{count} par page',
+  'print.generate': 'Générer le tirage',
+  'print.regenerate': 'Régénérer le tirage',
+  'print.stale': "Les lots ont changé depuis la génération de ce tirage. Régénérez-le pour imprimer.",
+  'print.summary': '{cards} sur {pages}',
+  'print.pages': { one: '{count} page', other: '{count} pages' },
+  'print.printCards': 'Cartes',
+  'print.printCoating': 'Couche',
+  'print.cardsSvg': 'SVG des cartes',
+  'print.coatingSvg': 'SVG de la couche',
+  'print.codesCsv': 'CSV des codes',
+  'print.cardsDocument': 'Cartes à gratter',
+  'print.coatingDocument': 'Couche à gratter',
+
+  'history.title': 'Historique des tirages',
+  'history.intro': 'Chaque partie terminée sur cet appareil : les cartes distribuées, celles grattées et les lots gagnés.',
+  'history.askPlayer': 'Demander les infos du joueur',
+  'history.search': "Rechercher dans l'historique",
+  'history.searchPlaceholder': 'Joueur, lot, modèle ou code',
+  'history.outcome': 'Résultat',
+  'history.allGames': 'Toutes les parties',
+  'history.winners': 'Gagnants',
+  'history.noWin': 'Perdu',
+  'history.fromDate': 'Du',
+  'history.toDate': 'Au',
+  'history.empty': "Aucune partie jouée pour l'instant.",
+  'history.noMatches': 'Aucune partie ne correspond à ces filtres.',
+  'history.when': 'Quand',
+  'history.player': 'Joueur',
+  'history.template': 'Modèle',
+  'history.cards': 'Cartes',
+  'history.won': 'Gain',
+  'history.cardOrderHint': 'Ordre de distribution ; les cartes grattées sont entre crochets',
+  'history.summary': '{games}, {winners}',
+  'history.games': { one: '{count} partie', other: '{count} parties' },
+  'history.winnerCount': { one: '{count} gagnant', other: '{count} gagnants' },
+  'history.showingLatest': 'affichage des {count} dernières',
+  'history.saveFailed': "Les dernières parties n'ont pas pu être enregistrées sur cet appareil : le stockage est plein ou désactivé. Exportez l'historique maintenant, puis effacez-le.",
+  'history.clear': 'Effacer',
+  'history.confirmClear': {
+    one: "Supprimer la partie enregistrée ? Exportez-la d'abord si vous en avez besoin.",
+    other: "Supprimer les {count} parties enregistrées ? Exportez-les d'abord si vous en avez besoin.",
+  },
+
+  'kiosk.title': 'Mode borne',
+  'kiosk.intro': "Lancez le tirage en plein écran sur un écran partagé. Les joueurs n'accèdent pas à l'éditeur sans le code PIN, et une nouvelle partie se lance après chaque résultat.",
+  'kiosk.pin': 'Code PIN',
+  'kiosk.pinPlaceholder': '4 à 8 chiffres',
+  'kiosk.pinSet': 'Code PIN défini',
+  'kiosk.pinHint': 'Choisissez un code PIN de 4 à 8 chiffres pour lancer la borne.',
+  'kiosk.nextGameAfter': 'Partie suivante après',
+  'kiosk.attractAfter': "Écran d'accueil après",
+  'kiosk.seconds': '{count} s',
+  'kiosk.minutes': '{count} min',
+  'kiosk.idle': "{time} d'inactivité",
+  'kiosk.start': 'Lancer la borne',
+  'kiosk.exit': 'Quitter la borne',
+  'kiosk.exitTitle': 'Équipe : quitter la borne',
+  'kiosk.staffPin': "Code PIN de l'équipe",
+  'kiosk.wrongPin': 'Code PIN incorrect.',
+  'kiosk.unlock': 'Déverrouiller',
+  'kiosk.tapToPlay': 'Touchez pour jouer !',
+  'kiosk.winnersSoFar': { one: "{count} gagnant jusqu'ici", other: "{count} gagnants jusqu'ici" },
+  'kiosk.nextGameIn': 'Partie suivante dans {count} s',
+
+  'player.title': 'Qui joue ?',
+  'player.name': 'Votre nom',
+  'player.email': 'E-mail (facultatif)',
+  'player.skip': 'Passer',
+  'player.play': 'Jouer',
+
+  'live.title': 'Tirage en direct',
+  'live.intro': 'Les joueurs rejoignent depuis leur téléphone et grattent chacun une carte, pendant que cet écran montre chaque carte découverte.',
+  'live.relayUrl': 'URL du relais',
+  'live.relayPlaceholder': 'ws://<ip-du-portable>:8790 (npm run relay)',
+  'live.localHint': "Sans relais, seules d'autres fenêtres de ce navigateur peuvent rejoindre.",
+  'live.room': 'Salle',
+  'live.copyJoinLink': "Copier le lien d'accès",
+  'live.status.connecting': 'Connexion…',
+  'live.status.open': 'Connecté',
+  'live.status.closed': 'Non connecté',
+  'live.players': { one: '{count} joueur', other: '{count} joueurs' },
+  'live.modeHint': 'Les tirages en direct se jouent toujours en Tout gratter : chaque joueur garde ce que montre sa carte.',
+  'live.prompt': 'Grattez votre carte sur votre téléphone',
+  'live.joinAt': 'Rejoignez sur votre téléphone :',
+  'live.player': 'Joueur {number}',
+  'live.disconnected': 'Joueur absent',
+  'live.endDraw': 'Terminer le tirage',
+  'live.endDrawTitle': 'Clore la partie maintenant ; les cartes non grattées restent hors des résultats',
+  'live.yourCard': 'Grattez votre carte !',
+  'live.noLuck': 'Pas de lot cette fois',
+  'live.waiting': "En attente du lancement de la partie par l'hôte…",
+  'live.full': 'Toutes les cartes sont prises, attendez la prochaine partie.',
+
+  'schedule.title': 'Calendrier et limite de parties',
+  'schedule.intro': "N'ouvrez le tirage qu'entre deux dates et limitez le nombre de parties par appareil.",
+  'schedule.opens': 'Ouverture',
+  'schedule.closes': 'Fermeture',
+  'schedule.timeZoneHint': "Les heures sont lues sur l'appareil de jeu, dans son propre fuseau horaire (ici : {zone}). Laissez une borne vide pour ne pas la limiter.",
+  'schedule.invalidWindow': "Le tirage doit fermer après son ouverture.",
+  'schedule.limit': 'Parties par appareil',
+  'schedule.unlimited': 'Illimité',
+  'schedule.plays': { one: '{count} partie', other: '{count} parties' },
+  'schedule.period': 'Période de la limite',
+  'schedule.periods.day': 'par jour',
+  'schedule.periods.campaign': 'par campagne',
+  'schedule.playedHere': { one: '{count} partie sur cet appareil', other: '{count} parties sur cet appareil' },
+  'schedule.resetPlays': 'Réinitialiser les parties',
+  'schedule.limitHint': "Une partie compte dès le premier grattage. Les bornes et les écrans de tirage en direct sont partagés : seules les dates s'y appliquent.",
+  'schedule.status.upcoming': "Pas encore ouvert : les joueurs voient un compte à rebours.",
+  'schedule.status.open': 'Ouvert.',
+  'schedule.status.closed': "Fermé : les joueurs voient l'écran de campagne terminée.",
+  'schedule.gate.upcoming.title': 'Ouverture bientôt',
+  'schedule.gate.upcoming.until': 'Le tirage ouvre dans',
+  'schedule.gate.closed.title': 'Campagne terminée',
+  'schedule.gate.closed.body': 'Ce tirage est terminé. Merci à tous les participants !',
+  'schedule.gate.closed.endedAt': "Ce tirage s'est terminé le {date}. Merci à tous les participants !",
+  'schedule.gate.limit.title': "Merci d'avoir joué !",
+  'schedule.gate.limit.until': "Vous avez utilisé vos parties du jour. Revenez dans",
+  'schedule.gate.limit.body': 'Vous avez utilisé toutes vos parties pour cette campagne.',
+  'schedule.units.days': 'jours',
+  'schedule.units.hours': 'h',
+  'schedule.units.minutes': 'min',
+  'schedule.units.seconds': 's',
+  'schedule.noMorePlays': "Plus aucune partie sur cet appareil.",
+
+  'analytics.title': 'Statistiques',
+  'analytics.intro': 'Les résultats de ce modèle sur cet appareil : parties commencées et abandonnées, temps avant révélation, lots comparés à leurs chances et utilisation du mélange.',
+  'analytics.gamesStarted': 'Parties commencées',
+  'analytics.finished': { one: '{count} terminée', other: '{count} terminées' },
+  'analytics.abandoned': 'Abandonnées',
+  'analytics.ofPlayed': '{percent} des parties grattées',
+  'analytics.timeToReveal': 'Temps médian avant révélation',
+  'analytics.average': 'moyenne {time}',
+  'analytics.shuffles': 'Mélanges',
+  'analytics.shuffledGames': { one: 'dans {count} partie', other: 'dans {count} parties' },
+  'analytics.prize': 'Lot',
+  'analytics.odds': 'Chances',
+  'analytics.dealt': 'Distribué',
+  'analytics.won': 'Gagné',
+  'analytics.forwardUrl': 'Transférer les événements à',
+  'analytics.forwardPlaceholder': 'https://example.com/events (facultatif)',
+  'analytics.forwardHint': 'Chaque événement est aussi envoyé en POST à cette URL au format JSON. Les événements restent de toute façon sur cet appareil.',
+  'analytics.saveFailed': "Le journal d'événements n'a pas pu être enregistré sur cet appareil : le stockage est plein ou désactivé. Exportez-le en JSON, puis effacez-le.",
+  'analytics.events': { one: '{count} événement enregistré', other: '{count} événements enregistrés' },
+  'analytics.clear': 'Effacer',
+  'analytics.confirmClear': {
+    one: "Supprimer l'événement enregistré ? Exportez-le d'abord si besoin.",
+    other: "Supprimer les {count} événements enregistrés, pour tous les modèles ? Exportez-les d'abord si besoin.",
+  },
+
+  // Play
+  'play.prompt.classic': 'Choisissez une carte à gratter !',
+  'play.prompt.pick': { one: 'Choisissez {count} carte à gratter !', other: 'Choisissez {count} cartes à gratter !' },
+  'play.prompt.all': 'Grattez toutes les cartes !',
+  'play.prompt.match3': 'Trouvez trois symboles identiques pour gagner !',
+  'play.howTo': 'Utilisez le doigt ou la souris, ou allez sur une carte avec Tab et maintenez Espace.',
+  'play.finishCard': 'Finissez de gratter cette carte !',
+  'play.findPrize': 'Trouvez le lot caché',
+  'play.scratchedCount': '{count} sur {total} grattées',
+  'play.cards': 'Cartes à gratter',
+  'play.allClaimed': 'Tous les lots ont été gagnés. Réapprovisionnez le stock pour continuer à jouer.',
+  'play.result': 'Résultat',
+  'play.prizeWithValue': '{title} ({value})',
+  'play.youFound': 'Vous avez trouvé : {prize}',
+  'play.threeOfAKind': 'Trois identiques ! Vous avez gagné : {prize}',
+  'play.noMatch': 'Pas de combinaison cette fois !',
+  'play.foundPrizes': { one: 'Vous avez trouvé {count} lot !', other: 'Vous avez trouvé {count} lots !' },
+  'play.noPrizes': 'Pas de lot cette fois !',
+  'play.commitment': 'Tirage vérifiable · engagement',
+  'play.drawStartError': 'Impossible de lancer un tirage vérifiable : {error}',
+  'play.drawOpenError': "Impossible d'ouvrir les cartes scellées : {error}. Distribuez une nouvelle partie pour continuer.",
+  'play.drawRecordError': "Impossible d'enregistrer cette partie auprès du vérificateur : {error}",
+  'play.playAgain': 'Rejouer',
+  'play.shuffle': 'Mélanger',
+  'play.reset': 'Réinitialiser',
+  'play.receipt': 'Reçu',
+  'play.receiptTitle': "Graine et cartes grattées de ce tirage ; l'équipe s'en sert pour vérifier un gain",
+  'play.exportCodes': 'Exporter les codes',
+  'play.exportCodesTitle': "Télécharger le code d'échange de chaque carte en CSV",
+};
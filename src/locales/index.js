@@ -0,0 +1,12 @@
+/* --- App Locales ---
+   The app's UI strings by language, layered over the card's own (see
+   locales/card) by createTranslator. Kept apart from lib/i18n so the
+   library build never bundles them.
+*/
+import en from './en';
+import es from './es';
+import fr from './fr';
+import de from './de';
+import ar from './ar';
+
+export default { en, es, fr, de, ar };
@@ -2,9 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import LivePlayer from './components/LivePlayer.jsx'
+import { readLiveJoin } from './lib/liveDraw'
+
+// A live draw join link opens the phone view instead of the editor
+const liveJoin = readLiveJoin(window.location.hash)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {liveJoin ? <LivePlayer join={liveJoin} /> : <App />}
   </StrictMode>,
 )
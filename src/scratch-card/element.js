@@ -0,0 +1,325 @@
+/* --- <scratch-card> Custom Element ---
+   Framework-free build of the scratch card for plain pages and CMS embeds.
+   It shares the coating painters and coverage engine with the React
+   component, so both reveal at exactly the same point.
+
+     <script type="module" src=".../scratch-card-element.js"></script>
+     <scratch-card prize="Free Coffee ☕" color="emerald" width="240" height="160"></scratch-card>
+
+   Attributes: prize (the prize name), image, description, value, type
+   (legacy: "image" makes `prize` an image URL), color, width, height,
+   brush, brush-size, threshold (0-1), region (anywhere|center),
+   coating-style, coating-text, revealed, sound (scratching noise, see
+   lib/sound), haptics (vibration ticks on phones), lang (default coating
+   text and screen reader messages, see lib/i18n LANGUAGES; 'es-MX' reads
+   as 'es').
+   Events (bubbling, composed): scratchstart, scratchprogress
+   ({ percent }), scratchmilestone ({ milestone }), reveal ({ prize }).
+   Methods: reveal(), reset().
+   Keyboard: focus the card, hold Space/Enter to sweep or use the arrow keys.
+*/
+import { paintCoating, loadCoatingAssets } from '../lib/coatings';
+import { FALLBACK_IMAGE } from '../lib/images';
+import { upgradeLegacyPrize } from '../lib/prizes';
+import { createTranslator } from '../lib/i18n';
+import { getStrokeSpeed, playScratch, tickScratch, stopScratch } from '../lib/sound';
+import { systemPrefersReducedMotion } from '../lib/motion';
+import { createParticleLayer, createFlakes, DEBRIS_MARGIN, DEBRIS_FALL, MAX_FLAKES } from '../lib/particles';
+import {
+  DEFAULT_SCRATCH_SETTINGS, resolveBrush, createCoverageGrid, markStroke,
+  getRevealProgress, getCrossedMilestones, drawRegionHint,
+  KEYBOARD_SCRATCH_KEYS, createSweepPath, moveKeyboardBrush, getPressureBrush
+} from '../lib/scratchEngine';
+
+const CARD_BORDER = 4; // Between the card's edge and the coating, see .card
+
+const STYLES = `
+  :host { display: inline-block; position: relative; }
+  .card { position: relative; overflow: hidden; border-radius: 12px; border: 4px solid #e5e7eb; background: #fff; box-sizing: border-box; box-shadow: 0 10px 15px -3px rgba(0,0,0,0.1); }
+  .prize { position: absolute; inset: 0; display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 4px; padding: 16px; font: bold 20px sans-serif; color: #1f2937; text-align: center; overflow-wrap: anywhere; user-select: none; }
+  .prize img { flex: 1; min-height: 0; width: 100%; object-fit: contain; pointer-events: none; }
+  .prize img + .name { font-size: 14px; }
+  .description { font: 12px sans-serif; color: #6b7280; }
+  .value { font: 600 12px sans-serif; color: #4b5563; background: #f3f4f6; border-radius: 999px; padding: 2px 8px; }
+  canvas { position: absolute; inset: 0; cursor: crosshair; touch-action: none; outline: none; }
+  canvas.debris { inset: auto; top: 0; left: -${DEBRIS_MARGIN}px; pointer-events: none; }
+  .card:has(canvas:focus-visible) { box-shadow: 0 0 0 4px #818cf8; }
+  .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+`;
+
+export class ScratchCardElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['prize', 'image', 'description', 'value', 'type', 'color', 'width', 'height', 'brush', 'brush-size', 'threshold', 'region', 'coating-style', 'coating-text', 'revealed', 'lang'];
+  }
+
+  constructor() {
+    super();
+    const root = this.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${STYLES}</style><div class="card" part="card"><div class="prize" part="prize"></div><canvas part="coating" role="button" tabindex="0"></canvas><span class="sr-only" aria-live="polite"></span></div><canvas class="debris" aria-hidden="true"></canvas>`;
+    this._card = root.querySelector('.card');
+    this._prize = root.querySelector('.prize');
+    this._canvas = root.querySelector('.card canvas');
+    this._debrisCanvas = root.querySelector('.debris');
+    this._debris = createParticleLayer(this._debrisCanvas); // Coating flakes, outside the card's clipping
+    this._live = root.querySelector('[aria-live]');
+    this._strokes = new Map(); // Last point of each active pointer
+    this._revealed = false;
+    this._hasStrokes = false;
+
+    this._canvas.addEventListener('pointerdown', (e) => this._handleDown(e));
+    this._canvas.addEventListener('pointermove', (e) => this._handleMove(e));
+    this._canvas.addEventListener('pointerup', (e) => this._handleUp(e));
+    this._canvas.addEventListener('pointercancel', (e) => this._handleUp(e));
+    this._canvas.addEventListener('lostpointercapture', (e) => this._handleUp(e));
+    this._canvas.addEventListener('keydown', (e) => this._handleKey(e));
+  }
+
+  connectedCallback() {
+    this._render();
+  }
+
+  attributeChangedCallback(name) {
+    if (!this.isConnected) return;
+    if (name === 'revealed') {
+      if (this.hasAttribute('revealed')) this.reveal();
+      else this.reset();
+      return;
+    }
+    this._render();
+  }
+
+  get _size() {
+    return {
+      width: Number(this.getAttribute('width')) || 200,
+      height: Number(this.getAttribute('height')) || 200,
+    };
+  }
+
+  get _settings() {
+    const threshold = parseFloat(this.getAttribute('threshold'));
+    return {
+      ...DEFAULT_SCRATCH_SETTINGS,
+      brush: this.getAttribute('brush') || DEFAULT_SCRATCH_SETTINGS.brush,
+      brushSize: Number(this.getAttribute('brush-size')) || null,
+      threshold: threshold > 0 && threshold <= 1 ? threshold : DEFAULT_SCRATCH_SETTINGS.threshold,
+      region: this.getAttribute('region') || DEFAULT_SCRATCH_SETTINGS.region,
+    };
+  }
+
+  get _t() {
+    return createTranslator((this.getAttribute('lang') || '').split('-')[0]);
+  }
+
+  get _coating() {
+    return {
+      style: this.getAttribute('coating-style') || 'gradient',
+      text: this.hasAttribute('coating-text') ? this.getAttribute('coating-text') : this._t('card.coatingText'),
+    };
+  }
+
+  _render() {
+    const { width, height } = this._size;
+    const prize = upgradeLegacyPrize({
+      type: this.getAttribute('type'),
+      content: this.getAttribute('prize') || '',
+      image: this.getAttribute('image') || '',
+    });
+    this._card.style.width = `${width}px`;
+    this._card.style.height = `${height}px`;
+    this._debrisCanvas.style.width = `${width + DEBRIS_MARGIN * 2}px`;
+    this._debrisCanvas.style.height = `${height + DEBRIS_FALL}px`;
+    this._canvas.setAttribute('aria-label', this._t('card.label'));
+
+    this._prize.textContent = '';
+    const addLine = (className, text) => {
+      const el = document.createElement('span');
+      el.className = className;
+      el.textContent = text;
+      this._prize.appendChild(el);
+    };
+    if (prize.image) {
+      const img = document.createElement('img');
+      img.src = prize.image;
+      img.alt = prize.name || this._t('card.imageAlt');
+      img.onerror = () => {
+        img.onerror = null;
+        img.src = FALLBACK_IMAGE;
+      };
+      this._prize.appendChild(img);
+    }
+    if (prize.name) addLine('name', prize.name);
+    if (this.hasAttribute('description')) addLine('description', this.getAttribute('description'));
+    if (this.hasAttribute('value')) addLine('value', this.getAttribute('value'));
+
+    this._revealed = false;
+    if (this.hasAttribute('revealed')) this.reveal();
+    else this.reset();
+  }
+
+  // Re-coat the card and start over
+  reset() {
+    const { width, height } = this._size;
+    const canvas = this._canvas;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    this._revealed = false;
+    this._hasStrokes = false;
+    this._progress = 0;
+    this._grid = createCoverageGrid(width, height);
+    this._sweep = { path: null, index: 0 };
+    this._keyPos = null;
+    this._strokes.clear();
+    this._canvas.tabIndex = 0;
+    this._canvas.removeAttribute('aria-hidden');
+    this._prize.setAttribute('aria-hidden', 'true');
+    this._live.textContent = '';
+
+    const color = this.getAttribute('color') || 'indigo';
+    const coating = this._coating;
+    const region = this._settings.region;
+    const paint = (assets) => {
+      paintCoating(ctx, width, height, color, coating, assets);
+      drawRegionHint(ctx, width, height, region);
+    };
+    const { assets, ready } = loadCoatingAssets(coating);
+    paint(assets || {});
+    if (ready) ready.then(loaded => { if (!this._hasStrokes) paint(loaded); });
+  }
+
+  // Clear the coating without firing `reveal`
+  reveal() {
+    this._revealed = true;
+    this._hasStrokes = true;
+    this._canvas.getContext('2d').clearRect(0, 0, this._canvas.width, this._canvas.height);
+    this._canvas.tabIndex = -1;
+    this._canvas.setAttribute('aria-hidden', 'true');
+    this._prize.removeAttribute('aria-hidden');
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+
+  _point(e) {
+    const rect = this._canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top, time: e.timeStamp };
+  }
+
+  // Draw one segment; `from` null draws a single dab
+  _scratch(from, point, brush = resolveBrush(this._settings)) {
+    const ctx = this._canvas.getContext('2d');
+    this._hasStrokes = true;
+
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.lineWidth = brush.size;
+    ctx.lineCap = brush.shape === 'square' ? 'square' : 'round';
+    ctx.lineJoin = brush.shape === 'square' ? 'miter' : 'round';
+    ctx.beginPath();
+    ctx.moveTo((from || point).x, (from || point).y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+
+    const cleared = markStroke(this._grid, from, point, brush);
+    if (cleared > 0 && !systemPrefersReducedMotion()) {
+      this._debris.add(createFlakes(point.x + CARD_BORDER + DEBRIS_MARGIN, point.y + CARD_BORDER, Math.min(MAX_FLAKES, cleared), this.getAttribute('color') || 'indigo'));
+    }
+  }
+
+  _checkProgress() {
+    if (this._revealed) return;
+    const progress = getRevealProgress(this._grid, this._settings);
+    const previous = this._progress;
+    if (progress !== previous) {
+      this._progress = progress;
+      this._emit('scratchprogress', { percent: progress });
+      getCrossedMilestones(previous, progress).forEach(milestone => {
+        this._emit('scratchmilestone', { milestone });
+        this._live.textContent = this._t('card.scratchedPercent', { percent: milestone });
+      });
+    }
+    if (progress >= 100) {
+      this.reveal();
+      this._live.textContent = this._t('card.revealed', { title: this._prize.textContent });
+      this._emit('reveal', { prize: this.getAttribute('prize') || '' });
+    }
+  }
+
+  // One captured stroke per pointer, as in the React component
+  _handleDown(e) {
+    if (this._revealed || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    this._canvas.setPointerCapture(e.pointerId);
+    if (this._strokes.size === 0) this._emit('scratchstart');
+    const point = this._point(e);
+    this._scratch(null, point, getPressureBrush(resolveBrush(this._settings), e));
+    this._strokes.set(e.pointerId, point);
+    this._checkProgress();
+  }
+
+  _handleMove(e) {
+    if (this._revealed || !this._strokes.has(e.pointerId)) return;
+    const events = e.getCoalescedEvents?.() || [];
+    const base = resolveBrush(this._settings);
+    const start = this._strokes.get(e.pointerId);
+    for (const event of events.length > 0 ? events : [e]) {
+      const point = this._point(event);
+      this._scratch(this._strokes.get(e.pointerId), point, getPressureBrush(base, event));
+      this._strokes.set(e.pointerId, point);
+    }
+    this._strokeFeedback(getStrokeSpeed(start, this._strokes.get(e.pointerId)));
+    this._checkProgress();
+  }
+
+  // Scratching noise and vibration ticks, each behind its own attribute
+  _strokeFeedback(speed) {
+    if (this.hasAttribute('sound')) playScratch(speed);
+    if (this.hasAttribute('haptics')) tickScratch(speed);
+  }
+
+  _handleUp(e) {
+    this._strokes.delete(e.pointerId);
+    if (this._strokes.size === 0 && this.hasAttribute('sound')) stopScratch();
+  }
+
+  // Same keyboard scheme as the React component
+  _handleKey(e) {
+    if (this._revealed) return;
+    const { width, height } = this._size;
+    const settings = this._settings;
+
+    if (KEYBOARD_SCRATCH_KEYS.includes(e.key)) {
+      e.preventDefault();
+      if (!e.repeat) this._emit('scratchstart');
+      if (!this._sweep.path) this._sweep = { path: createSweepPath(width, height, settings), index: 0 };
+      const { path } = this._sweep;
+      let last = this._sweep.index > 0 ? path[this._sweep.index - 1] : null;
+      for (let n = 0; n < 2 && this._sweep.index < path.length; n++) {
+        const point = path[this._sweep.index++];
+        this._scratch(last, point);
+        last = point;
+      }
+      this._strokeFeedback(1);
+      this._checkProgress();
+      return;
+    }
+
+    const from = this._keyPos || { x: width / 2, y: height / 2 };
+    const next = moveKeyboardBrush(from, e.key, width, height, settings);
+    if (!next) return;
+    e.preventDefault();
+    if (!e.repeat) this._emit('scratchstart');
+    this._scratch(from, next);
+    this._strokeFeedback(0.5);
+    this._checkProgress();
+    this._keyPos = next;
+  }
+}
+
+if (!customElements.get('scratch-card')) {
+  customElements.define('scratch-card', ScratchCardElement);
+}
@@ -0,0 +1,12 @@
+/* --- Library Entry ---
+   Public surface for host apps: the React component plus the pieces needed
+   to configure it. Built by `npm run build:lib` into dist-lib/.
+*/
+export { default as ScratchCard } from '../components/ScratchCard';
+export { DEFAULT_COATING, COATING_FONTS, registerCoatingStyle, getCoatingStyles, paintCoating } from '../lib/coatings';
+export { BRUSHES, REVEAL_REGIONS, DEFAULT_SCRATCH_SETTINGS, PROGRESS_MILESTONES } from '../lib/scratchEngine';
+export { COLOR_THEMES } from '../lib/colors';
+export { CARD_SHAPES } from '../lib/cardLayout';
+export { PRIZE_TIERS, createPrize } from '../lib/prizes';
+export { playRevealFeedback, playRevealJingle, vibrate } from '../lib/sound';
+export { LANGUAGES } from '../lib/i18n';
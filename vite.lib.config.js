@@ -0,0 +1,29 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// Library build: the React component and the <scratch-card> custom element
+export default defineConfig({
+  plugins: [
+    react({
+      babel: {
+        plugins: [['babel-plugin-react-compiler']],
+      },
+    }),
+  ],
+  build: {
+    outDir: 'dist-lib',
+    emptyOutDir: true,
+    copyPublicDir: false,
+    lib: {
+      entry: {
+        'scratch-card': 'src/scratch-card/index.js',
+        'scratch-card-element': 'src/scratch-card/element.js',
+      },
+      formats: ['es'],
+    },
+    rollupOptions: {
+      // React stays a peer dependency of the host app
+      external: [/^react(\/.*)?$/, /^react-dom(\/.*)?$/],
+    },
+  },
+})